@@ -1,13 +1,34 @@
 // Background service worker for Text to Calendar extension
 
+import {
+  PARSER_DEFAULTS,
+  WEEKDAY_CODES,
+  parseEventFromText,
+  parseMultipleEvents,
+  parseCourseSchedule,
+  extractTitle,
+  listLanguagePacks,
+  isValidDate,
+  setParserLogger
+} from './parser.js';
+import { getConfidenceLevel, formatConfidenceSymbol, formatReminderLead, formatSourceZoneTime } from './format.js';
+
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
 const CONFIG = {
   DEBUG: false, // Set to true to enable detailed logging
-  MAX_EVENTS: 20,
   STORAGE_KEY: 'recentEvents',
+  SETTINGS_KEY: 'settings',
+  PREVIEW_KEY: 'pendingPreviews',
+  REMINDERS_KEY: 'reminders',
+  REMINDER_ALARM_PREFIX: 'reminder_',
+  TOMBSTONES_KEY: 'deletedEvents', // { id: deletedAt } so deletes reach synced browsers
+  SETTINGS_UPDATED_KEY: 'settingsUpdatedAt',
+  SYNC_STATUS_KEY: 'syncStatus',
+  SCHEMA_VERSION_KEY: 'schemaVersion', // Version of the stored record shape (see STORAGE_MIGRATIONS)
+  HISTORY_BACKUP_KEY: 'historyBackup', // The history as it was before the last migration
   DEFAULT_DURATION_MS: 60 * 60 * 1000 // 1 hour
 };
 
@@ -27,6 +48,10 @@ function logError(...args) {
   console.error('Text to Calendar Error:', ...args);
 }
 
+if (CONFIG.DEBUG) {
+  setParserLogger(log);
+}
+
 // =============================================================================
 // SESSION STATE (resets when browser closes)
 // =============================================================================
@@ -40,8 +65,9 @@ let sessionEventCount = 0;
 /**
  * Show a notification to the user
  * Falls back to console log if notifications aren't available
+ * @param {Object} options - Extra notification options, e.g. { silent: false } for reminders
  */
-async function showNotification(title, message) {
+async function showNotification(title, message, options = {}) {
   try {
     // Check if we have notification permission
     if (chrome.notifications) {
@@ -50,7 +76,8 @@ async function showNotification(title, message) {
         iconUrl: 'icons/icon48.png',
         title: title,
         message: message,
-        silent: true
+        silent: true,
+        ...options
       });
       log('Notification shown:', title);
     } else {
@@ -69,32 +96,59 @@ async function showNotification(title, message) {
 const EventStorage = {
   /**
    * Generate a unique ID for an event
+   * @param {string} prefix - ID prefix (default: 'evt')
    */
-  generateId() {
-    return `evt_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  generateId(prefix = 'evt') {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   },
 
   /**
    * Save an event to storage
+   * Records are provider-neutral so they can be reopened in any calendar provider
    * @param {Object} eventData - Parsed event data
-   * @param {string} calendarUrl - The Google Calendar URL
    * @param {string} originalText - The original selected text
+   * @param {Object} options - Optional record details
+   * @param {string} options.provider - ID of the calendar provider the event was opened in
+   * @param {Object} options.originalParse - Serialized parser output, if the user corrected it in the preview
+   * @param {string} options.batchId - Links events created together from one selection
    * @returns {Promise<Object>} - The saved event record
    */
-  async saveEvent(eventData, calendarUrl, originalText) {
+  async saveEvent(eventData, originalText, options = {}) {
+    const { provider = null, originalParse = null, batchId = null } = options;
     console.log('=== EventStorage.saveEvent START ===');
     console.log('Input eventData:', JSON.stringify(eventData, null, 2));
     try {
+      // Adding a field? Add a migration for older records too (see STORAGE_MIGRATIONS)
       const eventRecord = {
         id: this.generateId(),
         title: eventData.title,
         startDate: eventData.startDate.toISOString(),
         endDate: eventData.endDate.toISOString(),
-        calendarUrl: calendarUrl,
+        allDay: eventData.allDay || false,
+        description: eventData.description,
+        location: eventData.location || null,
+        attendees: eventData.attendees || [],
+        timeZone: eventData.timeZone || null,
+        recurrence: eventData.recurrence || null,
+        reminderMinutes: eventData.reminderMinutes || null,
+        provider: provider,
         createdAt: new Date().toISOString(),
         originalText: originalText,
         confidence: eventData.confidence || 0
       };
+
+      if (batchId) {
+        eventRecord.batchId = batchId;
+      }
+
+      // Keep the original parse next to the user's corrections
+      if (originalParse) {
+        const corrected = getCorrectedFields(originalParse, eventRecord);
+        if (corrected.length > 0) {
+          eventRecord.originalParse = originalParse;
+          eventRecord.correctedFields = corrected;
+        }
+      }
       console.log('Created eventRecord:', JSON.stringify(eventRecord, null, 2));
 
       const result = await chrome.storage.local.get([CONFIG.STORAGE_KEY]);
@@ -105,10 +159,11 @@ const EventStorage = {
       // Add new event at the beginning
       events.unshift(eventRecord);
 
-      // Keep only the maximum allowed events
-      if (events.length > CONFIG.MAX_EVENTS) {
-        events = events.slice(0, CONFIG.MAX_EVENTS);
-        log(`Trimmed history to ${CONFIG.MAX_EVENTS} events`);
+      // Keep only as many events as the history size setting allows
+      const historyLimit = getHistoryLimit(await SettingsStorage.getSettings());
+      if (events.length > historyLimit) {
+        events = events.slice(0, historyLimit);
+        log(`Trimmed history to ${historyLimit} events`);
       }
 
       console.log('About to save. Events count:', events.length);
@@ -178,7 +233,9 @@ const EventStorage = {
    */
   async clearHistory() {
     try {
+      const result = await chrome.storage.local.get([CONFIG.STORAGE_KEY]);
       await chrome.storage.local.set({ [CONFIG.STORAGE_KEY]: [] });
+      await this.addTombstones((result[CONFIG.STORAGE_KEY] || []).map(event => event.id));
       log('Event history cleared');
       // Reset session count and badge when history is cleared
       sessionEventCount = 0;
@@ -189,34 +246,138 @@ const EventStorage = {
     }
   },
 
+  /**
+   * Search, filter, sort and page through the event history
+   * @param {Object} query
+   * @param {string} query.search - Words that must all appear in the title or original text
+   * @param {string} query.from - 'YYYY-MM-DD', only events starting on or after this day
+   * @param {string} query.to - 'YYYY-MM-DD', only events starting on or before this day
+   * @param {string} query.confidence - 'high', 'medium', 'low', or '' for any
+   * @param {string} query.type - 'recurring', 'single', or '' for both
+   * @param {string} query.sort - 'created-desc' (default), 'created-asc', 'start-asc' or 'start-desc'
+   * @param {number} query.page - Page number, starting at 1
+   * @param {number} query.pageSize - Events per page (default: 20)
+   * @returns {Promise<Object>} - { events, total, page, pageCount }
+   */
+  async queryEvents(query = {}) {
+    const { search = '', confidence = '', type = '', sort = 'created-desc' } = query;
+    const pageSize = Number(query.pageSize) > 0 ? Number(query.pageSize) : 20;
+    const from = parseDateSetting(query.from);
+    const to = parseDateSetting(query.to);
+    if (to) {
+      to.setDate(to.getDate() + 1); // Include the whole last day
+    }
+    const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+    try {
+      const result = await chrome.storage.local.get([CONFIG.STORAGE_KEY]);
+      const events = (result[CONFIG.STORAGE_KEY] || []).filter((event) => {
+        const start = new Date(event.startDate);
+        const text = `${event.title || ''} ${event.originalText || ''}`.toLowerCase();
+        return words.every(word => text.includes(word)) &&
+          (!from || start >= from) &&
+          (!to || start < to) &&
+          (!confidence || getConfidenceLevel(event.confidence) === confidence) &&
+          (!type || (type === 'recurring') === Boolean(event.recurrence && event.recurrence.isRecurring));
+      });
+
+      // History is stored newest first, which is already the created-desc order
+      if (sort === 'start-asc' || sort === 'start-desc') {
+        events.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+      }
+      if (sort === 'created-asc' || sort === 'start-desc') {
+        events.reverse();
+      }
+
+      const pageCount = Math.max(1, Math.ceil(events.length / pageSize));
+      const page = Math.min(Math.max(1, parseInt(query.page, 10) || 1), pageCount);
+
+      return {
+        events: events.slice((page - 1) * pageSize, page * pageSize),
+        total: events.length,
+        page,
+        pageCount
+      };
+    } catch (error) {
+      logError('Error querying events:', error);
+      return { events: [], total: 0, page: 1, pageCount: 1 };
+    }
+  },
+
   /**
    * Delete a specific event by ID
    * @param {string} id - The event ID to delete
    * @returns {Promise<boolean>} - True if deleted, false if not found
    */
   async deleteEvent(id) {
+    return (await this.deleteEvents([id])) > 0;
+  },
+
+  /**
+   * Delete several events at once
+   * @param {Array<string>} ids - The event IDs to delete
+   * @returns {Promise<number>} - How many events were deleted
+   */
+  async deleteEvents(ids) {
     try {
+      const idSet = new Set(ids);
       const result = await chrome.storage.local.get([CONFIG.STORAGE_KEY]);
-      let events = result[CONFIG.STORAGE_KEY] || [];
-      const initialLength = events.length;
-
-      events = events.filter(event => event.id !== id);
+      const events = result[CONFIG.STORAGE_KEY] || [];
+      const remaining = events.filter(event => !idSet.has(event.id));
+      const deletedCount = events.length - remaining.length;
 
-      if (events.length < initialLength) {
-        await chrome.storage.local.set({ [CONFIG.STORAGE_KEY]: events });
-        log(`Event deleted. ID: ${id}`);
+      if (deletedCount > 0) {
+        await chrome.storage.local.set({ [CONFIG.STORAGE_KEY]: remaining });
+        await this.addTombstones(ids);
+        log(`Deleted ${deletedCount} event(s):`, ids);
         // Decrement session count and update badge
         if (sessionEventCount > 0) {
-          sessionEventCount--;
+          sessionEventCount = Math.max(0, sessionEventCount - deletedCount);
           updateBadge();
         }
-        return true;
       }
 
-      return false;
+      return deletedCount;
+    } catch (error) {
+      logError('Error deleting events:', error);
+      return 0;
+    }
+  },
+
+  /**
+   * Remember deleted event IDs, so syncing removes them from other browsers too
+   * instead of bringing them back
+   * @param {Array<string>} ids - The deleted event IDs
+   */
+  async addTombstones(ids) {
+    const result = await chrome.storage.local.get([CONFIG.TOMBSTONES_KEY]);
+    const tombstones = result[CONFIG.TOMBSTONES_KEY] || {};
+    const deletedAt = new Date().toISOString();
+    ids.forEach((id) => {
+      tombstones[id] = deletedAt;
+    });
+    await chrome.storage.local.set({ [CONFIG.TOMBSTONES_KEY]: tombstones });
+  },
+
+  /**
+   * Drop the oldest events beyond the history size
+   * @param {number} limit - Number of events to keep
+   * @returns {Promise<Array<string>>} - IDs of the events removed
+   */
+  async trimHistory(limit) {
+    try {
+      const result = await chrome.storage.local.get([CONFIG.STORAGE_KEY]);
+      const events = result[CONFIG.STORAGE_KEY] || [];
+      if (events.length <= limit) {
+        return [];
+      }
+
+      await chrome.storage.local.set({ [CONFIG.STORAGE_KEY]: events.slice(0, limit) });
+      log(`Trimmed history to ${limit} events`);
+      return events.slice(limit).map(event => event.id);
     } catch (error) {
-      logError('Error deleting event:', error);
-      return false;
+      logError('Error trimming history:', error);
+      return [];
     }
   },
 
@@ -236,6 +397,309 @@ const EventStorage = {
   }
 };
 
+/**
+ * List the fields a user changed in the preview compared to the parser output
+ * @param {Object} originalParse - Serialized parser output
+ * @param {Object} record - The event record being saved
+ * @returns {Array<string>} - e.g. ['title', 'startDate']
+ */
+function getCorrectedFields(originalParse, record) {
+  const fields = ['title', 'startDate', 'endDate', 'allDay', 'location', 'attendees', 'recurrence'];
+  return fields.filter(field => !isSameValue(originalParse[field] ?? null, record[field] ?? null));
+}
+
+/**
+ * Compare two serialized values by content, whatever order their keys were written in
+ * A key set to undefined counts the same as a missing key, as it would in storage.
+ * @param {*} a - A JSON-style value
+ * @param {*} b - A JSON-style value
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+      a.every((item, index) => isSameValue(item, b[index]));
+  }
+
+  const keysOf = value => Object.keys(value).filter(key => value[key] !== undefined);
+  const keys = keysOf(a);
+  return keys.length === keysOf(b).length && keys.every(key => isSameValue(a[key], b[key]));
+}
+
+// =============================================================================
+// STORAGE MIGRATIONS
+// =============================================================================
+
+// The stored history has a schema version (CONFIG.SCHEMA_VERSION_KEY). When an update
+// changes the record shape, add a migration here; the pending ones run in order when the
+// extension is installed, updated or started, and imported or synced records from an older
+// version are upgraded the same way before they're merged. History saved before versioning
+// counts as version 0. migrateRecord returns the upgraded record, or null to drop a record
+// that can't be used.
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in the fields added since the first release',
+    migrateRecord(record) {
+      const startDate = new Date(record.startDate);
+      const endDate = new Date(record.endDate);
+      if (isNaN(startDate)) {
+        // Can't be shown or reopened; it stays in the backup
+        log('Dropping event with no valid start date:', record);
+        return null;
+      }
+
+      return {
+        ...record,
+        id: record.id || EventStorage.generateId(),
+        title: record.title || (record.originalText ? extractTitle(record.originalText) : 'Untitled event'),
+        startDate: startDate.toISOString(),
+        endDate: (isNaN(endDate) || endDate < startDate ?
+          new Date(startDate.getTime() + CONFIG.DEFAULT_DURATION_MS) :
+          endDate).toISOString(),
+        allDay: record.allDay || false,
+        description: record.description || record.originalText || '',
+        location: record.location || null,
+        attendees: record.attendees || [],
+        timeZone: record.timeZone || null,
+        recurrence: record.recurrence || null,
+        reminderMinutes: record.reminderMinutes || null,
+        // The first release only created Google Calendar links
+        provider: record.provider || (record.calendarUrl ? 'google' : null),
+        createdAt: record.createdAt || startDate.toISOString(),
+        originalText: record.originalText || '',
+        confidence: typeof record.confidence === 'number' ? record.confidence : 0
+      };
+    }
+  }
+];
+
+const SCHEMA_VERSION = STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade one record from an older schema version to the current one
+ * @param {Object} record - An event record
+ * @param {number} fromVersion - The schema version it was written with
+ * @returns {Object|null} - The upgraded record, or null if a migration dropped it
+ */
+function migrateRecord(record, fromVersion) {
+  return STORAGE_MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((migrated, migration) => (migrated ? migration.migrateRecord({ ...migrated }) : null), record);
+}
+
+/**
+ * Upgrade the stored history to the current schema version
+ * The history is copied to CONFIG.HISTORY_BACKUP_KEY first. Records and the new version
+ * are written together, so a failed or interrupted run leaves the old history in place
+ * to be migrated again on the next start.
+ * @returns {Promise<boolean>} - True if the history was migrated
+ */
+async function runStorageMigrations() {
+  const result = await chrome.storage.local.get([CONFIG.SCHEMA_VERSION_KEY, CONFIG.STORAGE_KEY]);
+  const fromVersion = result[CONFIG.SCHEMA_VERSION_KEY] || 0;
+  const events = result[CONFIG.STORAGE_KEY] || [];
+
+  if (fromVersion >= SCHEMA_VERSION) {
+    if (fromVersion > SCHEMA_VERSION) {
+      // Written by a newer version of the extension; leave it as it is
+      logError(`History schema version ${fromVersion} is newer than this version of the extension (${SCHEMA_VERSION})`);
+    }
+    return false;
+  }
+
+  await chrome.storage.local.set({
+    [CONFIG.HISTORY_BACKUP_KEY]: { version: fromVersion, createdAt: new Date().toISOString(), events }
+  });
+
+  let migrated;
+  try {
+    STORAGE_MIGRATIONS.filter(pending => pending.version > fromVersion).forEach((migration) => {
+      log(`Migrating history to version ${migration.version}: ${migration.description}`);
+    });
+    migrated = events.map(record => migrateRecord(record, fromVersion)).filter(Boolean);
+  } catch (error) {
+    logError(`Error migrating history from version ${fromVersion}, keeping it as it was:`, error);
+    return false;
+  }
+
+  await chrome.storage.local.set({
+    [CONFIG.STORAGE_KEY]: migrated,
+    [CONFIG.SCHEMA_VERSION_KEY]: SCHEMA_VERSION
+  });
+  log(`Migrated ${migrated.length} event(s) from version ${fromVersion} to ${SCHEMA_VERSION}`);
+  return true;
+}
+
+/**
+ * Put back the history as it was before the last migration
+ * Events saved since then are replaced. The restored records keep their old schema version,
+ * so they're upgraded again the next time the migrations run.
+ * @returns {Promise<number|null>} - How many events were restored, or null if there is no backup
+ */
+async function restoreStorageBackup() {
+  const result = await chrome.storage.local.get([CONFIG.HISTORY_BACKUP_KEY]);
+  const backup = result[CONFIG.HISTORY_BACKUP_KEY];
+  if (!backup) {
+    return null;
+  }
+
+  await chrome.storage.local.set({
+    [CONFIG.STORAGE_KEY]: backup.events,
+    [CONFIG.SCHEMA_VERSION_KEY]: backup.version
+  });
+  log(`Restored ${backup.events.length} event(s) from the version ${backup.version} backup`);
+  return backup.events.length;
+}
+
+// =============================================================================
+// SETTINGS STORAGE
+// =============================================================================
+
+const DEFAULT_SETTINGS = {
+  calendarProvider: 'google',
+  previewBeforeCreate: true,
+  contacts: [], // [{ name, email }] for resolving @mentions to attendees
+  dateOrder: 'auto', // 'MDY', 'DMY', 'YMD', or 'auto' (browser locale) for numeric dates
+  language: 'auto', // Language pack code (see LANGUAGE_PACKS), or 'auto' to detect per selection
+  defaultReminderMinutes: 0, // Remind this long before each event; 0 for no reminder
+  historyLimit: 200, // Events kept in the history; the oldest are removed first
+  syncHistory: false, // Merge history and settings with other browsers through chrome.storage.sync
+
+  // Parser defaults (options page)
+  defaultDurationMinutes: 60,
+  defaultStartTime: '09:00', // Start time for events with a date but no time (when not all-day)
+  allDayForDateOnly: true, // Dates without a time become all-day events
+  morningTime: '09:00',
+  afternoonTime: '14:00',
+  eveningTime: '18:00',
+  nightTime: '20:00',
+  assumePmUntil: 7, // Bare hours from 1 up to this ("at 3", "3 o'clock") are PM; 0 turns it off
+
+  // Course schedule mode: classes repeat weekly from the first to the last day of term
+  termStart: '', // YYYY-MM-DD, or '' to start from today
+  termEnd: '' // YYYY-MM-DD, or '' to repeat with no end date
+};
+
+const SettingsStorage = {
+  /**
+   * Get user settings merged over the defaults
+   * @returns {Promise<Object>}
+   */
+  async getSettings() {
+    try {
+      const result = await chrome.storage.local.get([CONFIG.SETTINGS_KEY]);
+      return { ...DEFAULT_SETTINGS, ...(result[CONFIG.SETTINGS_KEY] || {}) };
+    } catch (error) {
+      logError('Error getting settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  },
+
+  /**
+   * Update one or more settings
+   * Unknown keys are ignored
+   * @param {Object} changes - Partial settings object
+   * @returns {Promise<Object>} - The updated settings
+   */
+  async updateSettings(changes) {
+    const settings = await this.getSettings();
+    const update = {};
+    for (const key of Object.keys(changes || {})) {
+      if (key in DEFAULT_SETTINGS) {
+        settings[key] = changes[key];
+        // When settings last changed, so the newest copy wins when syncing
+        if (!UNSYNCED_SETTINGS.includes(key)) {
+          update[CONFIG.SETTINGS_UPDATED_KEY] = new Date().toISOString();
+        }
+      }
+    }
+    update[CONFIG.SETTINGS_KEY] = settings;
+    await chrome.storage.local.set(update);
+    log('Settings updated:', settings);
+    return settings;
+  }
+};
+
+/**
+ * Read an "HH:MM" setting
+ * @returns {Object|null} - { hours, minutes }, or null if invalid
+ */
+function parseTimeSetting(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  return hours <= 23 && minutes <= 59 ? { hours, minutes } : null;
+}
+
+/**
+ * Read a "YYYY-MM-DD" setting as local midnight
+ * @returns {Date|null} - null if empty or invalid
+ */
+function parseDateSetting(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  return date.getDate() === parseInt(match[3], 10) ? date : null;
+}
+
+/**
+ * Read the history size setting
+ * @param {Object} settings - Settings from SettingsStorage
+ * @returns {number} - The default size if the setting is invalid
+ */
+function getHistoryLimit(settings) {
+  const limit = Number(settings.historyLimit);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_SETTINGS.historyLimit;
+}
+
+/**
+ * Pick the parser options out of the user's settings
+ * Invalid values fall back to the parser's built-in defaults
+ * @param {Object} settings - Settings from SettingsStorage
+ * @returns {Object} - Options for parseEventFromText
+ */
+function getParserOptions(settings) {
+  const durationMinutes = Number(settings.defaultDurationMinutes);
+  const assumePmUntil = Number(settings.assumePmUntil);
+
+  return {
+    contacts: settings.contacts,
+    dateOrder: settings.dateOrder,
+    language: settings.language,
+    defaultDurationMs: durationMinutes > 0 ?
+      durationMinutes * 60 * 1000 :
+      PARSER_DEFAULTS.defaultDurationMs,
+    defaultStartTime: parseTimeSetting(settings.defaultStartTime) || PARSER_DEFAULTS.defaultStartTime,
+    timesOfDay: {
+      morning: parseTimeSetting(settings.morningTime) || PARSER_DEFAULTS.timesOfDay.morning,
+      afternoon: parseTimeSetting(settings.afternoonTime) || PARSER_DEFAULTS.timesOfDay.afternoon,
+      evening: parseTimeSetting(settings.eveningTime) || PARSER_DEFAULTS.timesOfDay.evening,
+      night: parseTimeSetting(settings.nightTime) || PARSER_DEFAULTS.timesOfDay.night
+    },
+    assumePmUntil: Number.isInteger(assumePmUntil) && assumePmUntil >= 0 && assumePmUntil <= 11 ?
+      assumePmUntil :
+      PARSER_DEFAULTS.assumePmUntil,
+    allDayForDateOnly: settings.allDayForDateOnly !== false,
+    termStart: parseDateSetting(settings.termStart),
+    termEnd: parseDateSetting(settings.termEnd),
+    defaultReminderMinutes: Number(settings.defaultReminderMinutes) > 0 ?
+      Number(settings.defaultReminderMinutes) :
+      null
+  };
+}
+
 // =============================================================================
 // BADGE MANAGEMENT
 // =============================================================================
@@ -277,12 +741,34 @@ function incrementSessionCount() {
 
 // Create context menu item when extension is installed
 chrome.runtime.onInstalled.addListener(async () => {
+  // Before anything else reads the history
+  try {
+    await runStorageMigrations();
+  } catch (error) {
+    logError('Error running storage migrations:', error);
+  }
+
   try {
     await chrome.contextMenus.create({
       id: 'createCalendarEvent',
       title: '📅 Create Calendar Event',
       contexts: ['selection']
     });
+    await chrome.contextMenus.create({
+      id: 'downloadIcsFile',
+      title: '📥 Download .ics File',
+      contexts: ['selection']
+    });
+    await chrome.contextMenus.create({
+      id: 'createMultipleEvents',
+      title: '🗓️ Create Multiple Events (Schedule)',
+      contexts: ['selection']
+    });
+    await chrome.contextMenus.create({
+      id: 'createCourseSchedule',
+      title: '🎓 Create Course Schedule',
+      contexts: ['selection']
+    });
     log('Context menu created');
   } catch (error) {
     logError('Error creating context menu:', error);
@@ -290,6 +776,21 @@ chrome.runtime.onInstalled.addListener(async () => {
 
   // Clear badge on install/update
   updateBadge();
+
+  // Updates clear alarms
+  await restoreReminders();
+  const installSettings = await SettingsStorage.getSettings();
+  await updateSyncAlarm(installSettings.syncHistory);
+  requestSync();
+});
+
+// A restored backup, or an update that was interrupted, can leave older records in storage
+chrome.runtime.onStartup.addListener(async () => {
+  try {
+    await runStorageMigrations();
+  } catch (error) {
+    logError('Error running storage migrations:', error);
+  }
 });
 
 // =============================================================================
@@ -302,7 +803,12 @@ chrome.contextMenus.onClicked.addListener(async (info, _tab) => {
   console.log('menuItemId:', info.menuItemId);
   console.log('selectionText:', info.selectionText);
 
-  if (info.menuItemId !== 'createCalendarEvent' || !info.selectionText) {
+  const isCreate = info.menuItemId === 'createCalendarEvent';
+  const isDownload = info.menuItemId === 'downloadIcsFile';
+  const isBatch = info.menuItemId === 'createMultipleEvents';
+  const isCourses = info.menuItemId === 'createCourseSchedule';
+
+  if ((!isCreate && !isDownload && !isBatch && !isCourses) || !info.selectionText) {
     console.log('Early return - wrong menu or no selection');
     return;
   }
@@ -316,1206 +822,1931 @@ chrome.contextMenus.onClicked.addListener(async (info, _tab) => {
 
   console.log('Selected text:', selectedText);
 
+  if (isBatch || isCourses) {
+    await handleMultipleEvents(selectedText, isCourses);
+    console.log('=== CONTEXT MENU HANDLER END ===');
+    return;
+  }
+
+  await createEventFromSelection(selectedText, isDownload ? 'download' : 'open');
+  console.log('=== CONTEXT MENU HANDLER END ===');
+});
+
+/**
+ * Parse selected text and open it in the calendar provider (or download it),
+ * going through the preview window first if the user asked for it
+ * @param {string} selectedText - The selected text
+ * @param {string} mode - 'open' or 'download'
+ * @param {boolean|null} preview - true opens the preview and false skips it whatever the setting says;
+ *   null follows the setting
+ * @returns {Promise<void>}
+ */
+async function createEventFromSelection(selectedText, mode, preview = null) {
   try {
-    // Parse the text and create calendar URL
-    const eventData = parseEventFromText(selectedText);
+    // Parse the text
+    const settings = await SettingsStorage.getSettings();
+    const eventData = parseEventFromText(selectedText, getParserOptions(settings));
     console.log('Parsed event data:', JSON.stringify(eventData, (key, value) => {
-      if (value instanceof Date) return value.toISOString();
+      if (value instanceof Date) {
+        return value.toISOString();
+      }
       return value;
     }, 2));
 
-    const calendarUrl = createGoogleCalendarUrl(eventData);
-    console.log('Calendar URL:', calendarUrl);
-
-    // Open the calendar link
-    await chrome.tabs.create({ url: calendarUrl });
-    console.log('Calendar tab opened');
-
-    // Save to event history
-    try {
-      console.log('Attempting to save event...');
-      const saved = await EventStorage.saveEvent(eventData, calendarUrl, selectedText);
-      console.log('Event saved successfully:', JSON.stringify(saved, null, 2));
-      incrementSessionCount();
-      console.log('Session count incremented to:', sessionEventCount);
-
-      // Show success notification
-      await showNotification(
-        'Event Created!',
-        `"${eventData.title}" - ${formatDateForDisplay(eventData.startDate)}`
-      );
-    } catch (saveError) {
-      console.error('=== SAVE FAILED ===');
-      console.error('Error:', saveError);
-      console.error('Error message:', saveError.message);
-      console.error('Error stack:', saveError.stack);
-      logError('Failed to save event to history:', saveError);
-      // Don't block the user - calendar link is already open
+    if (preview === null ? settings.previewBeforeCreate : preview) {
+      // Let the user review and correct the parse first
+      await openPreviewWindow(eventData, selectedText, mode);
+      console.log('Preview window opened');
+    } else {
+      await completeEvent(eventData, selectedText, mode);
     }
   } catch (error) {
-    console.error('=== CONTEXT MENU HANDLER FAILED ===');
+    console.error('=== CREATE FROM SELECTION FAILED ===');
     console.error('Error:', error);
     logError('Error creating calendar event:', error);
     // Try to show an error notification
-    await showNotification('Error', 'Failed to create calendar event. Please try again.');
+    await showNotification('Error', mode === 'download' ?
+      'Failed to download calendar file. Please try again.' :
+      'Failed to create calendar event. Please try again.');
   }
-  console.log('=== CONTEXT MENU HANDLER END ===');
+}
+
+// =============================================================================
+// KEYBOARD SHORTCUTS
+// =============================================================================
+
+// Handle the shortcuts declared under "commands" in the manifest
+// create-event goes straight to the calendar and preview-event always opens the preview
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const isCreate = command === 'create-event';
+  const isPreview = command === 'preview-event';
+  if (!isCreate && !isPreview) {
+    return;
+  }
+
+  const selectedText = await getTabSelection(tab);
+  if (!selectedText) {
+    await showNotification('No Text Selected', 'Highlight the event text on the page, then press the shortcut again.');
+    return;
+  }
+
+  await createEventFromSelection(selectedText, 'open', isPreview);
 });
 
 /**
- * Format date for display in notifications
+ * Read the selected text in a tab, including text selected in a text box or a frame
+ * The shortcut grants activeTab, so this works on the page the user is looking at.
+ * @param {Object} tab - The tab the shortcut was pressed in
+ * @returns {Promise<string>} - The trimmed selection, or '' if there is none or the page can't be read
  */
-function formatDateForDisplay(date) {
+async function getTabSelection(tab) {
+  if (!tab || tab.id === undefined) {
+    return '';
+  }
+
   try {
-    return date.toLocaleDateString(undefined, {
-      weekday: 'short',
-      month: 'short',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit'
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, allFrames: true },
+      func: () => {
+        // window.getSelection() doesn't include text selected inside inputs and textareas
+        const active = document.activeElement;
+        if (active && /^(?:INPUT|TEXTAREA)$/.test(active.tagName) && typeof active.selectionStart === 'number') {
+          return active.value.substring(active.selectionStart, active.selectionEnd);
+        }
+        return window.getSelection().toString();
+      }
     });
+    const selection = results.map(result => (result.result || '').trim()).find(Boolean);
+    return selection || '';
   } catch (error) {
-    return date.toString();
+    // e.g. chrome:// pages and the Web Store can't be scripted
+    logError('Could not read the selection:', error);
+    return '';
   }
 }
 
-// =============================================================================
-// MESSAGE HANDLER (for popup communication)
-// =============================================================================
+/**
+ * Open the event in the selected provider (or download it), then save it to history
+ * @param {Object} eventData - Parsed (and possibly corrected) event data
+ * @param {string} originalText - The original selected text
+ * @param {string} mode - 'open' to open the calendar provider, 'download' for an .ics file
+ * @param {Object|null} originalParse - The parser's output, if the user corrected it
+ * @returns {Promise<void>}
+ */
+async function completeEvent(eventData, originalText, mode, originalParse = null) {
+  const isDownload = mode === 'download';
+  const settings = await SettingsStorage.getSettings();
+  const provider = getCalendarProvider(settings.calendarProvider);
+
+  if (isDownload) {
+    // Download an iCalendar file instead of opening a calendar provider
+    await downloadIcsFile(eventData);
+    console.log('ICS file downloaded');
+  } else {
+    // Open the calendar link in the selected provider
+    const calendarUrl = provider.createUrl(eventData);
+    console.log('Calendar URL:', calendarUrl);
+    await chrome.tabs.create({ url: calendarUrl });
+    console.log('Calendar tab opened');
+  }
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('=== MESSAGE RECEIVED ===');
-  console.log('Message:', JSON.stringify(message, null, 2));
-  console.log('Sender:', sender.id);
-  handleMessage(message)
-    .then(response => {
-      console.log('Sending response:', JSON.stringify(response, null, 2));
-      sendResponse(response);
-    })
-    .catch(error => {
-      console.error('Message handler error:', error);
-      sendResponse({ success: false, error: error.message });
+  // Save to event history
+  try {
+    console.log('Attempting to save event...');
+    const saved = await EventStorage.saveEvent(eventData, originalText, {
+      provider: isDownload ? 'ics' : provider.id,
+      originalParse
     });
-  return true; // Keep channel open for async response
-});
+    console.log('Event saved successfully:', JSON.stringify(saved, null, 2));
+    incrementSessionCount();
+    console.log('Session count incremented to:', sessionEventCount);
+    const reminder = await scheduleReminder(saved);
+
+    // Show success notification
+    let message = `"${eventData.title}" - ${formatEventWhenForDisplay(eventData)}`;
+    const sourceTime = formatSourceZoneTime(eventData.startDate, eventData.timeZone);
+    if (sourceTime) {
+      // Local time first, then the time as written
+      message += ` (${sourceTime})`;
+    }
+    if (!isDownload && eventData.recurrence.isRecurring && !provider.supportsRecurrence) {
+      // Only Google Calendar links carry an RRULE
+      message += `\n${provider.name} links can't repeat - set the recurrence manually.`;
+    }
+    if (reminder) {
+      message += `\n⏰ Reminder ${formatReminderLead(reminder.minutesBefore)} before`;
+    }
+    await showNotification(
+      isDownload ? 'Calendar File Downloaded!' : 'Event Created!',
+      message
+    );
+  } catch (saveError) {
+    console.error('=== SAVE FAILED ===');
+    console.error('Error:', saveError);
+    console.error('Error message:', saveError.message);
+    console.error('Error stack:', saveError.stack);
+    logError('Failed to save event to history:', saveError);
+    // Don't block the user - calendar link is already open
+  }
+}
 
-async function handleMessage(message) {
-  switch (message.action) {
-  case 'getRecentEvents':
-    console.log('Handling getRecentEvents action...');
-    const events = await EventStorage.getRecentEvents(message.limit || 5);
-    console.log('getRecentEvents returning', events.length, 'events');
-    return { success: true, events };
+// =============================================================================
+// OMNIBOX ("cal" in the address bar)
+// =============================================================================
 
-  case 'clearHistory':
-    await EventStorage.clearHistory();
-    return { success: true };
+const OMNIBOX_HINT = 'Type an event, e.g. "dentist next Tuesday 2:30pm"';
 
-  case 'getEvent':
-    const event = await EventStorage.getEvent(message.id);
-    return { success: true, event };
+// Entering this suggestion opens the preview instead of the calendar
+const OMNIBOX_REVIEW_PREFIX = 'review: ';
 
-  case 'deleteEvent':
-    const deleted = await EventStorage.deleteEvent(message.id);
-    return { success: true, deleted };
+chrome.omnibox.onInputStarted.addListener(() => {
+  chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_HINT });
+});
 
-  case 'getSessionCount':
-    return { success: true, count: sessionEventCount };
+// Show the parse live as the user types
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  const eventText = text.trim();
+  if (!eventText) {
+    chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_HINT });
+    return;
+  }
 
-  default:
-    return { success: false, error: 'Unknown action' };
+  try {
+    const settings = await SettingsStorage.getSettings();
+    const eventData = parseEventFromText(eventText, getParserOptions(settings));
+    const description = describeOmniboxEvent(eventData);
+
+    chrome.omnibox.setDefaultSuggestion({ description: `Create ${description}` });
+    suggest([{
+      content: `${OMNIBOX_REVIEW_PREFIX}${eventText}`,
+      description: `Review and edit ${description}`
+    }]);
+  } catch (error) {
+    logError('Error parsing omnibox text:', error);
+  }
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text) => {
+  const review = text.startsWith(OMNIBOX_REVIEW_PREFIX);
+  const eventText = (review ? text.substring(OMNIBOX_REVIEW_PREFIX.length) : text).trim();
+  if (eventText) {
+    // Enter creates the event right away; the "Review and edit" suggestion always opens the preview
+    await createEventFromSelection(eventText, 'open', review);
+  }
+});
+
+/**
+ * Describe a parsed event for an omnibox suggestion (XML markup), e.g.
+ * <match>Dentist</match> · Tue, Oct 20, 2:30 PM <dim>· ✓ 80%</dim>
+ */
+function describeOmniboxEvent(eventData) {
+  const parts = [formatEventWhenForDisplay(eventData)];
+  if (eventData.location) {
+    parts.push(`📍 ${eventData.location}`);
   }
+  if (eventData.recurrence.isRecurring) {
+    parts.push('🔁 repeats');
+  }
+
+  return `<match>${escapeOmniboxText(eventData.title)}</match> · ${escapeOmniboxText(parts.join(' · '))} ` +
+    `<dim>· ${formatConfidenceSymbol(eventData.confidence)} ${Math.round(eventData.confidence * 100)}%</dim>`;
+}
+
+/**
+ * Escape text for omnibox suggestion descriptions, which are XML
+ */
+function escapeOmniboxText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
 }
 
 // =============================================================================
-// MAIN PARSING FUNCTION
+// PREVIEW WINDOW
 // =============================================================================
 
 /**
- * Parse selected text to extract event details with confidence scoring
- * @param {string} text - The selected text to parse
- * @returns {Object} - { title, startDate, endDate, description, confidence, recurrence }
+ * Convert event data to a JSON-safe object (dates as ISO strings)
  */
-function parseEventFromText(text) {
-  const now = new Date();
-  const parseResult = {
-    title: null,
-    startDate: null,
-    endDate: null,
-    description: text,
-    confidence: 0,
-    recurrence: {
-      isRecurring: false,
-      days: [],
-      frequency: null
-    }
+function serializeEventData(eventData) {
+  return {
+    title: eventData.title,
+    startDate: eventData.startDate.toISOString(),
+    endDate: eventData.endDate.toISOString(),
+    allDay: eventData.allDay || false,
+    description: eventData.description,
+    location: eventData.location || null,
+    attendees: eventData.attendees || [],
+    timeZone: eventData.timeZone || null,
+    language: eventData.language || 'en',
+    confidence: eventData.confidence || 0,
+    ambiguousDate: eventData.ambiguousDate || false,
+    recurrence: eventData.recurrence,
+    reminderMinutes: eventData.reminderMinutes || null
   };
+}
 
-  // Track what we successfully parsed for confidence calculation
-  const parsed = {
-    date: false,
-    time: false,
-    duration: false,
-    endTime: false
-  };
+/**
+ * Open the preview/edit window for a parsed event
+ * The pending parse is kept in session storage so it survives service worker restarts
+ * @param {Object} eventData - Parsed event data
+ * @param {string} originalText - The original selected text
+ * @param {string} mode - 'open' or 'download'
+ * @returns {Promise<string>} - The preview ID
+ */
+async function openPreviewWindow(eventData, originalText, mode) {
+  const previewId = EventStorage.generateId();
+  await savePendingPreview(previewId, {
+    event: serializeEventData(eventData),
+    originalText,
+    mode
+  });
+
+  await chrome.windows.create({
+    url: `preview.html?id=${encodeURIComponent(previewId)}`,
+    type: 'popup',
+    width: 440,
+    height: 640
+  });
+
+  return previewId;
+}
+
+/**
+ * Store a pending preview (single event or batch) by ID
+ * @param {string} previewId - The preview ID
+ * @param {Object} data - Preview data
+ */
+async function savePendingPreview(previewId, data) {
+  const result = await chrome.storage.session.get([CONFIG.PREVIEW_KEY]);
+  const previews = result[CONFIG.PREVIEW_KEY] || {};
+  previews[previewId] = data;
+  await chrome.storage.session.set({ [CONFIG.PREVIEW_KEY]: previews });
+}
 
-  log('Parsing text:', text);
-
-  // Extract title
-  parseResult.title = extractTitle(text);
-
-  // Extract date
-  const dateResult = extractDate(text, now);
-  let baseDate = null;
-  if (dateResult.date) {
-    baseDate = dateResult.date;
-    parsed.date = true;
-    log('Extracted date:', baseDate, `(${dateResult.type})`);
-  }
-
-  // Check for time range FIRST (e.g., "6-8pm", "10am-2pm")
-  const timeRangeResult = extractTimeRange(text);
-  let startHours = null;
-  let startMinutes = 0;
-  let durationMs = CONFIG.DEFAULT_DURATION_MS;
-  let durationFromRange = false;
-
-  if (timeRangeResult.found) {
-    // Use time range for both start time and duration
-    startHours = timeRangeResult.startHours;
-    startMinutes = timeRangeResult.startMinutes;
-    parsed.time = true;
-    parsed.endTime = true;
-
-    // Calculate duration from the range
-    const startTotalMinutes = timeRangeResult.startHours * 60 + timeRangeResult.startMinutes;
-    let endTotalMinutes = timeRangeResult.endHours * 60 + timeRangeResult.endMinutes;
-
-    // If end is before start, assume next day
-    if (endTotalMinutes <= startTotalMinutes) {
-      endTotalMinutes += 24 * 60;
+/**
+ * Get a pending preview by ID
+ * @param {string} previewId - The preview ID
+ * @returns {Promise<Object|null>} - { event, originalText, mode } or null
+ */
+async function getPendingPreview(previewId) {
+  const result = await chrome.storage.session.get([CONFIG.PREVIEW_KEY]);
+  const previews = result[CONFIG.PREVIEW_KEY] || {};
+  return previews[previewId] || null;
+}
+
+/**
+ * Remove a pending preview once it is confirmed or cancelled
+ * @param {string} previewId - The preview ID
+ */
+async function removePendingPreview(previewId) {
+  const result = await chrome.storage.session.get([CONFIG.PREVIEW_KEY]);
+  const previews = result[CONFIG.PREVIEW_KEY] || {};
+  delete previews[previewId];
+  await chrome.storage.session.set({ [CONFIG.PREVIEW_KEY]: previews });
+}
+
+/**
+ * Confirm a preview: complete the event with the user's corrections
+ * @param {string} previewId - The preview ID
+ * @param {Object} edited - Serialized event data from the preview form
+ * @returns {Promise<Object>} - Message response
+ */
+async function confirmPreview(previewId, edited) {
+  const pending = await getPendingPreview(previewId);
+  if (!pending) {
+    return { success: false, error: 'Preview not found' };
+  }
+
+  const eventData = eventDataFromRecord({ ...pending.event, ...edited });
+  if (!isValidDate(eventData.startDate) || !isValidDate(eventData.endDate)) {
+    return { success: false, error: 'Invalid start or end date' };
+  }
+  if (eventData.endDate < eventData.startDate) {
+    return { success: false, error: 'End must be after start' };
+  }
+
+  await completeEvent(eventData, pending.originalText, pending.mode, pending.event);
+  await removePendingPreview(previewId);
+  return { success: true };
+}
+
+// =============================================================================
+// BATCH (MULTI-EVENT) WINDOW
+// =============================================================================
+
+/**
+ * Split a selection into events and open the checklist window
+ * @param {string} selectedText - The selected text
+ * @param {boolean} courses - Read the selection as a course schedule (one weekly event per class line)
+ */
+async function handleMultipleEvents(selectedText, courses = false) {
+  try {
+    const settings = await SettingsStorage.getSettings();
+    const options = getParserOptions(settings);
+    const candidates = courses ?
+      parseCourseSchedule(selectedText, options) :
+      parseMultipleEvents(selectedText, options);
+    log(`Found ${candidates.length} candidate events`);
+
+    if (candidates.length === 0) {
+      await showNotification('No Events Found', courses ?
+        'Could not find any class meetings (course, days and times) in the selection.' :
+        'Could not find any dated lines in the selection.');
+      return;
     }
 
-    durationMs = (endTotalMinutes - startTotalMinutes) * 60 * 1000;
-    durationFromRange = true;
-    parsed.duration = true;
+    const batchId = EventStorage.generateId('batch');
+    await savePendingPreview(batchId, {
+      events: candidates.map(candidate => ({
+        segment: candidate.segment,
+        event: serializeEventData(candidate.event)
+      })),
+      originalText: selectedText,
+      mode: 'batch',
+      notice: courses ? getTermNotice(options) : null
+    });
+
+    await chrome.windows.create({
+      url: `batch.html?id=${encodeURIComponent(batchId)}`,
+      type: 'popup',
+      width: 520,
+      height: 680
+    });
+  } catch (error) {
+    logError('Error creating multiple events:', error);
+    await showNotification('Error', 'Failed to parse events. Please try again.');
+  }
+}
+
+/**
+ * Explain missing or outdated term dates for course schedules
+ * @param {Object} options - Parser options from getParserOptions
+ * @returns {string|null}
+ */
+function getTermNotice(options) {
+  if (!options.termEnd) {
+    return 'No term end date is set, so these classes repeat with no end. Set the term dates in Options.';
+  }
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (options.termEnd < today) {
+    return 'The term end date in Options has passed - update it before creating these classes.';
+  }
+  return null;
+}
+
+/**
+ * Create the events the user checked in the batch window
+ * Each event is saved as its own history record, linked by the batch ID
+ * @param {string} batchId - The batch (pending preview) ID
+ * @param {Array<Object>} selections - [{ index, title }] for each checked event
+ * @param {string} mode - 'open' to open each in the calendar provider, 'download' for one .ics file
+ * @returns {Promise<Object>} - Message response
+ */
+async function confirmBatch(batchId, selections, mode) {
+  const pending = await getPendingPreview(batchId);
+  if (!pending || !pending.events) {
+    return { success: false, error: 'Batch not found' };
+  }
+
+  const chosen = (selections || [])
+    .filter(selection => pending.events[selection.index])
+    .map(selection => {
+      const candidate = pending.events[selection.index];
+      const title = (selection.title || '').trim() || candidate.event.title;
+      return {
+        candidate,
+        eventData: eventDataFromRecord({ ...candidate.event, title })
+      };
+    });
+
+  if (chosen.length === 0) {
+    return { success: false, error: 'No events selected' };
+  }
+
+  const isDownload = mode === 'download';
+  const settings = await SettingsStorage.getSettings();
+  const provider = getCalendarProvider(settings.calendarProvider);
 
-    log(`Extracted time range: ${startHours}:${String(startMinutes).padStart(2, '0')} - ${timeRangeResult.endHours}:${String(timeRangeResult.endMinutes).padStart(2, '0')} (${timeRangeResult.type})`);
-    log(`Duration from range: ${durationMs / 60000} minutes`);
+  if (isDownload) {
+    await downloadIcsFile(chosen.map(item => item.eventData), 'text-to-calendar-events.ics');
   } else {
-    // Fall back to single time extraction
-    const timeResult = extractTime(text);
-    if (timeResult.found) {
-      startHours = timeResult.hours;
-      startMinutes = timeResult.minutes;
-      parsed.time = true;
-      log(`Extracted time: ${startHours}:${String(startMinutes).padStart(2, '0')} (${timeResult.type})`);
+    for (let i = 0; i < chosen.length; i++) {
+      // Only focus the first tab so the rest open in the background
+      await chrome.tabs.create({ url: provider.createUrl(chosen[i].eventData), active: i === 0 });
     }
   }
 
-  // Extract duration or end time (only if not already from time range)
-  if (!durationFromRange) {
-    const durationResult = extractDuration(text, startHours, startMinutes);
-    durationMs = durationResult.duration;
-    if (durationResult.found) {
-      parsed.duration = true;
-      if (durationResult.type === 'until') {
-        parsed.endTime = true;
-      }
-      log(`Extracted duration: ${durationMs / 60000} minutes (${durationResult.type})`);
+  let savedCount = 0;
+  for (const item of chosen) {
+    try {
+      const saved = await EventStorage.saveEvent(item.eventData, item.candidate.segment, {
+        provider: isDownload ? 'ics' : provider.id,
+        originalParse: item.candidate.event,
+        batchId
+      });
+      incrementSessionCount();
+      await scheduleReminder(saved);
+      savedCount++;
+    } catch (saveError) {
+      logError('Failed to save batch event to history:', saveError);
     }
   }
 
-  // Assemble the start date/time
-  if (baseDate) {
-    parseResult.startDate = new Date(baseDate);
-    if (startHours !== null) {
-      parseResult.startDate.setHours(startHours, startMinutes, 0, 0);
+  await removePendingPreview(batchId);
+  await showNotification(
+    isDownload ? 'Calendar File Downloaded!' : 'Events Created!',
+    `${chosen.length} event${chosen.length === 1 ? '' : 's'} from your selection`
+  );
+
+  return { success: true, created: chosen.length, saved: savedCount };
+}
+
+/**
+ * Format an event's date for notifications: the start time, or the days of an all-day event
+ */
+function formatEventWhenForDisplay(eventData) {
+  if (!eventData.allDay) {
+    return formatDateForDisplay(eventData.startDate);
+  }
+
+  const dayOptions = { weekday: 'short', month: 'short', day: 'numeric' };
+  const lastDay = new Date(eventData.endDate);
+  lastDay.setDate(lastDay.getDate() - 1);
+  const firstDayText = eventData.startDate.toLocaleDateString(undefined, dayOptions);
+  return lastDay > eventData.startDate ?
+    `${firstDayText} – ${lastDay.toLocaleDateString(undefined, dayOptions)} (all day)` :
+    `${firstDayText} (all day)`;
+}
+
+/**
+ * Format date for display in notifications
+ */
+function formatDateForDisplay(date) {
+  try {
+    return date.toLocaleDateString(undefined, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  } catch (error) {
+    return date.toString();
+  }
+}
+
+// =============================================================================
+// REMINDERS
+// =============================================================================
+
+// Pending reminders are kept in storage as well as in chrome.alarms, which
+// aren't guaranteed to survive a browser restart; restoreReminders re-creates them.
+
+/**
+ * Get pending reminders, soonest first
+ * @returns {Promise<Array>} - [{ eventId, title, startDate, endDate, allDay, location, minutesBefore, remindAt }]
+ */
+async function getReminders() {
+  try {
+    const result = await chrome.storage.local.get([CONFIG.REMINDERS_KEY]);
+    const reminders = result[CONFIG.REMINDERS_KEY] || [];
+    return reminders.sort((a, b) => new Date(a.remindAt) - new Date(b.remindAt));
+  } catch (error) {
+    logError('Error getting reminders:', error);
+    return [];
+  }
+}
+
+/**
+ * Schedule the reminder for a saved event record, if it has one
+ * Reminders for repeating events are for the first occurrence only.
+ * @param {Object} record - Event record from EventStorage
+ * @returns {Promise<Object|null>} - The reminder, or null if none was set or its time has passed
+ */
+async function scheduleReminder(record) {
+  if (!record.reminderMinutes) {
+    return null;
+  }
+
+  const remindAt = new Date(new Date(record.startDate).getTime() - record.reminderMinutes * 60000);
+  if (remindAt <= new Date()) {
+    log('Reminder time has passed, not scheduling:', record.title);
+    return null;
+  }
+
+  const reminder = {
+    eventId: record.id,
+    title: record.title,
+    startDate: record.startDate,
+    endDate: record.endDate,
+    allDay: record.allDay || false,
+    location: record.location || null,
+    minutesBefore: record.reminderMinutes,
+    remindAt: remindAt.toISOString()
+  };
+
+  const reminders = (await getReminders()).filter(existing => existing.eventId !== record.id);
+  reminders.push(reminder);
+  await chrome.storage.local.set({ [CONFIG.REMINDERS_KEY]: reminders });
+  await chrome.alarms.create(`${CONFIG.REMINDER_ALARM_PREFIX}${record.id}`, { when: remindAt.getTime() });
+  log('Reminder scheduled for', remindAt.toString(), record.title);
+
+  return reminder;
+}
+
+/**
+ * Cancel an event's reminder
+ * @param {string} eventId - The event ID
+ * @returns {Promise<boolean>} - True if a reminder was cancelled
+ */
+async function cancelReminder(eventId) {
+  const reminders = await getReminders();
+  const remaining = reminders.filter(reminder => reminder.eventId !== eventId);
+  await chrome.alarms.clear(`${CONFIG.REMINDER_ALARM_PREFIX}${eventId}`);
+
+  if (remaining.length === reminders.length) {
+    return false;
+  }
+  await chrome.storage.local.set({ [CONFIG.REMINDERS_KEY]: remaining });
+  log('Reminder cancelled:', eventId);
+  return true;
+}
+
+/**
+ * Show an event's reminder and remove it from the pending list
+ * @param {string} eventId - The event ID
+ */
+async function fireReminder(eventId) {
+  const reminders = await getReminders();
+  const reminder = reminders.find(pending => pending.eventId === eventId);
+  if (!reminder) {
+    return;
+  }
+
+  await chrome.storage.local.set({
+    [CONFIG.REMINDERS_KEY]: reminders.filter(pending => pending.eventId !== eventId)
+  });
+
+  let message = formatEventWhenForDisplay({
+    startDate: new Date(reminder.startDate),
+    endDate: new Date(reminder.endDate),
+    allDay: reminder.allDay
+  });
+  if (reminder.location) {
+    message += `\n📍 ${reminder.location}`;
+  }
+  await showNotification(`⏰ ${reminder.title}`, message, { silent: false, requireInteraction: true });
+}
+
+/**
+ * Re-create alarms after a browser restart or extension update
+ * Reminders missed while the browser was closed are shown now if the event hasn't started yet.
+ */
+async function restoreReminders() {
+  const now = new Date();
+  for (const reminder of await getReminders()) {
+    const name = `${CONFIG.REMINDER_ALARM_PREFIX}${reminder.eventId}`;
+    if (new Date(reminder.remindAt) > now) {
+      if (!(await chrome.alarms.get(name))) {
+        await chrome.alarms.create(name, { when: new Date(reminder.remindAt).getTime() });
+      }
+    } else if (new Date(reminder.startDate) > now) {
+      await fireReminder(reminder.eventId);
     } else {
-      // Date found but no time - default to 9 AM
-      parseResult.startDate.setHours(9, 0, 0, 0);
-      log('No time found, defaulting to 9:00 AM');
-    }
-  } else if (startHours !== null) {
-    // Time found but no date - use today or tomorrow
-    parseResult.startDate = new Date(now);
-    parseResult.startDate.setHours(startHours, startMinutes, 0, 0);
-
-    // If time has already passed today, use tomorrow
-    if (parseResult.startDate <= now) {
-      parseResult.startDate.setDate(parseResult.startDate.getDate() + 1);
-      log('Time has passed, using tomorrow');
+      await cancelReminder(reminder.eventId);
     }
+  }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name.startsWith(CONFIG.REMINDER_ALARM_PREFIX)) {
+    await fireReminder(alarm.name.substring(CONFIG.REMINDER_ALARM_PREFIX.length));
+  }
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+  await restoreReminders();
+});
+
+// =============================================================================
+// HISTORY SYNC (opt-in, through chrome.storage.sync)
+// =============================================================================
+
+// Event records, tombstones and settings are merged across the browsers signed in to
+// the same account. The merged data is stored as one JSON document split over several
+// chrome.storage.sync items, since each item is limited to 8 KB.
+// Records aren't edited after they're saved, so the newest write of an id is its createdAt;
+// a tombstone newer than that removes the event everywhere.
+
+const SYNC_KEY = 'historySync'; // Holds { version, chunks, updatedAt }; chunks are historySync_0, _1, ...
+const SYNC_ALARM = 'historySync';
+const SYNC_DELAY_MS = 2000; // Batch changes made close together into one write
+const SYNC_INTERVAL_MINUTES = 30; // Retry after quota errors and catch missed changes
+const TOMBSTONE_MAX_AGE_DAYS = 30;
+const UNSYNCED_SETTINGS = ['syncHistory']; // Each browser opts in separately
+
+let syncTimer = null;
+let syncQueue = Promise.resolve();
+
+/**
+ * Sync shortly, after any other changes made at the same time
+ */
+function requestSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    // One sync at a time, so a merge never reads another's half-written data
+    syncQueue = syncQueue.then(syncHistory).catch(error => logError('Error syncing history:', error));
+  }, SYNC_DELAY_MS);
+}
+
+/**
+ * Turn the periodic sync alarm on or off to match the setting
+ * @param {boolean} enabled
+ */
+async function updateSyncAlarm(enabled) {
+  if (enabled) {
+    await chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_INTERVAL_MINUTES });
   } else {
-    // No date or time found - default to next whole hour
-    parseResult.startDate = new Date(now);
-    parseResult.startDate.setMinutes(0, 0, 0);
-    parseResult.startDate.setHours(parseResult.startDate.getHours() + 1);
-    log('No date/time found, defaulting to next hour');
-  }
-
-  // Calculate end date
-  parseResult.endDate = new Date(parseResult.startDate.getTime() + durationMs);
-
-  // Check for recurring weekday patterns (MWF, TTh, etc.)
-  const weekdayResult = parseWeekdays(text);
-  if (weekdayResult.found) {
-    parseResult.recurrence = {
-      isRecurring: true,
-      days: weekdayResult.days,
-      frequency: 'WEEKLY'
-    };
-    log('Found recurring pattern:', weekdayResult.days.join(','), `(from "${weekdayResult.original}")`);
-
-    // If no explicit date was found, use the next occurrence of the first day
-    if (!parsed.date && weekdayResult.days.length > 0) {
-      const nextDay = getNextWeekday(now, weekdayResult.days[0]);
-      parseResult.startDate.setFullYear(nextDay.getFullYear());
-      parseResult.startDate.setMonth(nextDay.getMonth());
-      parseResult.startDate.setDate(nextDay.getDate());
-      log('Set start date to next', weekdayResult.days[0], ':', parseResult.startDate.toDateString());
-
-      // Recalculate end date
-      parseResult.endDate = new Date(parseResult.startDate.getTime() + durationMs);
+    await chrome.alarms.clear(SYNC_ALARM);
+  }
+}
+
+/**
+ * Get the byte size chrome.storage.sync counts for an item: its key plus its value as JSON
+ */
+function getSyncItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Split a document into pieces that each fit in one chrome.storage.sync item
+ * @param {string} text - The JSON document
+ * @returns {Object} - Items to store, keyed historySync_0, historySync_1, ...
+ */
+function splitIntoSyncChunks(text) {
+  const maxBytes = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192;
+  const chunks = {};
+  let start = 0;
+
+  while (start < text.length) {
+    const key = `${SYNC_KEY}_${Object.keys(chunks).length}`;
+    // Quotes and non-ASCII text take more than one byte each once stored, so shrink until it fits
+    let end = Math.min(text.length, start + maxBytes);
+    while (getSyncItemBytes(key, text.slice(start, end)) > maxBytes) {
+      end = start + Math.floor((end - start) * 0.9);
     }
+    chunks[key] = text.slice(start, end);
+    start = end;
+  }
+
+  return chunks;
+}
+
+/**
+ * Read the synced document
+ * @returns {Promise<Object|null>} - { data, text }, where data is { events, tombstones, settings,
+ *   settingsUpdatedAt, schemaVersion } and text is the stored JSON; null if nothing has been synced yet
+ * @throws {Error} - If the chunks don't fit together (another browser is part way through writing)
+ */
+async function readSyncedHistory() {
+  const items = await chrome.storage.sync.get(null);
+  const meta = items[SYNC_KEY];
+  if (!meta) {
+    return null;
+  }
+
+  let text = '';
+  for (let i = 0; i < meta.chunks; i++) {
+    text += items[`${SYNC_KEY}_${i}`] || '';
+  }
+  return { data: JSON.parse(text), text };
+}
+
+/**
+ * Serialize the document to sync, dropping the oldest events that don't fit the quota
+ * @param {Object} data - { events (newest first), tombstones, settings, settingsUpdatedAt }
+ * @returns {Object} - { text, eventCount }
+ */
+function createSyncedText(data) {
+  // Leave room for the chunk keys and the quote escaping in each chunk
+  const budget = (chrome.storage.sync.QUOTA_BYTES || 102400) * 0.75;
+  let events = data.events;
+  let text = JSON.stringify({ ...data, events });
+  let bytes = new TextEncoder().encode(text).length;
+
+  while (bytes > budget && events.length > 0) {
+    events = events.slice(0, Math.min(events.length - 1, Math.floor(events.length * budget / bytes)));
+    text = JSON.stringify({ ...data, events });
+    bytes = new TextEncoder().encode(text).length;
   }
 
-  // Calculate confidence score (0-1)
-  parseResult.confidence = calculateConfidence(parsed, text);
-  log('Confidence score:', parseResult.confidence);
+  if (events.length < data.events.length) {
+    log(`Sync quota reached: syncing the newest ${events.length} of ${data.events.length} events`);
+  }
+  return { text, eventCount: events.length };
+}
+
+/**
+ * Store the synced document in as many items as it needs, removing any left over from a longer one
+ * @param {string} text - From createSyncedText
+ */
+async function writeSyncedHistory(text) {
+  const items = await chrome.storage.sync.get([SYNC_KEY]);
+  const previousChunks = items[SYNC_KEY] ? items[SYNC_KEY].chunks : 0;
+  const chunks = splitIntoSyncChunks(text);
+  const chunkCount = Object.keys(chunks).length;
+
+  await chrome.storage.sync.set({ ...chunks, [SYNC_KEY]: { version: 1, chunks: chunkCount } });
 
-  return parseResult;
+  const staleKeys = [];
+  for (let i = chunkCount; i < previousChunks; i++) {
+    staleKeys.push(`${SYNC_KEY}_${i}`);
+  }
+  if (staleKeys.length > 0) {
+    await chrome.storage.sync.remove(staleKeys);
+  }
 }
 
 /**
- * Calculate confidence score based on what was successfully parsed
+ * Merge two copies of the history, last writer wins by event id
+ * @param {Object} local - { events, tombstones }
+ * @param {Object} remote - { events, tombstones }
+ * @returns {Object} - { events (newest first), tombstones }
  */
-function calculateConfidence(parsed, text) {
-  let score = 0;
-  const weights = {
-    date: 0.35,
-    time: 0.35,
-    duration: 0.20,
-    textLength: 0.10
+function mergeSyncedEvents(local, remote) {
+  const tombstones = { ...local.tombstones };
+  for (const [id, deletedAt] of Object.entries(remote.tombstones || {})) {
+    if (!tombstones[id] || new Date(deletedAt) > new Date(tombstones[id])) {
+      tombstones[id] = deletedAt;
+    }
+  }
+
+  // Forget tombstones once every browser has had time to see them
+  const oldest = Date.now() - TOMBSTONE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  for (const [id, deletedAt] of Object.entries(tombstones)) {
+    if (new Date(deletedAt).getTime() < oldest) {
+      delete tombstones[id];
+    }
+  }
+
+  const byId = new Map();
+  for (const record of [...local.events, ...(remote.events || [])]) {
+    const existing = byId.get(record.id);
+    if (!existing || new Date(record.createdAt) > new Date(existing.createdAt)) {
+      byId.set(record.id, record);
+    }
+  }
+
+  // Ties and key order are settled by id, so every browser serializes the same merge identically
+  const events = [...byId.values()]
+    .filter(record => !tombstones[record.id] || new Date(tombstones[record.id]) < new Date(record.createdAt))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || (a.id < b.id ? -1 : 1));
+
+  return {
+    events,
+    tombstones: Object.fromEntries(Object.entries(tombstones).sort(([a], [b]) => (a < b ? -1 : 1)))
   };
+}
 
-  if (parsed.date) {
-    score += weights.date;
+/**
+ * Merge the local history and settings with the synced copy, then save whichever side changed
+ */
+async function syncHistory() {
+  const settings = await SettingsStorage.getSettings();
+  if (!settings.syncHistory) {
+    return;
   }
-  if (parsed.time) {
-    score += weights.time;
+
+  // Merge records of the same shape on both sides
+  await runStorageMigrations();
+
+  let remote;
+  try {
+    remote = await readSyncedHistory();
+  } catch (error) {
+    // Another browser is part way through writing; its change will trigger another sync
+    log('Synced history is incomplete, skipping:', error.message);
+    return;
   }
-  if (parsed.duration || parsed.endTime) {
-    score += weights.duration;
+  const remoteData = remote ?
+    remote.data :
+    { events: [], tombstones: {}, settings: null, settingsUpdatedAt: null, schemaVersion: SCHEMA_VERSION };
+
+  // Another browser may still be on an older version of the extension; documents from before
+  // versioning have no schemaVersion
+  const remoteVersion = remoteData.schemaVersion || 0;
+  if (remoteVersion > SCHEMA_VERSION) {
+    log(`Synced history is from a newer version of the extension (schema ${remoteVersion}), skipping`);
+    return;
+  }
+  if (remoteVersion < SCHEMA_VERSION) {
+    remoteData.events = (remoteData.events || []).map(record => migrateRecord(record, remoteVersion)).filter(Boolean);
   }
 
-  // Bonus for reasonable text length (not too short, not too long)
-  const textLength = text.trim().length;
-  if (textLength >= 10 && textLength <= 200) {
-    score += weights.textLength;
-  } else if (textLength > 5) {
-    score += weights.textLength * 0.5;
+  const local = await chrome.storage.local.get([
+    CONFIG.STORAGE_KEY, CONFIG.TOMBSTONES_KEY, CONFIG.SETTINGS_UPDATED_KEY
+  ]);
+  const localEvents = local[CONFIG.STORAGE_KEY] || [];
+  const localTombstones = local[CONFIG.TOMBSTONES_KEY] || {};
+  const localSettingsUpdatedAt = local[CONFIG.SETTINGS_UPDATED_KEY] || null;
+
+  const merged = mergeSyncedEvents({ events: localEvents, tombstones: localTombstones }, remoteData);
+
+  // Settings: the most recently changed copy wins
+  let mergedSettings = settings;
+  let settingsUpdatedAt = localSettingsUpdatedAt;
+  if (remoteData.settings &&
+    (!localSettingsUpdatedAt || new Date(remoteData.settingsUpdatedAt) > new Date(localSettingsUpdatedAt))) {
+    mergedSettings = { ...settings, ...remoteData.settings };
+    UNSYNCED_SETTINGS.forEach((key) => {
+      mergedSettings[key] = settings[key];
+    });
+    settingsUpdatedAt = remoteData.settingsUpdatedAt;
+  }
+
+  // Save the merge locally, within this browser's history size
+  const keptEvents = merged.events.slice(0, getHistoryLimit(mergedSettings));
+  const localUpdate = {};
+  if (JSON.stringify(keptEvents) !== JSON.stringify(localEvents)) {
+    localUpdate[CONFIG.STORAGE_KEY] = keptEvents;
+  }
+  if (JSON.stringify(merged.tombstones) !== JSON.stringify(localTombstones)) {
+    localUpdate[CONFIG.TOMBSTONES_KEY] = merged.tombstones;
+  }
+  if (settingsUpdatedAt !== localSettingsUpdatedAt) {
+    localUpdate[CONFIG.SETTINGS_KEY] = mergedSettings;
+    localUpdate[CONFIG.SETTINGS_UPDATED_KEY] = settingsUpdatedAt;
+  }
+  if (Object.keys(localUpdate).length > 0) {
+    await chrome.storage.local.set(localUpdate);
+    log('Merged synced history:', Object.keys(localUpdate));
   }
 
-  return Math.min(1, Math.round(score * 100) / 100);
+  // Events deleted in another browser take their reminders with them
+  const keptIds = new Set(keptEvents.map(event => event.id));
+  for (const event of localEvents) {
+    if (!keptIds.has(event.id)) {
+      await cancelReminder(event.id);
+    }
+  }
+
+  // Save the merge to sync, unless it's what's already there
+  const { text, eventCount } = createSyncedText({
+    events: merged.events,
+    tombstones: merged.tombstones,
+    // In DEFAULT_SETTINGS order, so the text only changes when a value does
+    settings: Object.fromEntries(Object.keys(DEFAULT_SETTINGS)
+      .filter(key => !UNSYNCED_SETTINGS.includes(key))
+      .map(key => [key, mergedSettings[key]])),
+    settingsUpdatedAt,
+    schemaVersion: SCHEMA_VERSION
+  });
+
+  const status = await getSyncStatus();
+  try {
+    if (!remote || text !== remote.text) {
+      await writeSyncedHistory(text);
+    }
+    Object.assign(status, { lastSyncedAt: new Date().toISOString(), error: null });
+  } catch (error) {
+    // Usually the write quota; the periodic alarm tries again
+    logError('Error writing synced history:', error);
+    status.error = error.message;
+  }
+
+  await chrome.storage.local.set({
+    [CONFIG.SYNC_STATUS_KEY]: { ...status, syncedEvents: eventCount, totalEvents: merged.events.length }
+  });
+}
+
+/**
+ * Get the result of the last sync
+ * @returns {Promise<Object>} - { lastSyncedAt, syncedEvents, totalEvents, error }
+ */
+async function getSyncStatus() {
+  const result = await chrome.storage.local.get([CONFIG.SYNC_STATUS_KEY]);
+  return result[CONFIG.SYNC_STATUS_KEY] || { lastSyncedAt: null, syncedEvents: 0, totalEvents: 0, error: null };
+}
+
+// Sync local changes out, and other browsers' changes in
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const keys = Object.keys(changes);
+  if (areaName === 'sync' ?
+    keys.some(key => key.startsWith(SYNC_KEY)) :
+    areaName === 'local' &&
+      keys.some(key => [CONFIG.STORAGE_KEY, CONFIG.TOMBSTONES_KEY, CONFIG.SETTINGS_KEY].includes(key))) {
+    requestSync();
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SYNC_ALARM) {
+    requestSync();
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  requestSync();
+});
+
+// =============================================================================
+// MESSAGE HANDLER (for popup communication)
+// =============================================================================
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  console.log('=== MESSAGE RECEIVED ===');
+  console.log('Message:', JSON.stringify(message, null, 2));
+  console.log('Sender:', sender.id);
+  handleMessage(message)
+    .then(response => {
+      console.log('Sending response:', JSON.stringify(response, null, 2));
+      sendResponse(response);
+    })
+    .catch(error => {
+      console.error('Message handler error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+  return true; // Keep channel open for async response
+});
+
+async function handleMessage(message) {
+  switch (message.action) {
+  case 'getRecentEvents':
+    console.log('Handling getRecentEvents action...');
+    const events = await EventStorage.getRecentEvents(message.limit || 5);
+    console.log('getRecentEvents returning', events.length, 'events');
+    return { success: true, events };
+
+  case 'clearHistory':
+    await EventStorage.clearHistory();
+    for (const reminder of await getReminders()) {
+      await cancelReminder(reminder.eventId);
+    }
+    return { success: true };
+
+  case 'getEvent':
+    const event = await EventStorage.getEvent(message.id);
+    return { success: true, event };
+
+  case 'deleteEvent':
+    const deleted = await EventStorage.deleteEvent(message.id);
+    if (deleted) {
+      await cancelReminder(message.id);
+    }
+    return { success: true, deleted };
+
+  case 'queryEvents':
+    const queryResult = await EventStorage.queryEvents(message.query);
+    return { success: true, ...queryResult };
+
+  case 'deleteEvents':
+    const deleteIds = Array.isArray(message.ids) ? message.ids : [];
+    const deletedCount = await EventStorage.deleteEvents(deleteIds);
+    for (const id of deleteIds) {
+      await cancelReminder(id);
+    }
+    return { success: true, deleted: deletedCount };
+
+  case 'getSessionCount':
+    return { success: true, count: sessionEventCount };
+
+  case 'openEvent':
+    const storedEvent = await EventStorage.getEvent(message.id);
+    if (!storedEvent) {
+      return { success: false, error: 'Event not found' };
+    }
+    const openSettings = await SettingsStorage.getSettings();
+    const openProvider = getCalendarProvider(message.provider || openSettings.calendarProvider);
+    await chrome.tabs.create({ url: openProvider.createUrl(eventDataFromRecord(storedEvent)) });
+    return { success: true, provider: openProvider.id };
+
+  case 'getSettings':
+    const currentSettings = await SettingsStorage.getSettings();
+    return {
+      success: true,
+      settings: currentSettings,
+      defaults: DEFAULT_SETTINGS,
+      providers: listCalendarProviders(),
+      languages: listLanguagePacks()
+    };
+
+  case 'updateSettings':
+    const updatedSettings = await SettingsStorage.updateSettings(message.settings);
+    if ('historyLimit' in (message.settings || {})) {
+      // A smaller history drops the oldest events now rather than on the next save
+      for (const id of await EventStorage.trimHistory(getHistoryLimit(updatedSettings))) {
+        await cancelReminder(id);
+      }
+    }
+    if ('syncHistory' in (message.settings || {})) {
+      await updateSyncAlarm(updatedSettings.syncHistory);
+    }
+    return { success: true, settings: updatedSettings };
+
+  case 'parseText':
+    // Unsaved settings (e.g. from the options page) override the stored ones
+    const parseSettings = { ...(await SettingsStorage.getSettings()), ...(message.settings || {}) };
+    const parsedEvent = parseEventFromText(message.text || '', getParserOptions(parseSettings));
+    return { success: true, event: serializeEventData(parsedEvent) };
+
+  case 'traceText':
+    // The parse plus the rules behind it, so a preview can highlight the recognized text
+    const traceSettings = { ...(await SettingsStorage.getSettings()), ...(message.settings || {}) };
+    const tracedEvent = parseEventFromText(message.text || '', getParserOptions(traceSettings));
+    return { success: true, event: serializeEventData(tracedEvent), trace: tracedEvent.trace };
+
+  case 'createFromText':
+    // Popup quick-add: the popup has already shown the live parse, so it skips the preview window
+    const quickAddText = (message.text || '').trim();
+    if (!quickAddText) {
+      return { success: false, error: 'No text to create an event from' };
+    }
+    await createEventFromSelection(quickAddText, message.mode === 'download' ? 'download' : 'open', false);
+    return { success: true };
+
+  case 'getPreview':
+    const preview = await getPendingPreview(message.id);
+    if (!preview) {
+      return { success: false, error: 'Preview not found' };
+    }
+    return { success: true, preview };
+
+  case 'confirmPreview':
+    return await confirmPreview(message.id, message.event);
+
+  case 'confirmBatch':
+    return await confirmBatch(message.id, message.selections, message.mode);
+
+  case 'cancelPreview':
+    await removePendingPreview(message.id);
+    return { success: true };
+
+  case 'downloadIcs':
+    const record = await EventStorage.getEvent(message.id);
+    if (!record) {
+      return { success: false, error: 'Event not found' };
+    }
+    await downloadIcsFile(eventDataFromRecord(record));
+    return { success: true };
+
+  case 'exportHistory':
+    const exportedCount = await exportHistory(message.format);
+    return { success: true, count: exportedCount };
+
+  case 'importHistory':
+    const importResult = await importHistory(message.content || '');
+    return { success: true, ...importResult };
+
+  case 'restoreStorageBackup':
+    const restoredCount = await restoreStorageBackup();
+    if (restoredCount === null) {
+      return { success: false, error: 'There is no backup from before an update' };
+    }
+    return { success: true, count: restoredCount };
+
+  case 'getSyncStatus':
+    const syncSettings = await SettingsStorage.getSettings();
+    return { success: true, enabled: syncSettings.syncHistory, ...(await getSyncStatus()) };
+
+  case 'getReminders':
+    return { success: true, reminders: await getReminders() };
+
+  case 'cancelReminder':
+    const cancelled = await cancelReminder(message.id);
+    return { success: true, cancelled };
+
+  default:
+    return { success: false, error: 'Unknown action' };
+  }
+}
+
+// =============================================================================
+// CALENDAR URL GENERATION
+// =============================================================================
+
+// Each provider turns parsed event data into its own "compose event" URL
+const CALENDAR_PROVIDERS = {
+  google: {
+    name: 'Google Calendar',
+    supportsRecurrence: true,
+    createUrl: (eventData) => createGoogleCalendarUrl(eventData)
+  },
+  outlook: {
+    name: 'Outlook.com',
+    supportsRecurrence: false,
+    createUrl: (eventData) => createOutlookCalendarUrl(eventData, 'https://outlook.live.com')
+  },
+  office365: {
+    name: 'Office 365',
+    supportsRecurrence: false,
+    createUrl: (eventData) => createOutlookCalendarUrl(eventData, 'https://outlook.office.com')
+  },
+  yahoo: {
+    name: 'Yahoo Calendar',
+    supportsRecurrence: false,
+    createUrl: (eventData) => createYahooCalendarUrl(eventData)
+  }
+};
+
+const DEFAULT_PROVIDER = 'google';
+
+/**
+ * Look up a calendar provider by ID, falling back to Google Calendar
+ * @param {string} id - Provider ID (google, outlook, office365, yahoo)
+ * @returns {Object} - { id, name, supportsRecurrence, createUrl }
+ */
+function getCalendarProvider(id) {
+  const providerId = CALENDAR_PROVIDERS[id] ? id : DEFAULT_PROVIDER;
+  return { id: providerId, ...CALENDAR_PROVIDERS[providerId] };
+}
+
+/**
+ * List the available providers for settings UIs
+ * @returns {Array} - [{ id, name }]
+ */
+function listCalendarProviders() {
+  return Object.keys(CALENDAR_PROVIDERS).map(id => ({
+    id,
+    name: CALENDAR_PROVIDERS[id].name
+  }));
+}
+
+/**
+ * Format date for Google Calendar URL (YYYYMMDDTHHmmSS)
+ */
+function formatDateForCalendar(date) {
+  const pad = (n) => n.toString().padStart(2, '0');
+
+  const year = date.getFullYear();
+  const month = pad(date.getMonth() + 1);
+  const day = pad(date.getDate());
+  const hours = pad(date.getHours());
+  const minutes = pad(date.getMinutes());
+  const seconds = pad(date.getSeconds());
+
+  return `${year}${month}${day}T${hours}${minutes}${seconds}`;
 }
 
-// =============================================================================
-// TITLE EXTRACTION
-// =============================================================================
-
 /**
- * Clean date/time patterns from title text
- * @param {string} text - The text to clean
- * @returns {string} - Text with date/time patterns removed
+ * Format date as UTC (YYYYMMDDTHHmmSSZ)
+ * Used for events written with a time zone, so they land at the same instant in any calendar
  */
-function cleanTitle(text) {
-  // First, convert newlines to spaces
-  let result = text.replace(/\n/g, ' ');
+function formatDateForCalendarUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
 
-  // Full day names (with optional DUE prefix)
-  result = result.replace(/\b(DUE\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b,?/gi, '');
+/**
+ * Format date only (YYYYMMDD), for all-day events
+ */
+function formatDayForCalendar(date) {
+  return formatDateForCalendar(date).substring(0, 8);
+}
 
-  // Abbreviated day names: Mon, Tue, Wed, Thu, Fri, Sat, Sun
-  result = result.replace(/\b(mon|tue|wed|thu|fri|sat|sun)\b,?\s*/gi, '');
+/**
+ * Format an event's start and end for calendar URLs and .ics files
+ * Floating local time, UTC when the text named a time zone, or days for all-day events
+ * (the end day is exclusive, as both formats expect)
+ * @returns {Object} - { start, end }
+ */
+function formatEventDates(eventData) {
+  const format = eventData.allDay ? formatDayForCalendar :
+    eventData.timeZone ? formatDateForCalendarUtc : formatDateForCalendar;
+  return { start: format(eventData.startDate), end: format(eventData.endDate) };
+}
 
-  // Compact weekday codes: MWF, TTh, MTWThF, MW, TR, etc.
-  // Match sequences of day letters (at least 2 chars) that look like schedules
-  result = result.replace(/\b[MTWRFSU][MTWRFSUhau]{1,}\b/g, '');
+/**
+ * Create Google Calendar URL with parsed event data
+ */
+function createGoogleCalendarUrl(eventData) {
+  const baseUrl = 'https://calendar.google.com/calendar/render';
 
-  // Class type indicators: LEC, LAB, DIS, SEM (lecture, lab, discussion, seminar)
-  result = result.replace(/\b(LEC|LAB|DIS|SEM|LECTURE|DISCUSSION|SEMINAR|LABORATORY)\b/gi, '');
+  const dates = formatEventDates(eventData);
 
-  // Relative dates
-  result = result.replace(/\b(today|tomorrow|day after tomorrow|next\s+week|this\s+week)\b/gi, '');
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: eventData.title,
+    dates: `${dates.start}/${dates.end}`,
+    details: eventData.description
+  });
 
-  // Time ranges with single-letter or full meridiem: "8:00A - 11:00A", "6-8pm", "9am-5pm"
-  // Handles hyphen (-), en-dash (–), em-dash (—), and "to"
-  result = result.replace(/\b\d{1,2}(?::\d{2})?\s*(?:a\.?m?\.?|p\.?m?\.?)?\s*(?:-|–|—|to)\s*\d{1,2}(?::\d{2})?\s*(?:a\.?m?\.?|p\.?m?\.?)\b/gi, '');
+  if (eventData.location) {
+    params.append('location', eventData.location);
+  }
 
-  // Times with "at": "at 3pm", "at 11:59 PM", "at noon", "at midnight", "at 3P"
-  result = result.replace(/\bat\s+\d{1,2}(?::\d{2})?\s*(?:a\.?m?\.?|p\.?m?\.?)?/gi, '');
-  result = result.replace(/\bat\s+(?:noon|midnight)\b/gi, '');
+  // Invite guests by email
+  if (eventData.attendees && eventData.attendees.length > 0) {
+    params.append('add', eventData.attendees.map(attendee => attendee.email).join(','));
+  }
 
-  // Standalone times with single-letter meridiem: "8:00A", "11:00A", "3P", "3:00 pm"
-  result = result.replace(/\b\d{1,2}(?::\d{2})?\s*(?:a\.?m?\.?|p\.?m?\.?)\b/gi, '');
+  // Add recurrence rule if this is a recurring event
+  const rule = buildRecurrenceRule(eventData.recurrence, eventData);
+  if (rule) {
+    const rrule = `RRULE:${rule}`;
+    params.append('recur', rrule);
+    log('Added recurrence rule:', rrule);
+  }
 
-  // Time of day words: "morning", "afternoon", "evening", "night"
-  result = result.replace(/\b(?:in\s+the\s+)?(?:morning|afternoon|evening|night)\b/gi, '');
+  return `${baseUrl}?${params.toString()}`;
+}
 
-  // Dates: MM/DD/YYYY, MM/DD, MM-DD-YYYY, MM-DD
-  result = result.replace(/\b\d{1,2}[\/\-]\d{1,2}(?:[\/\-]\d{2,4})?\b/gi, '');
+/**
+ * Format date for Outlook deeplinks (YYYY-MM-DDTHH:mm:SS, local time)
+ */
+function formatDateForOutlook(date) {
+  const pad = (n) => n.toString().padStart(2, '0');
 
-  // Month day year: "January 5, 2025", "Jan 5 2025", "January 5th"
-  const monthPattern = 'january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec';
-  result = result.replace(new RegExp(`\\b(${monthPattern})\\s+\\d{1,2}(?:st|nd|rd|th)?(?:[,\\s]+\\d{4})?\\b`, 'gi'), '');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
 
-  // Day month: "5 January", "5th January 2025"
-  result = result.replace(new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(${monthPattern})(?:\\s+\\d{4})?\\b`, 'gi'), '');
+/**
+ * Create Outlook compose URL (Outlook.com or Office 365, depending on host)
+ * @param {Object} eventData - Parsed event data
+ * @param {string} host - e.g. https://outlook.live.com or https://outlook.office.com
+ */
+function createOutlookCalendarUrl(eventData, host) {
+  const baseUrl = `${host}/calendar/0/deeplink/compose`;
 
-  // ISO dates: 2025-01-25
-  result = result.replace(/\b\d{4}-\d{2}-\d{2}\b/g, '');
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: eventData.title,
+    startdt: formatDateForOutlook(eventData.startDate),
+    enddt: formatDateForOutlook(eventData.endDate),
+    body: eventData.description
+  });
 
-  // Duration phrases: "for 2 hours", "for 30 minutes", "for an hour"
-  result = result.replace(/\bfor\s+(?:an?\s+)?(?:\d+(?:\.\d+)?\s*)?(?:hours?|hrs?|minutes?|mins?|half\s+(?:an?\s+)?hour)\b/gi, '');
+  if (eventData.allDay) {
+    params.set('startdt', formatDateForOutlook(eventData.startDate).substring(0, 10));
+    params.set('enddt', formatDateForOutlook(eventData.endDate).substring(0, 10));
+    params.append('allday', 'true');
+  }
 
-  // "until" phrases: "until 5pm", "until noon"
-  result = result.replace(/\buntil\s+\d{1,2}(?::\d{2})?\s*(?:a\.?m?\.?|p\.?m?\.?)?/gi, '');
-  result = result.replace(/\buntil\s+(?:noon|midnight)\b/gi, '');
+  if (eventData.location) {
+    params.append('location', eventData.location);
+  }
 
-  // Clean up leftover connecting words at start/end
-  // Remove leading: DUE, on, at, from, to, starting, ending, begins, ends
-  result = result.replace(/^[\s,\-–—:]*\b(DUE|on|at|from|to|starting|ending|begins|ends|by)\b[\s,\-–—:]*/gi, '');
+  return `${baseUrl}?${params.toString()}`;
+}
 
-  // Remove trailing: on, at, from, to, DUE
-  result = result.replace(/[\s,\-–—:]*\b(on|at|from|to|DUE)\b[\s,\-–—:]*$/gi, '');
+/**
+ * Create Yahoo Calendar URL with parsed event data
+ */
+function createYahooCalendarUrl(eventData) {
+  const baseUrl = 'https://calendar.yahoo.com/';
 
-  // Clean up multiple spaces
-  result = result.replace(/\s+/g, ' ');
+  const params = new URLSearchParams({
+    v: '60',
+    title: eventData.title,
+    st: formatDateForCalendar(eventData.startDate),
+    et: formatDateForCalendar(eventData.endDate),
+    desc: eventData.description
+  });
 
-  // Clean up punctuation left over (leading/trailing commas, colons, dashes, parentheses)
-  result = result.replace(/^[\s,\-–—:()]+/, '');
-  result = result.replace(/[\s,\-–—:()]+$/, '');
+  if (eventData.allDay) {
+    params.set('st', formatDayForCalendar(eventData.startDate));
+    params.set('et', formatDayForCalendar(eventData.endDate));
+    params.append('dur', 'allday');
+  }
 
-  // One more pass for connecting words that might now be at edges
-  result = result.replace(/^[\s,\-–—:]*\b(DUE|on|at|from|to)\b[\s,\-–—:]*/gi, '');
-  result = result.replace(/[\s,\-–—:]*\b(on|at|from|to|DUE)\b[\s,\-–—:]*$/gi, '');
+  if (eventData.location) {
+    params.append('in_loc', eventData.location);
+  }
 
-  return result.trim();
+  return `${baseUrl}?${params.toString()}`;
 }
 
 /**
- * Extract a suitable title from the text
+ * Build the RRULE value (without the "RRULE:" prefix) for a recurrence object
+ * @param {Object} recurrence - { isRecurring, frequency, interval, days, position, count, until }
+ * @param {Object} eventData - The event, so UNTIL matches its start: { allDay, timeZone }
+ * @returns {string|null} - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE,FR;UNTIL=20251215T235959",
+ *   or null if not recurring
  */
-function extractTitle(text) {
-  // Clean up whitespace first
-  const cleaned = text.replace(/\s+/g, ' ').trim();
-
-  // Try to clean date/time from the title
-  const titleWithoutDateTime = cleanTitle(cleaned);
-
-  // Use cleaned title if it has meaningful content (at least 3 chars)
-  // Otherwise fall back to original text
-  const finalTitle = titleWithoutDateTime.length >= 3 ? titleWithoutDateTime : cleaned;
-
-  // If text is short enough, use it all
-  if (finalTitle.length <= 60) {
-    return finalTitle;
+function buildRecurrenceRule(recurrence, eventData = {}) {
+  if (!recurrence || !recurrence.isRecurring) {
+    return null;
   }
 
-  // Try to get the first sentence
-  const sentenceMatch = finalTitle.match(/^[^.!?]+[.!?]?/);
-  if (sentenceMatch && sentenceMatch[0].length <= 100) {
-    return sentenceMatch[0].trim();
+  const parts = [`FREQ=${recurrence.frequency}`];
+  if (recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
   }
-
-  // Truncate to 60 chars at a word boundary
-  const truncated = finalTitle.substring(0, 60);
-  const lastSpace = truncated.lastIndexOf(' ');
-  if (lastSpace > 30) {
-    return truncated.substring(0, lastSpace) + '...';
+  if (recurrence.days && recurrence.days.length > 1 && recurrence.position) {
+    // Nth of several days: BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1 = last weekday of the month
+    parts.push(`BYDAY=${recurrence.days.join(',')}`, `BYSETPOS=${recurrence.position}`);
+  } else if (recurrence.days && recurrence.days.length > 0) {
+    // Monthly rules put the week in front of the day: 1TU = first Tuesday, -1FR = last Friday
+    parts.push(`BYDAY=${recurrence.days.map(day => `${recurrence.position || ''}${day}`).join(',')}`);
+  }
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  } else if (recurrence.until) {
+    // Through the end of the last day, in the same form as the start
+    const [year, month, day] = recurrence.until.split('-').map(Number);
+    const lastMoment = new Date(year, month - 1, day, 23, 59, 59);
+    const format = eventData.allDay ? formatDayForCalendar :
+      eventData.timeZone ? formatDateForCalendarUtc : formatDateForCalendar;
+    parts.push(`UNTIL=${format(lastMoment)}`);
   }
+  return parts.join(';');
+}
 
-  return truncated + '...';
+/**
+ * Rebuild parsed event data from a stored history record
+ * @param {Object} record - Event record from EventStorage
+ * @returns {Object} - Event data in the same shape as parseEventFromText
+ */
+function eventDataFromRecord(record) {
+  return {
+    title: record.title,
+    startDate: new Date(record.startDate),
+    endDate: new Date(record.endDate),
+    allDay: record.allDay || false,
+    // Older records did not store the description
+    description: record.description || record.originalText || '',
+    location: record.location || null,
+    attendees: record.attendees || [],
+    timeZone: record.timeZone || null,
+    confidence: record.confidence || 0,
+    recurrence: record.recurrence || { isRecurring: false, days: [], frequency: null },
+    reminderMinutes: record.reminderMinutes || null
+  };
 }
 
 // =============================================================================
-// DATE EXTRACTION
+// ICALENDAR (.ics) EXPORT
 // =============================================================================
 
-// Month name mappings
-const MONTHS = {
-  'january': 0, 'jan': 0,
-  'february': 1, 'feb': 1,
-  'march': 2, 'mar': 2,
-  'april': 3, 'apr': 3,
-  'may': 4,
-  'june': 5, 'jun': 5,
-  'july': 6, 'jul': 6,
-  'august': 7, 'aug': 7,
-  'september': 8, 'sept': 8, 'sep': 8,
-  'october': 9, 'oct': 9,
-  'november': 10, 'nov': 10,
-  'december': 11, 'dec': 11
-};
-
-const MONTH_PATTERN = Object.keys(MONTHS).join('|');
-
-// Day name mappings
-const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-
 /**
- * Extract date from text
- * @returns {Object} - { date: Date|null, type: string }
+ * Escape text for an iCalendar TEXT value (RFC 5545 section 3.3.11)
  */
-function extractDate(text, now) {
-  const lowerText = text.toLowerCase();
-
-  // Debug logging helper
-  const debugLog = (pattern, matched, match = null) => {
-    if (CONFIG.DEBUG) {
-      console.log(`  [extractDate] Pattern "${pattern}": ${matched ? 'MATCHED' : 'no match'}${match ? ` → "${match}"` : ''}`);
-    }
-  };
-
-  if (CONFIG.DEBUG) {
-    console.log(`[extractDate] Input: "${text}"`);
-    console.log(`[extractDate] LowerText: "${lowerText}"`);
-  }
-
-  // Order matters - SPECIFIC dates beat GENERAL day names
-  // Check numeric/explicit date formats BEFORE day names
-
-  // 1. ISO format: YYYY-MM-DD (most specific, check first)
-  const isoMatch = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
-  debugLog('ISO (YYYY-MM-DD)', !!isoMatch, isoMatch?.[0]);
-  if (isoMatch) {
-    const year = parseInt(isoMatch[1], 10);
-    const month = parseInt(isoMatch[2], 10) - 1;
-    const day = parseInt(isoMatch[3], 10);
-    const date = new Date(year, month, day);
-    if (isValidDate(date)) {
-      return { date, type: 'iso' };
-    }
-  }
+function escapeIcsText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
 
-  // 2. MM/DD/YYYY or MM-DD-YYYY (full date with year)
-  const fullDateMatch = text.match(/\b(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})\b/);
-  debugLog('MM/DD/YYYY', !!fullDateMatch, fullDateMatch?.[0]);
-  if (fullDateMatch) {
-    const month = parseInt(fullDateMatch[1], 10) - 1;
-    const day = parseInt(fullDateMatch[2], 10);
-    const year = parseInt(fullDateMatch[3], 10);
-    const date = new Date(year, month, day);
-    if (isValidDate(date)) {
-      return { date, type: 'mm-dd-yyyy' };
-    }
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) {
+    return line;
   }
 
-  // 3. Month day year: "January 5, 2025" / "Jan 5 2025" / "January 5th, 2025"
-  const monthDayYearRegex = new RegExp(
-    `\\b(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:[,\\s]+|\\s+)(\\d{4})\\b`,
-    'i'
-  );
-  const monthDayYearMatch = text.match(monthDayYearRegex);
-  debugLog('month day year', !!monthDayYearMatch, monthDayYearMatch?.[0]);
-  if (monthDayYearMatch) {
-    const month = MONTHS[monthDayYearMatch[1].toLowerCase()];
-    const day = parseInt(monthDayYearMatch[2], 10);
-    const year = parseInt(monthDayYearMatch[3], 10);
-    const date = new Date(year, month, day);
-    if (isValidDate(date)) {
-      return { date, type: 'month-day-year' };
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  // Continuation lines lose one octet to the leading space
+  let limit = 75;
+
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74;
     }
+    current += char;
+    currentBytes += charBytes;
   }
+  chunks.push(current);
 
-  // 4. MM/DD (no year) - use negative lookbehind to avoid matching times like "11:59"
-  // Only match if preceded by word boundary or space, not by colon
-  const shortDateMatch = text.match(/(?<!:)\b(\d{1,2})\/(\d{1,2})\b(?!\/\d)/);
-  debugLog('MM/DD (no year)', !!shortDateMatch, shortDateMatch?.[0]);
-  if (shortDateMatch) {
-    const month = parseInt(shortDateMatch[1], 10);
-    const day = parseInt(shortDateMatch[2], 10);
-    // Validate month (1-12) and day (1-31) ranges
-    if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-      const year = now.getFullYear();
-      let date = new Date(year, month - 1, day);
-
-      // Compare dates only (not times) to avoid same-day issues
-      const todayMidnight = new Date(now);
-      todayMidnight.setHours(0, 0, 0, 0);
-      if (date < todayMidnight) {
-        date = new Date(year + 1, month - 1, day);
-      }
+  return chunks.join('\r\n ');
+}
 
-      if (isValidDate(date)) {
-        return { date, type: 'mm-dd' };
-      }
-    }
+/**
+ * Create the VEVENT content lines for parsed event data
+ * Times are written as floating local times (UTC for zoned events, dates for all-day events),
+ * matching the Google Calendar URL
+ * @param {Object} eventData - Parsed event data
+ * @returns {Array<string>} - Unfolded content lines
+ */
+function createIcsEventLines(eventData) {
+  const dates = formatEventDates(eventData);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${EventStorage.generateId()}@text-to-calendar`,
+    `DTSTAMP:${formatDateForCalendarUtc(new Date())}`,
+    `DTSTART${eventData.allDay ? ';VALUE=DATE' : ''}:${dates.start}`,
+    `DTEND${eventData.allDay ? ';VALUE=DATE' : ''}:${dates.end}`,
+    `SUMMARY:${escapeIcsText(eventData.title)}`
+  ];
+
+  if (eventData.description) {
+    lines.push(`DESCRIPTION:${escapeIcsText(eventData.description)}`);
   }
 
-  // 5. Month day (no year): "January 5" / "Jan 5th"
-  const monthDayRegex = new RegExp(
-    `\\b(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:\\b|,|$)`,
-    'i'
-  );
-  if (CONFIG.DEBUG) {
-    console.log(`  [extractDate] Month-day regex pattern: ${monthDayRegex}`);
-  }
-  const monthDayMatch = text.match(monthDayRegex);
-  debugLog('month day (no year)', !!monthDayMatch, monthDayMatch?.[0]);
-  if (monthDayMatch) {
-    const month = MONTHS[monthDayMatch[1].toLowerCase()];
-    const day = parseInt(monthDayMatch[2], 10);
-    const year = now.getFullYear();
-    let date = new Date(year, month, day);
-
-    // If date is in the past, assume next year
-    // Compare dates only (not times) to avoid same-day issues
-    const todayMidnight = new Date(now);
-    todayMidnight.setHours(0, 0, 0, 0);
-    if (date < todayMidnight) {
-      date = new Date(year + 1, month, day);
-    }
-
-    if (isValidDate(date)) {
-      return { date, type: 'month-day' };
-    }
+  if (eventData.location) {
+    lines.push(`LOCATION:${escapeIcsText(eventData.location)}`);
   }
 
-  // 6. Day month (European format): "5 January" / "5th January 2025"
-  const dayMonthRegex = new RegExp(
-    `\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_PATTERN})(?:\\s+(\\d{4}))?\\b`,
-    'i'
-  );
-  const dayMonthMatch = text.match(dayMonthRegex);
-  debugLog('day month (European)', !!dayMonthMatch, dayMonthMatch?.[0]);
-  if (dayMonthMatch) {
-    const day = parseInt(dayMonthMatch[1], 10);
-    const month = MONTHS[dayMonthMatch[2].toLowerCase()];
-    const year = dayMonthMatch[3] ? parseInt(dayMonthMatch[3], 10) : now.getFullYear();
-    let date = new Date(year, month, day);
-
-    // If no year specified and date is in the past, assume next year
-    // Compare dates only (not times) to avoid same-day issues
-    const todayMidnight = new Date(now);
-    todayMidnight.setHours(0, 0, 0, 0);
-    if (!dayMonthMatch[3] && date < todayMidnight) {
-      date = new Date(year + 1, month, day);
-    }
-
-    if (isValidDate(date)) {
-      return { date, type: 'day-month' };
-    }
+  for (const attendee of eventData.attendees || []) {
+    const cn = attendee.name ? `;CN="${attendee.name.replace(/"/g, '')}"` : '';
+    lines.push(`ATTENDEE${cn};ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${attendee.email}`);
   }
 
-  // 7. Relative dates: today, tomorrow, day after tomorrow
-  const todayMatch = /\btoday\b/.test(lowerText);
-  debugLog('today', todayMatch);
-  if (todayMatch) {
-    const date = new Date(now);
-    date.setHours(0, 0, 0, 0);
-    return { date, type: 'relative-today' };
-  }
-
-  const tomorrowMatch = /\btomorrow\b/.test(lowerText);
-  debugLog('tomorrow', tomorrowMatch);
-  if (tomorrowMatch) {
-    const date = new Date(now);
-    date.setDate(date.getDate() + 1);
-    date.setHours(0, 0, 0, 0);
-    return { date, type: 'relative-tomorrow' };
-  }
-
-  const dayAfterMatch = /\b(day after tomorrow|day after tmrw)\b/.test(lowerText);
-  debugLog('day after tomorrow', dayAfterMatch);
-  if (dayAfterMatch) {
-    const date = new Date(now);
-    date.setDate(date.getDate() + 2);
-    date.setHours(0, 0, 0, 0);
-    return { date, type: 'relative-dayafter' };
-  }
-
-  // 8. Next week
-  const nextWeekMatch = /\bnext\s+week\b/.test(lowerText);
-  debugLog('next week', nextWeekMatch);
-  if (nextWeekMatch) {
-    const date = new Date(now);
-    date.setDate(date.getDate() + 7);
-    date.setHours(0, 0, 0, 0);
-    return { date, type: 'relative-nextweek' };
-  }
-
-  // 9. "next [day]" or "this [day]"
-  const dayModifierMatch = lowerText.match(/\b(next|this)\s+(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
-  debugLog('next/this [day]', !!dayModifierMatch, dayModifierMatch?.[0]);
-  if (dayModifierMatch) {
-    const modifier = dayModifierMatch[1];
-    const targetDayName = dayModifierMatch[2];
-    const targetDay = DAYS.indexOf(targetDayName);
-    const date = new Date(now);
-    date.setHours(0, 0, 0, 0);
-
-    const currentDay = date.getDay();
-    let daysToAdd = targetDay - currentDay;
-
-    if (modifier === 'next') {
-      // "next Monday" means the Monday of next week
-      if (daysToAdd <= 0) {
-        daysToAdd += 7;
-      }
-      daysToAdd += 7; // Add another week for "next"
-    } else {
-      // "this Monday" means the upcoming Monday (or today if it's Monday)
-      if (daysToAdd < 0) {
-        daysToAdd += 7;
-      }
-      // If it's the same day, keep it (this Monday = today if today is Monday)
-    }
-
-    date.setDate(date.getDate() + daysToAdd);
-    return { date, type: `day-${modifier}` };
+  const rule = buildRecurrenceRule(eventData.recurrence, eventData);
+  if (rule) {
+    lines.push(`RRULE:${rule}`);
   }
 
-  // 10. Standalone day names (next occurrence) - LAST because least specific
-  const standaloneDayMatch = lowerText.match(/\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
-  debugLog('standalone day', !!standaloneDayMatch && !dayModifierMatch, standaloneDayMatch?.[0]);
-  if (standaloneDayMatch && !dayModifierMatch) {
-    const targetDay = DAYS.indexOf(standaloneDayMatch[1]);
-    const date = new Date(now);
-    date.setHours(0, 0, 0, 0);
+  lines.push('END:VEVENT');
+  return lines;
+}
 
-    const currentDay = date.getDay();
-    let daysToAdd = targetDay - currentDay;
+/**
+ * Create iCalendar file content with one VEVENT per event
+ * @param {Object|Array<Object>} events - Parsed event data, or a list of them
+ * @returns {string} - The .ics file content
+ */
+function createIcsContent(events) {
+  const list = Array.isArray(events) ? events : [events];
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Text to Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  for (const eventData of list) {
+    lines.push(...createIcsEventLines(eventData));
+  }
 
-    // If it's today or in the past this week, go to next week
-    if (daysToAdd <= 0) {
-      daysToAdd += 7;
-    }
+  lines.push('END:VCALENDAR');
 
-    date.setDate(date.getDate() + daysToAdd);
-    return { date, type: 'day-standalone' };
-  }
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
 
-  debugLog('No date pattern matched', true);
-  return { date: null, type: 'none' };
+/**
+ * Build a safe .ics filename from the event title
+ */
+function getIcsFilename(eventData) {
+  const base = (eventData.title || 'event')
+    .replace(/[\\/:*?"<>|]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 60);
+  return `${base || 'event'}.ics`;
 }
 
 /**
- * Validate that a date is reasonable
+ * Download parsed event data as an .ics file
+ * Service workers can't create object URLs, so the file is passed as a data URL
+ * @param {Object|Array<Object>} events - Parsed event data, or a list of them for one file
+ * @param {string} filename - Optional filename (defaults to the first event's title)
+ * @returns {Promise<number>} - The download ID
  */
-function isValidDate(date) {
-  return date instanceof Date && !isNaN(date.getTime());
+async function downloadIcsFile(events, filename = null) {
+  const list = Array.isArray(events) ? events : [events];
+  const content = createIcsContent(list);
+  const url = `data:text/calendar;charset=utf-8,${encodeURIComponent(content)}`;
+  const downloadId = await chrome.downloads.download({
+    url,
+    filename: filename || getIcsFilename(list[0]),
+    saveAs: false
+  });
+  log('ICS download started:', downloadId);
+  return downloadId;
 }
 
 // =============================================================================
-// TIME EXTRACTION
+// HISTORY EXPORT / IMPORT
 // =============================================================================
 
-/**
- * Extract a time range from text (e.g., "6-8pm", "6pm-8pm", "10am-2pm")
- * @param {string} text - The text to parse
- * @returns {Object} - { found, startHours, startMinutes, endHours, endMinutes, type }
- */
-function extractTimeRange(text) {
-  const lowerText = text.toLowerCase();
-
-  log('[extractTimeRange] Input:', text);
-
-  // Time range patterns:
-  // Pattern 1: "6-8pm", "6-8 pm", "6 - 8pm" (meridiem only on end)
-  // Pattern 2: "6pm-8pm", "6pm - 8pm" (meridiem on both)
-  // Pattern 3: "6:00-8:00pm", "6:30-8:30pm" (with minutes, meridiem on end)
-  // Pattern 4: "6:00pm-8:00pm" (with minutes, meridiem on both)
-  // Pattern 5: "6pm to 8pm", "6 to 8pm" (using "to" instead of dash)
-  // Pattern 6: "10am-2pm" (different meridiems - crosses noon)
-  // Pattern 7: "8:00A - 11:00A" (single letter meridiem)
-  // Pattern 8: "8A - 11A" (single letter, no minutes)
-
-  // Comprehensive regex that handles all patterns
-  // Meridiem pattern matches: am, AM, a.m., A.M., a, A, pm, PM, p.m., P.M., p, P
-  // Groups: 1=startHour, 2=startMin, 3=startMeridiem, 4=endHour, 5=endMin, 6=endMeridiem
-  const timeRangeRegex = /\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m?\.?|p\.?m?\.?)?\s*(?:-|–|—|to)\s*(\d{1,2})(?::(\d{2}))?\s*(a\.?m?\.?|p\.?m?\.?)\b/i;
-
-  const match = text.match(timeRangeRegex);
-
-  if (match) {
-    log('[extractTimeRange] Match found:', match[0]);
-    log('[extractTimeRange] Groups:', {
-      startHour: match[1],
-      startMin: match[2],
-      startMeridiem: match[3],
-      endHour: match[4],
-      endMin: match[5],
-      endMeridiem: match[6]
-    });
+// JSON exports are lossless; CSV exports are for spreadsheets and leave out the
+// time zone as written and preview corrections
+const HISTORY_EXPORT_FORMAT = 'text-to-calendar-history';
 
-    let startHours = parseInt(match[1], 10);
-    const startMinutes = match[2] ? parseInt(match[2], 10) : 0;
-    const startMeridiem = match[3];
+// Bump when the JSON export changes shape; files from a newer version are refused
+const HISTORY_EXPORT_VERSION = 1;
 
-    let endHours = parseInt(match[4], 10);
-    const endMinutes = match[5] ? parseInt(match[5], 10) : 0;
-    const endMeridiem = match[6];
+// CSV columns, in order. Attendees are "Name <email>; ..." and recurrence is an RRULE
+const HISTORY_CSV_COLUMNS = [
+  'id', 'title', 'startDate', 'endDate', 'allDay', 'location', 'attendees', 'recurrence',
+  'reminderMinutes', 'provider', 'confidence', 'createdAt', 'batchId', 'originalText'
+];
 
-    // Validate hour values
-    if (startHours < 1 || startHours > 12 || endHours < 1 || endHours > 12) {
-      log('[extractTimeRange] Invalid hour values, skipping');
-      return { found: false, startHours: null, startMinutes: 0, endHours: null, endMinutes: 0, type: 'none' };
-    }
+/**
+ * Export event records as JSON
+ * @param {Array<Object>} events - Event records from EventStorage
+ * @returns {string}
+ */
+function createHistoryJson(events) {
+  return JSON.stringify({
+    format: HISTORY_EXPORT_FORMAT,
+    version: HISTORY_EXPORT_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    events
+  }, null, 2);
+}
 
-    // Convert end time to 24-hour format
-    const endIsPM = /^p/i.test(endMeridiem);
-    if (endIsPM && endHours !== 12) {
-      endHours += 12;
-    } else if (!endIsPM && endHours === 12) {
-      endHours = 0;
+/**
+ * Export event records as CSV, one row per event
+ * @param {Array<Object>} events - Event records from EventStorage
+ * @returns {string}
+ */
+function createHistoryCsv(events) {
+  const rows = events.map(record => HISTORY_CSV_COLUMNS.map((column) => {
+    if (column === 'attendees') {
+      return (record.attendees || [])
+        .map(attendee => (attendee.name ? `${attendee.name} <${attendee.email}>` : attendee.email))
+        .join('; ');
     }
-
-    // Convert start time to 24-hour format
-    if (startMeridiem) {
-      // Start has explicit meridiem
-      const startIsPM = /^p/i.test(startMeridiem);
-      if (startIsPM && startHours !== 12) {
-        startHours += 12;
-      } else if (!startIsPM && startHours === 12) {
-        startHours = 0;
-      }
-    } else {
-      // Infer start meridiem from end meridiem and logic
-      // "6-8pm" → both PM (6pm-8pm)
-      // "10-2pm" → 10am-2pm (crosses noon, start must be AM)
-      // "6-8am" → both AM
-
-      if (endIsPM) {
-        // End is PM
-        if (startHours <= endHours % 12 || endHours % 12 === 0) {
-          // Same meridiem: "6-8pm" → 6pm, 8pm
-          if (startHours !== 12) {
-            startHours += 12;
-          }
-        } else {
-          // Crosses noon: "10-2pm" → 10am, 2pm
-          // startHours stays as-is (AM)
-          if (startHours === 12) {
-            startHours = 0; // 12 without meridiem before PM end = 12am = 0
-          }
-        }
-      } else {
-        // End is AM - start is also AM
-        if (startHours === 12) {
-          startHours = 0;
-        }
-      }
+    if (column === 'recurrence') {
+      // Written as for an all-day event so UNTIL is a plain date
+      return buildRecurrenceRule(record.recurrence, { allDay: true }) || '';
     }
+    return record[column] ?? '';
+  }));
 
-    log('[extractTimeRange] Parsed times:', {
-      start: `${startHours}:${String(startMinutes).padStart(2, '0')}`,
-      end: `${endHours}:${String(endMinutes).padStart(2, '0')}`
-    });
-
-    return {
-      found: true,
-      startHours,
-      startMinutes,
-      endHours,
-      endMinutes,
-      type: 'time-range'
-    };
-  }
-
-  log('[extractTimeRange] No time range found');
-  return { found: false, startHours: null, startMinutes: 0, endHours: null, endMinutes: 0, type: 'none' };
+  return [HISTORY_CSV_COLUMNS, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n') + '\r\n';
 }
 
 /**
- * Extract time from text
- * @returns {Object} - { found: boolean, hours: number, minutes: number, type: string }
+ * Quote a CSV value if it contains a comma, quote, or line break
  */
-function extractTime(text) {
-  const lowerText = text.toLowerCase();
-
-  // 1. Special named times
-  if (/\b(at\s+)?noon\b/.test(lowerText)) {
-    return { found: true, hours: 12, minutes: 0, type: 'noon' };
-  }
-
-  if (/\b(at\s+)?midnight\b/.test(lowerText)) {
-    return { found: true, hours: 0, minutes: 0, type: 'midnight' };
-  }
-
-  // 2. Time of day descriptors
-  if (/\b(in\s+the\s+)?morning\b/.test(lowerText) && !/\bgood\s+morning\b/.test(lowerText)) {
-    return { found: true, hours: 9, minutes: 0, type: 'morning' };
-  }
+function escapeCsvValue(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-  if (/\b(in\s+the\s+)?afternoon\b/.test(lowerText)) {
-    return { found: true, hours: 14, minutes: 0, type: 'afternoon' };
+/**
+ * Split CSV text into rows of values
+ * Handles quoted values with commas, doubled quotes and line breaks
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
   }
 
-  if (/\b(in\s+the\s+)?evening\b/.test(lowerText)) {
-    return { found: true, hours: 18, minutes: 0, type: 'evening' };
+  if (value || row.length > 0) {
+    row.push(value);
+    rows.push(row);
   }
 
-  if (/\b(at\s+)?night\b/.test(lowerText) && !/\bgood\s+night\b/.test(lowerText)) {
-    return { found: true, hours: 20, minutes: 0, type: 'night' };
-  }
+  // Skip blank lines
+  return rows.filter(values => values.some(cell => cell.trim()));
+}
 
-  // 3. 12-hour format: 3pm, 3:00pm, 3:00 PM, 3 pm, 3:30 a.m., 3P, 3:00A
-  // Meridiem pattern matches: am, AM, a.m., A.M., a, A, pm, PM, p.m., P.M., p, P
-  const time12Regex = /\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m?\.?|p\.?m?\.?)\b/i;
-  const time12Match = text.match(time12Regex);
-  if (time12Match) {
-    let hours = parseInt(time12Match[1], 10);
-    const minutes = time12Match[2] ? parseInt(time12Match[2], 10) : 0;
-    const isPM = /^p/i.test(time12Match[3]);
+/**
+ * Read an RRULE value back into a recurrence object
+ * @param {string} rule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20251215"
+ * @returns {Object|null} - null if the rule can't be read
+ */
+function parseRecurrenceRule(rule) {
+  const parts = Object.fromEntries(rule.replace(/^RRULE:/i, '').split(';')
+    .map(part => part.split('='))
+    .map(([key, value]) => [key.trim().toUpperCase(), (value || '').trim().toUpperCase()]));
 
-    // Validate hours
-    if (hours >= 1 && hours <= 12) {
-      if (isPM && hours !== 12) {
-        hours += 12;
-      } else if (!isPM && hours === 12) {
-        hours = 0;
-      }
-      return { found: true, hours, minutes, type: '12-hour' };
-    }
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) {
+    return null;
   }
 
-  // 4. 24-hour format: 15:00, 09:30 (but not dates like 01/05)
-  const time24Regex = /(?<![\/\-\d])(\d{1,2}):(\d{2})(?![\/\-\d])/;
-  const time24Match = text.match(time24Regex);
-  if (time24Match) {
-    const hours = parseInt(time24Match[1], 10);
-    const minutes = parseInt(time24Match[2], 10);
+  const recurrence = {
+    isRecurring: true,
+    frequency: parts.FREQ,
+    interval: parseInt(parts.INTERVAL, 10) || 1,
+    days: [],
+    position: parts.BYSETPOS ? parseInt(parts.BYSETPOS, 10) : null,
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: null
+  };
 
-    if (hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59) {
-      return { found: true, hours, minutes, type: '24-hour' };
+  for (const day of parts.BYDAY ? parts.BYDAY.split(',') : []) {
+    // Monthly rules put the week in front of the day: 1TU, -1FR
+    const match = /^(-?\d)?([A-Z]{2})$/.exec(day);
+    if (!match || !WEEKDAY_CODES.includes(match[2])) {
+      return null;
     }
-  }
-
-  // 5. "at [number]" without am/pm - guess based on context
-  const atTimeMatch = text.match(/\bat\s+(\d{1,2})\b(?!\s*[:\d\/\-])/i);
-  if (atTimeMatch) {
-    let hours = parseInt(atTimeMatch[1], 10);
-
-    if (hours >= 1 && hours <= 12) {
-      // Assume PM for hours 1-7 (business hours), AM for 8-12
-      if (hours >= 1 && hours <= 7) {
-        hours += 12;
-      }
-      return { found: true, hours, minutes: 0, type: 'at-number' };
+    if (match[1]) {
+      recurrence.position = parseInt(match[1], 10);
     }
+    recurrence.days.push(match[2]);
   }
 
-  // 6. Standalone hour with o'clock: "3 o'clock"
-  const oclockMatch = text.match(/\b(\d{1,2})\s*o['']?clock\b/i);
-  if (oclockMatch) {
-    let hours = parseInt(oclockMatch[1], 10);
-    if (hours >= 1 && hours <= 12) {
-      // Assume PM for hours 1-7
-      if (hours >= 1 && hours <= 7) {
-        hours += 12;
-      }
-      return { found: true, hours, minutes: 0, type: 'oclock' };
+  if (parts.UNTIL) {
+    const until = /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL);
+    if (!until) {
+      return null;
     }
+    recurrence.until = `${until[1]}-${until[2]}-${until[3]}`;
   }
 
-  return { found: false, hours: null, minutes: 0, type: 'none' };
+  return recurrence;
 }
 
-// =============================================================================
-// DURATION EXTRACTION
-// =============================================================================
-
 /**
- * Extract duration from text
- * @param {string} text - The text to parse
- * @param {number|null} startHours - Start hour if known (for "until" calculations)
- * @param {number} startMinutes - Start minutes if known
- * @returns {Object} - { found: boolean, duration: number (ms), type: string }
- */
-function extractDuration(text, startHours, startMinutes) {
-  const lowerText = text.toLowerCase();
-
-  // 1. "until [time]" - calculate duration from start time
-  const untilMatch = lowerText.match(/\buntil\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.?|p\.m\.?)?/i);
-  if (untilMatch && startHours !== null) {
-    let endHours = parseInt(untilMatch[1], 10);
-    const endMinutes = untilMatch[2] ? parseInt(untilMatch[2], 10) : 0;
-    const meridiem = untilMatch[3];
-
-    // Handle meridiem
-    if (meridiem) {
-      const isPM = /^p/i.test(meridiem);
-      if (isPM && endHours !== 12) {
-        endHours += 12;
-      } else if (!isPM && endHours === 12) {
-        endHours = 0;
-      }
-    } else {
-      // No meridiem - guess based on start time
-      if (endHours <= 12 && endHours < (startHours % 12 || 12)) {
-        if (endHours !== 12) {
-          endHours += 12;
-        }
-      } else if (endHours <= 7) {
-        endHours += 12;
-      }
-    }
-
-    // Calculate duration
-    const startTotalMinutes = startHours * 60 + startMinutes;
-    let endTotalMinutes = endHours * 60 + endMinutes;
-
-    // If end is before start, assume next day
-    if (endTotalMinutes <= startTotalMinutes) {
-      endTotalMinutes += 24 * 60;
-    }
-
-    const durationMinutes = endTotalMinutes - startTotalMinutes;
-    const durationMs = durationMinutes * 60 * 1000;
-
-    // Sanity check - cap at 24 hours
-    if (durationMs > 0 && durationMs <= 24 * 60 * 60 * 1000) {
-      return { found: true, duration: durationMs, type: 'until' };
-    }
+ * Check an imported record and rebuild it in the stored shape
+ * CSV values arrive as strings; JSON values keep their types
+ * @param {Object} raw - One imported event
+ * @returns {Object} - { record } or { error }
+ */
+function normalizeImportedRecord(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'not an event object' };
   }
 
-  // 2. "for X hours/minutes" pattern
-  const forDurationMatch = lowerText.match(
-    /\bfor\s+(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\b/
-  );
-  if (forDurationMatch) {
-    const value = parseFloat(forDurationMatch[1]);
-    const unit = forDurationMatch[2];
+  const text = value => (value === undefined || value === null || value === '' ? null : String(value));
+  const title = text(raw.title);
+  const startDate = new Date(raw.startDate);
+  const endDate = new Date(raw.endDate);
+  const createdAt = raw.createdAt ? new Date(raw.createdAt) : new Date();
 
-    if (/^(hours?|hrs?|h)$/i.test(unit)) {
-      return { found: true, duration: value * 60 * 60 * 1000, type: 'for-hours' };
-    } else {
-      return { found: true, duration: value * 60 * 1000, type: 'for-minutes' };
-    }
+  if (!title || !title.trim()) {
+    return { error: 'missing title' };
   }
-
-  // 3. "for an hour" / "for a half hour"
-  if (/\bfor\s+an?\s+hour\b/.test(lowerText)) {
-    return { found: true, duration: 60 * 60 * 1000, type: 'for-an-hour' };
+  if (!raw.startDate || isNaN(startDate)) {
+    return { error: `invalid start date "${raw.startDate ?? ''}"` };
   }
-
-  if (/\bfor\s+(a\s+)?half\s+(an?\s+)?hour\b/.test(lowerText)) {
-    return { found: true, duration: 30 * 60 * 1000, type: 'for-half-hour' };
+  if (!raw.endDate || isNaN(endDate)) {
+    return { error: `invalid end date "${raw.endDate ?? ''}"` };
+  }
+  if (endDate < startDate) {
+    return { error: 'ends before it starts' };
+  }
+  if (isNaN(createdAt)) {
+    return { error: `invalid created date "${raw.createdAt}"` };
   }
 
-  // 4. "X hour/minute [meeting/call/etc]" pattern (e.g., "2 hour meeting")
-  const durationNounMatch = lowerText.match(
-    /\b(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\s+(?:meeting|call|session|appointment|event|class|lecture|workshop)/
-  );
-  if (durationNounMatch) {
-    const value = parseFloat(durationNounMatch[1]);
-    const unit = durationNounMatch[2];
-
-    if (/^(hours?|hrs?|h)$/i.test(unit)) {
-      return { found: true, duration: value * 60 * 60 * 1000, type: 'noun-hours' };
-    } else {
-      return { found: true, duration: value * 60 * 1000, type: 'noun-minutes' };
-    }
+  // Attendees: a list of { name, email }, or "Name <email>; ..." from CSV
+  let attendees = raw.attendees || [];
+  if (typeof attendees === 'string') {
+    attendees = attendees.split(';').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+      const match = /^(?:"?(.*?)"?\s*<)?([^<>\s]+@[^<>\s]+)>?$/.exec(entry);
+      return match ? { name: (match[1] || '').trim() || null, email: match[2] } : { email: entry };
+    });
+  }
+  if (!Array.isArray(attendees)) {
+    return { error: 'attendees must be a list' };
+  }
+  const badAttendee = attendees.find(attendee =>
+    !attendee || !/^[\w.+-]+@[\w-]+(?:\.[\w-]+)+$/.test(attendee.email || ''));
+  if (badAttendee) {
+    return { error: `invalid attendee email "${(badAttendee && badAttendee.email) || ''}"` };
   }
 
-  // 5. General "X hours/minutes" without context (lower priority)
-  const generalDurationMatch = lowerText.match(
-    /\b(\d+(?:\.\d+)?)\s*(hours?|hrs?|minutes?|mins?)\b/
-  );
-  if (generalDurationMatch) {
-    const value = parseFloat(generalDurationMatch[1]);
-    const unit = generalDurationMatch[2];
-
-    // Avoid matching things like "at 2 hours"
-    const beforeMatch = lowerText.substring(0, lowerText.indexOf(generalDurationMatch[0]));
-    if (!/\bat\s*$/.test(beforeMatch)) {
-      if (/^(hours?|hrs?)$/i.test(unit)) {
-        return { found: true, duration: value * 60 * 60 * 1000, type: 'general-hours' };
-      } else {
-        return { found: true, duration: value * 60 * 1000, type: 'general-minutes' };
-      }
+  // Recurrence: a recurrence object, or an RRULE from CSV
+  let recurrence = raw.recurrence || null;
+  if (typeof recurrence === 'string') {
+    recurrence = parseRecurrenceRule(recurrence);
+    if (!recurrence) {
+      return { error: `can't read repeat rule "${raw.recurrence}"` };
     }
+  } else if (recurrence && recurrence.isRecurring &&
+    !['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(recurrence.frequency)) {
+    return { error: `unknown repeat frequency "${recurrence.frequency}"` };
   }
 
-  // 6. "half hour" or "half an hour" without "for"
-  if (/\bhalf\s+(an?\s+)?hour\b/.test(lowerText)) {
-    return { found: true, duration: 30 * 60 * 1000, type: 'half-hour' };
+  const reminderMinutes = raw.reminderMinutes ? Number(raw.reminderMinutes) : null;
+  if (reminderMinutes !== null && !(reminderMinutes > 0)) {
+    return { error: `invalid reminder "${raw.reminderMinutes}"` };
   }
 
-  // Default: 1 hour
-  return { found: false, duration: CONFIG.DEFAULT_DURATION_MS, type: 'default' };
-}
-
-// =============================================================================
-// RECURRING EVENT PARSING
-// =============================================================================
+  const confidence = raw.confidence === undefined || raw.confidence === '' ? 0 : Number(raw.confidence);
+  if (!(confidence >= 0 && confidence <= 1)) {
+    return { error: `confidence must be between 0 and 1, not "${raw.confidence}"` };
+  }
 
-/**
- * Parse compact weekday codes from text (e.g., MWF, TTh, MTWThF)
- * @param {string} text - The text to parse
- * @returns {Object} - { found: boolean, days: ['MO', 'WE', 'FR'], original: 'MWF' }
- */
-function parseWeekdays(text) {
-  // Map of day codes to Google Calendar format
-  const dayMap = {
-    'SU': 'SU', 'U': 'SU',           // Sunday
-    'MO': 'MO', 'M': 'MO',           // Monday
-    'TU': 'TU', 'T': 'TU',           // Tuesday
-    'WE': 'WE', 'W': 'WE',           // Wednesday
-    'TH': 'TH', 'R': 'TH',           // Thursday (R is common academic notation)
-    'FR': 'FR', 'F': 'FR',           // Friday
-    'SA': 'SA', 'S': 'SA'            // Saturday
+  const record = {
+    id: text(raw.id) || EventStorage.generateId(),
+    title: title.trim(),
+    startDate: startDate.toISOString(),
+    endDate: endDate.toISOString(),
+    allDay: raw.allDay === true || raw.allDay === 'true',
+    description: text(raw.description) || text(raw.originalText) || '',
+    location: text(raw.location),
+    attendees: attendees.map(attendee => ({ email: attendee.email, name: attendee.name || null })),
+    timeZone: raw.timeZone && typeof raw.timeZone === 'object' && raw.timeZone.label ? raw.timeZone : null,
+    recurrence,
+    reminderMinutes,
+    provider: text(raw.provider),
+    createdAt: createdAt.toISOString(),
+    originalText: text(raw.originalText) || '',
+    confidence
   };
 
-  // Day order for sorting
-  const dayOrder = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
-
-  // Try to find compact weekday codes like MWF, TTh, MTWThF
-  // This regex looks for standalone sequences of day letters
-  // Must have at least 2 characters and be word-bounded
-  const compactPattern = /\b([MTWRFSU][MTWRFSUhau]{1,})\b/g;
-
-  let match;
-  while ((match = compactPattern.exec(text)) !== null) {
-    const code = match[1];
-    const days = [];
-    let i = 0;
-
-    while (i < code.length) {
-      const remaining = code.substring(i).toUpperCase();
-
-      // Check for two-letter codes first (Th, Sa, Su)
-      if (remaining.length >= 2) {
-        const twoChar = remaining.substring(0, 2);
-        if (twoChar === 'TH' || twoChar === 'SA' || twoChar === 'SU') {
-          days.push(dayMap[twoChar]);
-          i += 2;
-          continue;
-        }
-      }
-
-      // Single letter codes
-      const oneChar = remaining[0];
-      if (dayMap[oneChar]) {
-        days.push(dayMap[oneChar]);
-        i += 1;
-      } else {
-        // Unknown character, skip it
-        i += 1;
-      }
-    }
-
-    // Only return if we found multiple unique days (recurring pattern)
-    const uniqueDays = [...new Set(days)];
-    if (uniqueDays.length >= 2) {
-      // Sort by day order
-      uniqueDays.sort((a, b) => dayOrder.indexOf(a) - dayOrder.indexOf(b));
-      return { found: true, days: uniqueDays, original: match[1] };
-    }
+  if (raw.batchId) {
+    record.batchId = String(raw.batchId);
   }
 
-  // Try spaced/comma/slash formats: "M, W, F" or "Mon Wed Fri" or "Tue/Thu"
-  const spacedPattern = /\b((?:mon|tue|wed|thu|fri|sat|sun|monday|tuesday|wednesday|thursday|friday|saturday|sunday)(?:\s*[,\/\s]\s*(?:mon|tue|wed|thu|fri|sat|sun|monday|tuesday|wednesday|thursday|friday|saturday|sunday))+)\b/gi;
-
-  const spacedMatch = text.match(spacedPattern);
-  if (spacedMatch) {
-    const dayWords = spacedMatch[0].toLowerCase().split(/[\s,\/]+/);
-    const days = [];
-
-    const wordMap = {
-      'mon': 'MO', 'monday': 'MO',
-      'tue': 'TU', 'tuesday': 'TU',
-      'wed': 'WE', 'wednesday': 'WE',
-      'thu': 'TH', 'thursday': 'TH',
-      'fri': 'FR', 'friday': 'FR',
-      'sat': 'SA', 'saturday': 'SA',
-      'sun': 'SU', 'sunday': 'SU'
-    };
-
-    for (const word of dayWords) {
-      if (wordMap[word]) {
-        days.push(wordMap[word]);
-      }
-    }
-
-    const uniqueDays = [...new Set(days)];
-    if (uniqueDays.length >= 2) {
-      uniqueDays.sort((a, b) => dayOrder.indexOf(a) - dayOrder.indexOf(b));
-      return { found: true, days: uniqueDays, original: spacedMatch[0] };
-    }
+  // Preview corrections only survive a JSON round trip
+  if (raw.originalParse && typeof raw.originalParse === 'object' && Array.isArray(raw.correctedFields)) {
+    record.originalParse = raw.originalParse;
+    record.correctedFields = raw.correctedFields;
   }
 
-  return { found: false, days: [], original: null };
+  return { record };
 }
 
 /**
- * Get the next occurrence of a specific weekday
- * @param {Date} fromDate - Starting date
- * @param {string} dayCode - Day code like 'MO', 'TU', etc.
- * @returns {Date} - The next occurrence of that day
+ * Read a JSON or CSV export into raw event objects
+ * @param {string} content - File content
+ * @returns {Object} - { events, schemaVersion }: raw events, not yet checked, and the record schema
+ *   they were exported with (CSV rows are read into the current one)
+ * @throws {Error} - If the file can't be read at all, or is a JSON file from something else or a newer version
  */
-function getNextWeekday(fromDate, dayCode) {
-  const dayMap = { 'SU': 0, 'MO': 1, 'TU': 2, 'WE': 3, 'TH': 4, 'FR': 5, 'SA': 6 };
-  const targetDay = dayMap[dayCode];
-  const currentDay = fromDate.getDay();
+function readHistoryFile(content) {
+  const trimmed = content.replace(/^\uFEFF/, '').trim();
 
-  let daysToAdd = targetDay - currentDay;
-  if (daysToAdd < 0) {
-    daysToAdd += 7;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Not a valid JSON file: ${error.message}`);
+    }
+    if (!data || data.format !== HISTORY_EXPORT_FORMAT) {
+      throw new Error('The JSON file is not a Text to Calendar history export');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      throw new Error('The JSON file has no export version');
+    }
+    if (data.version > HISTORY_EXPORT_VERSION) {
+      throw new Error(`The JSON file is from a newer version of the extension (export version ${data.version}); ` +
+        'update the extension to import it');
+    }
+    // Exports from before records were versioned have no schemaVersion
+    const schemaVersion = data.schemaVersion || 0;
+    if (schemaVersion > SCHEMA_VERSION) {
+      throw new Error(`The JSON file's events are from a newer version of the extension (schema ${schemaVersion}); ` +
+        'update the extension to import it');
+    }
+    if (!Array.isArray(data.events)) {
+      throw new Error('The JSON file has no list of events');
+    }
+    return { events: data.events, schemaVersion };
   }
-  // If it's the same day, use today (daysToAdd = 0)
 
-  const result = new Date(fromDate);
-  result.setDate(result.getDate() + daysToAdd);
-  return result;
+  const [header, ...rows] = parseCsv(trimmed);
+  const columns = (header || []).map(column => column.trim());
+  const missing = ['title', 'startDate', 'endDate'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`The CSV file is missing the ${missing.join(', ')} column${missing.length === 1 ? '' : 's'}`);
+  }
+  return {
+    events: rows.map(values => Object.fromEntries(columns.map((column, i) => [column, values[i] ?? '']))),
+    schemaVersion: SCHEMA_VERSION
+  };
 }
 
-// =============================================================================
-// CALENDAR URL GENERATION
-// =============================================================================
-
 /**
- * Format date for Google Calendar URL (YYYYMMDDTHHmmSS)
+ * Import exported history, skipping events that are already stored
+ * Problems are reported per row; valid rows are still imported
+ * @param {string} content - JSON or CSV file content
+ * @returns {Promise<Object>} - { imported, duplicates, trimmed, errors: [{ row, message }] }
  */
-function formatDateForCalendar(date) {
-  const pad = (n) => n.toString().padStart(2, '0');
+async function importHistory(content) {
+  const { events: rawEvents, schemaVersion } = readHistoryFile(content);
+  // Merge into history of the current shape
+  await runStorageMigrations();
+  const result = await chrome.storage.local.get([CONFIG.STORAGE_KEY]);
+  const events = result[CONFIG.STORAGE_KEY] || [];
+  const knownIds = new Set(events.map(event => event.id));
+  const errors = [];
+  let duplicates = 0;
+  const imported = [];
+
+  rawEvents.forEach((raw, index) => {
+    // Rows a migration would drop are still checked, so their error is reported
+    const upgraded = schemaVersion < SCHEMA_VERSION && raw && typeof raw === 'object' ?
+      migrateRecord(raw, schemaVersion) :
+      raw;
+    const { record, error } = normalizeImportedRecord(upgraded || raw);
+    if (error) {
+      errors.push({ row: index + 1, message: error });
+    } else if (knownIds.has(record.id)) {
+      duplicates++;
+    } else {
+      knownIds.add(record.id);
+      imported.push(record);
+    }
+  });
 
-  const year = date.getFullYear();
-  const month = pad(date.getMonth() + 1);
-  const day = pad(date.getDate());
-  const hours = pad(date.getHours());
-  const minutes = pad(date.getMinutes());
-  const seconds = pad(date.getSeconds());
+  // Keep the history newest first, within the history size setting
+  const merged = [...events, ...imported].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const historyLimit = getHistoryLimit(await SettingsStorage.getSettings());
+  if (imported.length > 0) {
+    await chrome.storage.local.set({ [CONFIG.STORAGE_KEY]: merged.slice(0, historyLimit) });
+  }
+  log(`Imported ${imported.length} event(s), ${duplicates} duplicate(s), ${errors.length} error(s)`);
 
-  return `${year}${month}${day}T${hours}${minutes}${seconds}`;
+  return {
+    imported: imported.length,
+    duplicates,
+    trimmed: Math.max(0, merged.length - historyLimit),
+    errors
+  };
 }
 
 /**
- * Create Google Calendar URL with parsed event data
+ * Download the whole history as a JSON or CSV file
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Promise<number>} - How many events were exported
  */
-function createGoogleCalendarUrl(eventData) {
-  const baseUrl = 'https://calendar.google.com/calendar/render';
-
-  const startFormatted = formatDateForCalendar(eventData.startDate);
-  const endFormatted = formatDateForCalendar(eventData.endDate);
-
-  const params = new URLSearchParams({
-    action: 'TEMPLATE',
-    text: eventData.title,
-    dates: `${startFormatted}/${endFormatted}`,
-    details: eventData.description
+async function exportHistory(format) {
+  const result = await chrome.storage.local.get([CONFIG.STORAGE_KEY]);
+  const events = result[CONFIG.STORAGE_KEY] || [];
+  const now = new Date();
+  const day = [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+    .map(part => String(part).padStart(2, '0')).join('-');
+
+  // A byte order mark so spreadsheets read the CSV as UTF-8
+  const content = format === 'csv' ? `\uFEFF${createHistoryCsv(events)}` : createHistoryJson(events);
+  const type = format === 'csv' ? 'text/csv' : 'application/json';
+  await chrome.downloads.download({
+    url: `data:${type};charset=utf-8,${encodeURIComponent(content)}`,
+    filename: `text-to-calendar-history-${day}.${format === 'csv' ? 'csv' : 'json'}`,
+    saveAs: true
   });
-
-  // Add recurrence rule if this is a recurring event
-  if (eventData.recurrence && eventData.recurrence.isRecurring) {
-    const rrule = `RRULE:FREQ=${eventData.recurrence.frequency};BYDAY=${eventData.recurrence.days.join(',')}`;
-    params.append('recur', rrule);
-    log('Added recurrence rule:', rrule);
-  }
-
-  return `${baseUrl}?${params.toString()}`;
+  log(`Exported ${events.length} event(s) as ${format}`);
+  return events.length;
 }
 
 // =============================================================================
@@ -1538,14 +2769,25 @@ function testParsing(text) {
   console.log('  Title:', result.title);
   console.log('  Start:', result.startDate.toLocaleString());
   console.log('  End:', result.endDate.toLocaleString());
+  console.log('  Location:', result.location);
+  console.log('  Attendees:', result.attendees.map(a => a.email).join(', '));
+  console.log('  Time zone:', result.timeZone ? result.timeZone.label : null);
+  console.log('  All day:', result.allDay);
+  console.log('  Repeats:', buildRecurrenceRule(result.recurrence, result));
+  console.log('  Reminder:', result.reminderMinutes ? `${formatReminderLead(result.reminderMinutes)} before` : 'none');
   console.log('  Confidence:', result.confidence);
   console.log('  Description:', result.description);
+  ['date', 'time', 'duration', 'recurrence', 'reminder', 'timeZone'].forEach((part) => {
+    const rule = result.trace[part];
+    console.log(`  Matched ${part}:`, rule ? `${rule.rule} (${rule.spans.map(span => `"${span.text}"`).join(', ')})` : 'none');
+  });
 
   return result;
 }
 
-// Make testParsing available globally for console access
+// Make testParsing and restoreStorageBackup available globally for console access
 if (typeof globalThis !== 'undefined') {
   globalThis.testParsing = testParsing;
+  globalThis.restoreStorageBackup = restoreStorageBackup;
 }
 
@@ -0,0 +1,247 @@
+// Batch (multi-event) window script for Text to Calendar extension
+
+import { getConfidenceLevel, formatConfidenceSymbol, formatRecurrence } from './format.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+  const batchId = new URLSearchParams(window.location.search).get('id');
+
+  const summary = document.getElementById('batch-summary');
+  const notice = document.getElementById('batch-notice');
+  const batchList = document.getElementById('batch-list');
+  const selectAll = document.getElementById('select-all');
+  const errorMessage = document.getElementById('batch-error');
+  const cancelBtn = document.getElementById('batch-cancel');
+  const downloadBtn = document.getElementById('batch-download');
+  const createBtn = document.getElementById('batch-create');
+
+  loadBatch();
+
+  selectAll.addEventListener('change', () => {
+    batchList.querySelectorAll('.batch-row').forEach((row) => {
+      row.querySelector('input[type="checkbox"]').checked = selectAll.checked;
+      row.classList.toggle('unchecked', !selectAll.checked);
+    });
+    updateButtons();
+  });
+
+  cancelBtn.addEventListener('click', async () => {
+    try {
+      await chrome.runtime.sendMessage({ action: 'cancelPreview', id: batchId });
+    } catch (error) {
+      console.error('Error cancelling batch:', error);
+    }
+    window.close();
+  });
+
+  createBtn.addEventListener('click', async () => {
+    await confirmBatch('open');
+  });
+
+  downloadBtn.addEventListener('click', async () => {
+    await confirmBatch('download');
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      cancelBtn.click();
+    }
+  });
+
+  /**
+   * Load the pending batch from the background
+   */
+  async function loadBatch() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getPreview',
+        id: batchId
+      });
+
+      if (!response.success || !response.preview.events) {
+        summary.textContent = 'This selection has expired.';
+        showError('Select the text and try again.');
+        setButtonsDisabled(true);
+        return;
+      }
+
+      renderCandidates(response.preview.events);
+
+      // e.g. course schedules without term dates
+      if (response.preview.notice) {
+        notice.textContent = response.preview.notice;
+        notice.classList.add('visible');
+      }
+    } catch (error) {
+      console.error('Error loading batch:', error);
+      showError('Could not load the parsed events.');
+      setButtonsDisabled(true);
+    }
+  }
+
+  /**
+   * Render one checklist row per candidate event
+   */
+  function renderCandidates(candidates) {
+    batchList.innerHTML = '';
+    summary.textContent = `Found ${candidates.length} event${candidates.length === 1 ? '' : 's'}.`;
+
+    candidates.forEach((candidate, index) => {
+      batchList.appendChild(createCandidateRow(candidate, index));
+    });
+
+    updateButtons();
+  }
+
+  /**
+   * Create a checklist row element
+   */
+  function createCandidateRow(candidate, index) {
+    const event = candidate.event;
+
+    const row = document.createElement('label');
+    row.className = 'batch-row';
+    row.dataset.index = index;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.addEventListener('change', () => {
+      row.classList.toggle('unchecked', !checkbox.checked);
+      updateButtons();
+    });
+
+    const body = document.createElement('div');
+    body.className = 'batch-row-body';
+
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.className = 'batch-title';
+    title.value = event.title;
+
+    // Date and confidence indicator, same levels as the popup history cards
+    const meta = document.createElement('div');
+    meta.className = 'event-meta';
+
+    const date = document.createElement('div');
+    date.className = 'event-date';
+    date.textContent = formatCandidateDate(event);
+    meta.appendChild(date);
+
+    const confidence = document.createElement('div');
+    confidence.className = 'event-confidence';
+    confidence.title = `Parse confidence: ${Math.round(event.confidence * 100)}%`;
+    confidence.classList.add(`confidence-${getConfidenceLevel(event.confidence)}`);
+    confidence.textContent = formatConfidenceSymbol(event.confidence);
+    meta.appendChild(confidence);
+
+    const segment = document.createElement('div');
+    segment.className = 'batch-segment';
+    segment.textContent = candidate.segment;
+    segment.title = candidate.segment;
+
+    body.appendChild(title);
+    if (event.location) {
+      const location = document.createElement('div');
+      location.className = 'event-location';
+      location.textContent = event.location;
+      body.appendChild(location);
+    }
+    const recurrenceText = formatRecurrence(event.recurrence);
+    if (recurrenceText) {
+      const recurrence = document.createElement('div');
+      recurrence.className = 'event-recurrence';
+      recurrence.textContent = recurrenceText;
+      body.appendChild(recurrence);
+    }
+    body.appendChild(meta);
+    body.appendChild(segment);
+
+    row.appendChild(checkbox);
+    row.appendChild(body);
+
+    return row;
+  }
+
+  /**
+   * Format the event start and end for a row
+   */
+  function formatCandidateDate(event) {
+    const start = new Date(event.startDate);
+    const end = new Date(event.endDate);
+
+    const dayOptions = { weekday: 'short', month: 'short', day: 'numeric' };
+    const dateStr = start.toLocaleDateString([], dayOptions);
+    const timeOptions = { hour: 'numeric', minute: '2-digit' };
+
+    if (event.allDay) {
+      // The end is midnight after the last day
+      end.setDate(end.getDate() - 1);
+      return end > start ?
+        `${dateStr} – ${end.toLocaleDateString([], dayOptions)}, all day` :
+        `${dateStr}, all day`;
+    }
+
+    return `${dateStr}, ${start.toLocaleTimeString([], timeOptions)} – ${end.toLocaleTimeString([], timeOptions)}`;
+  }
+
+  /**
+   * Collect the checked rows with their (possibly edited) titles
+   */
+  function getSelections() {
+    return [...batchList.querySelectorAll('.batch-row')]
+      .filter(row => row.querySelector('input[type="checkbox"]').checked)
+      .map(row => ({
+        index: parseInt(row.dataset.index, 10),
+        title: row.querySelector('.batch-title').value
+      }));
+  }
+
+  function updateButtons() {
+    const count = getSelections().length;
+    createBtn.textContent = `Create ${count} Event${count === 1 ? '' : 's'}`;
+    setButtonsDisabled(count === 0);
+  }
+
+  function setButtonsDisabled(disabled) {
+    createBtn.disabled = disabled;
+    downloadBtn.disabled = disabled;
+  }
+
+  /**
+   * Send the checked events to the background and close the window
+   */
+  async function confirmBatch(mode) {
+    const selections = getSelections();
+    if (selections.length === 0) {
+      return;
+    }
+
+    errorMessage.classList.remove('visible');
+    setButtonsDisabled(true);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'confirmBatch',
+        id: batchId,
+        selections,
+        mode
+      });
+
+      if (response.success) {
+        window.close();
+      } else {
+        showError(response.error || 'Failed to create events.');
+        setButtonsDisabled(false);
+      }
+    } catch (error) {
+      console.error('Error confirming batch:', error);
+      showError('Failed to create events. Please try again.');
+      setButtonsDisabled(false);
+    }
+  }
+
+  function showError(message) {
+    errorMessage.textContent = message;
+    errorMessage.classList.add('visible');
+  }
+});
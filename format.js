@@ -0,0 +1,100 @@
+// Display formatting shared by the service worker and the extension pages
+
+/**
+ * Bucket a confidence score the way the popup shows it
+ * @param {number} confidence - 0 to 1
+ * @returns {string} - 'high', 'medium' or 'low'
+ */
+function getConfidenceLevel(confidence) {
+  return confidence >= 0.7 ? 'high' : confidence >= 0.4 ? 'medium' : 'low';
+}
+
+/**
+ * The symbol shown next to a confidence score: ✓ high, ~ medium, ? low
+ */
+function formatConfidenceSymbol(confidence) {
+  return { high: '✓', medium: '~', low: '?' }[getConfidenceLevel(confidence)];
+}
+
+/**
+ * Describe a repeat rule, e.g. "Every 2 weeks on Mon, Wed · until Dec 15"
+ * Returns null for one-off events
+ */
+function formatRecurrence(recurrence) {
+  if (!recurrence || !recurrence.isRecurring) {
+    return null;
+  }
+
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const adverbs = { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' };
+  const dayNames = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+  const positions = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+  const interval = recurrence.interval || 1;
+  const days = recurrence.days || [];
+
+  let text = interval > 1 ?
+    `Every ${interval} ${units[recurrence.frequency]}s` :
+    adverbs[recurrence.frequency];
+
+  if (recurrence.position) {
+    // Several days: "the last weekday" (MO-FR), "the last day" (every day)
+    const dayName = days.length === 7 ? 'day' : days.length === 5 ? 'weekday' : dayNames[days[0]];
+    text += ` on the ${positions[recurrence.position]} ${dayName}`;
+  } else if (days.length > 0) {
+    text += ` on ${days.map(day => dayNames[day]).join(', ')}`;
+  }
+
+  if (recurrence.count) {
+    text += ` · ${recurrence.count} times`;
+  } else if (recurrence.until) {
+    const [year, month, day] = recurrence.until.split('-').map(Number);
+    const until = new Date(year, month - 1, day);
+    text += ` · until ${until.toLocaleDateString([], {
+      month: 'short',
+      day: 'numeric',
+      year: year === new Date().getFullYear() ? undefined : 'numeric'
+    })}`;
+  }
+
+  return text;
+}
+
+/**
+ * Describe how long before an event a reminder is, e.g. "30 min", "1 hour", "2 days"
+ */
+function formatReminderLead(minutes) {
+  if (minutes % 1440 === 0) {
+    return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+  }
+  if (minutes % 60 === 0) {
+    return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  }
+  return `${minutes} min`;
+}
+
+/**
+ * Format the start time in the zone the event was written in, e.g. "2:00 PM ET"
+ * Returns null when that matches the local time
+ */
+function formatSourceZoneTime(date, timeZone) {
+  if (!timeZone) {
+    return null;
+  }
+
+  const timeOptions = { hour: 'numeric', minute: '2-digit' };
+  const zoned = timeZone.name ?
+    date.toLocaleTimeString([], { ...timeOptions, timeZone: timeZone.name }) :
+    // Fixed UTC offset: shift the instant and format it as UTC
+    new Date(date.getTime() + timeZone.offsetMinutes * 60000)
+      .toLocaleTimeString([], { ...timeOptions, timeZone: 'UTC' });
+
+  return zoned === date.toLocaleTimeString([], timeOptions) ? null : `${zoned} ${timeZone.label}`;
+}
+
+export {
+  getConfidenceLevel,
+  formatConfidenceSymbol,
+  formatRecurrence,
+  formatReminderLead,
+  formatSourceZoneTime
+};
@@ -0,0 +1,321 @@
+// History page script for Text to Calendar extension
+
+import { getConfidenceLevel, formatConfidenceSymbol, formatRecurrence } from './format.js';
+
+const PAGE_SIZE = 20;
+
+document.addEventListener('DOMContentLoaded', () => {
+  const searchInput = document.getElementById('history-search');
+  const filterInputs = ['history-from', 'history-to', 'history-confidence', 'history-type', 'history-sort']
+    .map(id => document.getElementById(id));
+  const [fromInput, toInput, confidenceSelect, typeSelect, sortSelect] = filterInputs;
+  const optionsLink = document.getElementById('options-link');
+  const selectPage = document.getElementById('select-page');
+  const summary = document.getElementById('history-summary');
+  const deleteSelectedBtn = document.getElementById('delete-selected');
+  const historyList = document.getElementById('history-list');
+  const emptyState = document.getElementById('empty-state');
+  const prevBtn = document.getElementById('page-prev');
+  const nextBtn = document.getElementById('page-next');
+  const pageStatus = document.getElementById('page-status');
+  const confirmModal = document.getElementById('confirm-modal');
+  const confirmMessage = document.getElementById('confirm-message');
+  const confirmCancel = document.getElementById('confirm-cancel');
+  const confirmDelete = document.getElementById('confirm-delete');
+
+  // Selected event IDs, kept across pages
+  const selected = new Set();
+  let page = 1;
+  let searchTimer = null;
+
+  loadEvents();
+
+  // Search shortly after typing stops
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      page = 1;
+      loadEvents();
+    }, 200);
+  });
+
+  filterInputs.forEach((input) => {
+    input.addEventListener('change', () => {
+      page = 1;
+      loadEvents();
+    });
+  });
+
+  optionsLink.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  prevBtn.addEventListener('click', () => {
+    page--;
+    loadEvents();
+  });
+
+  nextBtn.addEventListener('click', () => {
+    page++;
+    loadEvents();
+  });
+
+  selectPage.addEventListener('change', () => {
+    historyList.querySelectorAll('.history-row').forEach((row) => {
+      setSelected(row, selectPage.checked);
+    });
+    updateSelection();
+  });
+
+  deleteSelectedBtn.addEventListener('click', () => {
+    confirmMessage.textContent = selected.size === 1 ?
+      'Delete the selected event from history?' :
+      `Delete ${selected.size} selected events from history?`;
+    confirmModal.classList.add('visible');
+    confirmDelete.focus();
+  });
+
+  confirmCancel.addEventListener('click', () => {
+    hideModal();
+  });
+
+  confirmDelete.addEventListener('click', async () => {
+    await deleteSelected();
+    hideModal();
+  });
+
+  // Close modal on background click
+  confirmModal.addEventListener('click', (e) => {
+    if (e.target === confirmModal) {
+      hideModal();
+    }
+  });
+
+  // Close modal on Escape key
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && confirmModal.classList.contains('visible')) {
+      hideModal();
+    }
+  });
+
+  /**
+   * Load the current page of events matching the filters
+   */
+  async function loadEvents() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'queryEvents',
+        query: {
+          search: searchInput.value,
+          from: fromInput.value,
+          to: toInput.value,
+          confidence: confidenceSelect.value,
+          type: typeSelect.value,
+          sort: sortSelect.value,
+          page,
+          pageSize: PAGE_SIZE
+        }
+      });
+
+      if (!response.success) {
+        console.error('Failed to load events:', response.error);
+        return;
+      }
+
+      // The page may have shrunk after a delete
+      page = response.page;
+      renderEvents(response.events);
+      summary.textContent = `${response.total} event${response.total === 1 ? '' : 's'}`;
+      pageStatus.textContent = `Page ${response.page} of ${response.pageCount}`;
+      prevBtn.disabled = response.page <= 1;
+      nextBtn.disabled = response.page >= response.pageCount;
+    } catch (error) {
+      console.error('Error loading events:', error);
+    }
+  }
+
+  /**
+   * Render one page of events
+   */
+  function renderEvents(events) {
+    historyList.innerHTML = '';
+    emptyState.classList.toggle('visible', events.length === 0);
+
+    events.forEach((event) => {
+      historyList.appendChild(createEventRow(event));
+    });
+    updateSelection();
+  }
+
+  /**
+   * Create an event row with its checkbox and buttons
+   */
+  function createEventRow(event) {
+    const row = document.createElement('div');
+    row.className = 'event-card history-row';
+    row.dataset.eventId = event.id;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.addEventListener('change', () => {
+      setSelected(row, checkbox.checked);
+      updateSelection();
+    });
+
+    const body = document.createElement('div');
+    body.className = 'history-row-body';
+
+    const title = document.createElement('div');
+    title.className = 'event-title';
+    title.textContent = event.title || 'Untitled event';
+    title.title = title.textContent;
+    body.appendChild(title);
+
+    // What the event was created from, when it differs from the title
+    if (event.originalText && event.originalText.trim() !== event.title) {
+      const original = document.createElement('div');
+      original.className = 'history-original';
+      original.textContent = `"${event.originalText.trim()}"`;
+      original.title = event.originalText;
+      body.appendChild(original);
+    }
+
+    if (event.location) {
+      const location = document.createElement('div');
+      location.className = 'event-location';
+      location.textContent = event.location;
+      location.title = event.location;
+      body.appendChild(location);
+    }
+
+    const recurrenceText = formatRecurrence(event.recurrence);
+    if (recurrenceText) {
+      const recurrence = document.createElement('div');
+      recurrence.className = 'event-recurrence';
+      recurrence.textContent = recurrenceText;
+      recurrence.title = recurrenceText;
+      body.appendChild(recurrence);
+    }
+
+    // Start date and confidence indicator
+    const meta = document.createElement('div');
+    meta.className = 'event-meta';
+
+    const date = document.createElement('div');
+    date.className = 'event-date';
+    date.textContent = formatEventDate(event);
+    date.title = `Created ${new Date(event.createdAt).toLocaleString()}`;
+    meta.appendChild(date);
+
+    if (typeof event.confidence === 'number') {
+      const confidence = document.createElement('div');
+      confidence.className = `event-confidence confidence-${getConfidenceLevel(event.confidence)}`;
+      confidence.title = `Parse confidence: ${Math.round(event.confidence * 100)}%`;
+      confidence.textContent = formatConfidenceSymbol(event.confidence);
+      meta.appendChild(confidence);
+    }
+    body.appendChild(meta);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'event-buttons';
+
+    const createBtn = document.createElement('button');
+    createBtn.className = 'btn-create-again';
+    createBtn.textContent = 'Create Again';
+    createBtn.addEventListener('click', () => {
+      sendEventAction('openEvent', event.id);
+    });
+
+    const downloadBtn = document.createElement('button');
+    downloadBtn.className = 'btn-download-ics';
+    downloadBtn.textContent = 'Download .ics';
+    downloadBtn.title = 'Download as an iCalendar file (Outlook, Apple Calendar)';
+    downloadBtn.addEventListener('click', () => {
+      sendEventAction('downloadIcs', event.id);
+    });
+
+    buttons.appendChild(createBtn);
+    buttons.appendChild(downloadBtn);
+    body.appendChild(buttons);
+
+    row.appendChild(checkbox);
+    row.appendChild(body);
+    setSelected(row, selected.has(event.id));
+
+    return row;
+  }
+
+  function setSelected(row, isSelected) {
+    row.querySelector('input[type="checkbox"]').checked = isSelected;
+    row.classList.toggle('selected', isSelected);
+    if (isSelected) {
+      selected.add(row.dataset.eventId);
+    } else {
+      selected.delete(row.dataset.eventId);
+    }
+  }
+
+  /**
+   * Sync the "Select page" box and the delete button with the selection
+   */
+  function updateSelection() {
+    const checkboxes = [...historyList.querySelectorAll('input[type="checkbox"]')];
+    selectPage.checked = checkboxes.length > 0 && checkboxes.every(checkbox => checkbox.checked);
+    selectPage.disabled = checkboxes.length === 0;
+    deleteSelectedBtn.disabled = selected.size === 0;
+    deleteSelectedBtn.textContent = selected.size > 0 ? `Delete Selected (${selected.size})` : 'Delete Selected';
+  }
+
+  /**
+   * Delete every selected event, then reload the page
+   */
+  async function deleteSelected() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'deleteEvents',
+        ids: [...selected]
+      });
+
+      if (!response.success) {
+        console.error('Failed to delete events:', response.error);
+        return;
+      }
+      selected.clear();
+      await loadEvents();
+    } catch (error) {
+      console.error('Error deleting events:', error);
+    }
+  }
+
+  /**
+   * Reopen or download a stored event
+   * @param {string} action - 'openEvent' or 'downloadIcs'
+   */
+  async function sendEventAction(action, eventId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action, id: eventId });
+
+      if (!response.success) {
+        console.error(`Failed to ${action}:`, response.error);
+      }
+    } catch (error) {
+      console.error(`Error in ${action}:`, error);
+    }
+  }
+
+  function hideModal() {
+    confirmModal.classList.remove('visible');
+  }
+});
+
+/**
+ * Format the start of an event with its year, since history goes back further than the popup
+ */
+function formatEventDate(event) {
+  const start = new Date(event.startDate);
+  const dateOptions = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+
+  return event.allDay ?
+    `${start.toLocaleDateString([], dateOptions)}, all day` :
+    start.toLocaleString([], { ...dateOptions, hour: 'numeric', minute: '2-digit' });
+}
@@ -0,0 +1,335 @@
+// Options page script for Text to Calendar extension
+
+document.addEventListener('DOMContentLoaded', () => {
+  const inputs = [...document.querySelectorAll('[data-setting]')];
+  const languageSelect = document.getElementById('option-language');
+  const status = document.getElementById('options-status');
+  const resetBtn = document.getElementById('options-reset');
+  const tryInput = document.getElementById('try-input');
+  const tryResult = document.getElementById('try-result');
+  const historyStatus = document.getElementById('history-status');
+  const exportJsonBtn = document.getElementById('export-json');
+  const exportCsvBtn = document.getElementById('export-csv');
+  const importBtn = document.getElementById('import-history');
+  const importFile = document.getElementById('import-file');
+  const importErrors = document.getElementById('import-errors');
+  const restoreBackupBtn = document.getElementById('restore-backup');
+  const syncStatus = document.getElementById('sync-status');
+
+  // Stored defaults, for "Reset to Defaults"
+  let defaults = {};
+  let tryTimer = null;
+
+  loadSettings();
+  loadSyncStatus();
+
+  inputs.forEach((input) => {
+    input.addEventListener('change', async () => {
+      await saveSettings(collectSettings());
+      runTry();
+    });
+  });
+
+  // Syncing runs in the background shortly after a change
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.syncStatus || changes.settings)) {
+      loadSyncStatus();
+    }
+  });
+
+  resetBtn.addEventListener('click', async () => {
+    inputs.forEach((input) => {
+      setInputValue(input, defaults[input.dataset.setting]);
+    });
+    await saveSettings(collectSettings());
+    runTry();
+  });
+
+  // Re-parse shortly after typing stops
+  tryInput.addEventListener('input', () => {
+    clearTimeout(tryTimer);
+    tryTimer = setTimeout(runTry, 200);
+  });
+
+  exportJsonBtn.addEventListener('click', () => {
+    exportHistory('json');
+  });
+
+  exportCsvBtn.addEventListener('click', () => {
+    exportHistory('csv');
+  });
+
+  importBtn.addEventListener('click', () => {
+    importFile.click();
+  });
+
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (file) {
+      await importHistory(file);
+    }
+  });
+
+  restoreBackupBtn.addEventListener('click', async () => {
+    if (window.confirm('Replace the history with the copy saved before the last update? Events saved since then are removed.')) {
+      await restoreBackup();
+    }
+  });
+
+  /**
+   * Load settings into the form
+   */
+  async function loadSettings() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+
+      if (!response.success) {
+        console.error('Failed to load settings:', response.error);
+        return;
+      }
+
+      defaults = response.defaults;
+      response.languages.forEach((language) => {
+        const option = document.createElement('option');
+        option.value = language.code;
+        option.textContent = language.name;
+        languageSelect.appendChild(option);
+      });
+      inputs.forEach((input) => {
+        setInputValue(input, response.settings[input.dataset.setting]);
+      });
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+  }
+
+  /**
+   * Read the form, leaving out fields that aren't valid yet
+   * Date fields may be left empty
+   */
+  function collectSettings() {
+    const settings = {};
+
+    inputs.forEach((input) => {
+      if (!input.checkValidity() || (input.value === '' && input.type !== 'date')) {
+        return;
+      }
+      settings[input.dataset.setting] = input.type === 'checkbox' ? input.checked :
+        input.type === 'number' ? parseInt(input.value, 10) :
+          input.value;
+    });
+
+    return settings;
+  }
+
+  function setInputValue(input, value) {
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+  }
+
+  /**
+   * Save the parser settings
+   */
+  async function saveSettings(settings) {
+    const invalid = inputs.find(input =>
+      !input.checkValidity() || (input.value === '' && input.type !== 'date'));
+    if (invalid) {
+      showStatus(`Check "${invalid.closest('.field').querySelector('.field-label').textContent}"`, true);
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'updateSettings',
+        settings
+      });
+
+      if (!response.success) {
+        console.error('Failed to save settings:', response.error);
+        showStatus('Could not save settings', true);
+      } else if (!invalid) {
+        showStatus('Saved');
+      }
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      showStatus('Could not save settings', true);
+    }
+  }
+
+  /**
+   * Show when the history last synced, and how much of it fits in sync storage
+   */
+  async function loadSyncStatus() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSyncStatus' });
+
+      if (!response.success || !response.enabled) {
+        syncStatus.textContent = '';
+        return;
+      }
+
+      const parts = [response.lastSyncedAt ?
+        `Last synced ${new Date(response.lastSyncedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}` :
+        'Not synced yet'];
+      if (response.syncedEvents < response.totalEvents) {
+        parts.push(`the newest ${response.syncedEvents} of ${response.totalEvents} events fit in sync storage`);
+      }
+      if (response.error) {
+        parts.push(`the last try failed (${response.error}) and will be retried`);
+      }
+      syncStatus.textContent = parts.join('; ');
+      syncStatus.classList.toggle('error', Boolean(response.error));
+    } catch (error) {
+      console.error('Error loading sync status:', error);
+    }
+  }
+
+  function showStatus(message, isError = false) {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Download the whole history
+   * @param {string} format - 'json' or 'csv'
+   */
+  async function exportHistory(format) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'exportHistory', format });
+
+      if (response.success) {
+        showHistoryStatus(`Exported ${response.count} event${response.count === 1 ? '' : 's'}`);
+      } else {
+        console.error('Failed to export history:', response.error);
+        showHistoryStatus('Could not export the history', true);
+      }
+    } catch (error) {
+      console.error('Error exporting history:', error);
+      showHistoryStatus('Could not export the history', true);
+    }
+  }
+
+  /**
+   * Import a JSON or CSV export and list any rows that were skipped
+   */
+  async function importHistory(file) {
+    importErrors.innerHTML = '';
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'importHistory',
+        content: await file.text()
+      });
+
+      if (!response.success) {
+        showHistoryStatus(response.error, true);
+        return;
+      }
+
+      const parts = [`Imported ${response.imported} event${response.imported === 1 ? '' : 's'}`];
+      if (response.duplicates > 0) {
+        parts.push(`${response.duplicates} already in the history`);
+      }
+      if (response.errors.length > 0) {
+        parts.push(`${response.errors.length} skipped`);
+      }
+      if (response.trimmed > 0) {
+        parts.push(`${response.trimmed} oldest removed to stay within the history size`);
+      }
+      showHistoryStatus(parts.join(', '), response.errors.length > 0);
+
+      response.errors.forEach(({ row, message }) => {
+        const item = document.createElement('li');
+        item.textContent = `Row ${row}: ${message}`;
+        importErrors.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Error importing history:', error);
+      showHistoryStatus('Could not import the file', true);
+    }
+  }
+
+  /**
+   * Put back the history saved before the last storage migration
+   */
+  async function restoreBackup() {
+    importErrors.innerHTML = '';
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'restoreStorageBackup' });
+
+      if (response.success) {
+        showHistoryStatus(`Restored ${response.count} event${response.count === 1 ? '' : 's'} from the backup`);
+      } else {
+        showHistoryStatus(response.error, true);
+      }
+    } catch (error) {
+      console.error('Error restoring the backup:', error);
+      showHistoryStatus('Could not restore the backup', true);
+    }
+  }
+
+  function showHistoryStatus(message, isError = false) {
+    historyStatus.textContent = message;
+    historyStatus.classList.toggle('error', isError);
+  }
+
+  /**
+   * Parse the sample text with the settings on the form
+   */
+  async function runTry() {
+    const text = tryInput.value.trim();
+    if (!text) {
+      tryResult.innerHTML = '';
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'parseText',
+        text,
+        settings: collectSettings()
+      });
+
+      if (response.success) {
+        renderTryResult(response.event);
+      }
+    } catch (error) {
+      console.error('Error parsing sample text:', error);
+    }
+  }
+
+  /**
+   * Show the parsed fields
+   */
+  function renderTryResult(event) {
+    const start = new Date(event.startDate);
+    const end = new Date(event.endDate);
+    const dateOptions = event.allDay ? { dateStyle: 'medium' } : { dateStyle: 'medium', timeStyle: 'short' };
+    // All-day events end at midnight after the last day
+    const shownEnd = event.allDay ? new Date(end.getTime() - 1) : end;
+    const rows = [
+      ['Title', event.title],
+      ['Start', start.toLocaleString([], dateOptions)],
+      ['End', shownEnd.toLocaleString([], dateOptions)],
+      ['Duration', event.allDay ? 'All day' : `${Math.round((end - start) / 60000)} minutes`],
+      ['Location', event.location],
+      ['Reminder', event.reminderMinutes ? `${event.reminderMinutes} minutes before` : null],
+      ['Language', event.language],
+      ['Confidence', `${Math.round(event.confidence * 100)}%${event.ambiguousDate ? ' (date could be read either way)' : ''}`]
+    ];
+
+    tryResult.innerHTML = '';
+    rows.filter(([, value]) => value).forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      tryResult.appendChild(term);
+      tryResult.appendChild(detail);
+    });
+  }
+});
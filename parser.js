@@ -0,0 +1,3222 @@
+// Event text parser for Text to Calendar extension
+//
+// Turns selected text into event details. Everything here is plain JavaScript with no
+// extension APIs, so the same module runs in the service worker and under Node
+// (see test/parser.test.js). The clock is an option (options.now), so results don't
+// depend on when they're computed.
+
+// =============================================================================
+// DEBUG LOGGING
+// =============================================================================
+
+// Set by the host: background.js passes its logger when CONFIG.DEBUG is on
+let parserLogger = null;
+
+/**
+ * Send parser debug output to a logger, or turn it off with null
+ * @param {Function|null} logger - Called with the same arguments as console.log
+ */
+function setParserLogger(logger) {
+  parserLogger = logger;
+}
+
+/**
+ * Debug logger - only logs when a logger has been set
+ */
+function log(...args) {
+  if (parserLogger) {
+    parserLogger(...args);
+  }
+}
+
+// =============================================================================
+// MAIN PARSING FUNCTION
+// =============================================================================
+
+// Heuristics used when the text doesn't say (configurable on the options page)
+const PARSER_DEFAULTS = {
+  defaultDurationMs: 60 * 60 * 1000, // 1 hour
+  defaultStartTime: { hours: 9, minutes: 0 },
+  timesOfDay: {
+    morning: { hours: 9, minutes: 0 },
+    afternoon: { hours: 14, minutes: 0 },
+    evening: { hours: 18, minutes: 0 },
+    night: { hours: 20, minutes: 0 }
+  },
+  assumePmUntil: 7,
+  allDayForDateOnly: true,
+  defaultReminderMinutes: null
+};
+
+/**
+ * Parse selected text to extract event details with confidence scoring
+ * @param {string} text - The selected text to parse
+ * @param {Object} options - Parser options
+ * @param {Array<Object>} options.contacts - [{ name, email }] used to resolve @mentions
+ * @param {string} options.dateOrder - 'MDY', 'DMY', 'YMD', or 'auto' (browser locale) for numeric dates
+ * @param {string} options.language - Language pack code, or 'auto' to detect it from the text
+ * @param {number} options.defaultDurationMs - Duration when none is given
+ * @param {Object} options.defaultStartTime - { hours, minutes } for events with a date but no time
+ * @param {Object} options.timesOfDay - { morning, afternoon, evening, night }, each { hours, minutes }
+ * @param {number} options.assumePmUntil - Bare hours from 1 up to this are PM ("at 3" → 3 PM)
+ * @param {boolean} options.allDayForDateOnly - A date without a time is an all-day event
+ * @param {number|null} options.defaultReminderMinutes - Reminder when the text doesn't ask for one
+ * @param {Date} options.now - The moment relative dates are read from (default: the current time)
+ * @returns {Object} - { title, startDate, endDate, allDay, description, location, attendees, timeZone, language, confidence, ambiguousDate, recurrence, reminderMinutes, trace }
+ *   All-day events start at midnight of the first day and end at midnight after the last day.
+ *   trace is { text, date, time, duration, recurrence, reminder, timeZone }: each part is null or
+ *   { rule, spans: [{ start, end, text }] } with the extractor rule that set it ('iso', 'time-range', 'for-hours'...)
+ *   and the character spans it matched. Spans index into trace.text, the selected text; for non-English
+ *   selections they cover the original words that were translated into what the rule matched.
+ */
+function parseEventFromText(text, options = {}) {
+  const now = options.now ? new Date(options.now) : new Date();
+  const defaults = { ...PARSER_DEFAULTS, ...options };
+  const language = detectLanguage(text, options.language);
+  const parseResult = {
+    title: null,
+    startDate: null,
+    endDate: null,
+    allDay: false,
+    description: text,
+    location: null,
+    attendees: [],
+    timeZone: null,
+    language,
+    confidence: 0,
+    ambiguousDate: false,
+    recurrence: {
+      isRecurring: false,
+      frequency: null,
+      interval: 1,
+      days: [],
+      position: null,
+      count: null,
+      until: null
+    },
+    reminderMinutes: defaults.defaultReminderMinutes,
+    trace: {
+      text: null,
+      date: null,
+      time: null,
+      duration: null,
+      recurrence: null,
+      reminder: null,
+      timeZone: null
+    }
+  };
+
+  // Track what we successfully parsed for confidence calculation
+  const parsed = {
+    date: false,
+    time: false,
+    duration: false,
+    endTime: false,
+    ambiguousDate: false
+  };
+
+  log('Parsing text:', text);
+
+  // Non-English dates and times are rewritten into English for the extractors below
+  const translation = translateWithOrigins(text, language);
+  const source = translation.text;
+  if (language !== 'en') {
+    log(`Translated (${language}):`, source);
+  }
+  parseResult.trace.text = text;
+
+  // Extract location (before the title, so it can be removed from it)
+  const locationResult = extractLocation(source);
+  if (locationResult.found) {
+    parseResult.location = locationResult.location;
+    log('Extracted location:', locationResult.location, `(${locationResult.type})`);
+  }
+
+  // Extract attendees (email addresses and @mentions of known contacts)
+  const attendeeResult = extractAttendees(source, options.contacts || []);
+  if (attendeeResult.found) {
+    parseResult.attendees = attendeeResult.attendees;
+    log('Extracted attendees:', attendeeResult.attendees.map(a => a.email).join(', '));
+  }
+
+  // Extract date
+  // With the date order on 'auto', a detected language's own order beats the browser's
+  const dateOrder = DATE_ORDERS.includes(options.dateOrder) ?
+    options.dateOrder :
+    LANGUAGE_PACKS[language].dateOrder;
+
+  // Repeat rule - its limits ("until Dec 15", "for 6 weeks") are left out of the date, time and duration
+  const recurrenceResult = parseRecurrence(source, now, resolveDateOrder(dateOrder));
+  // "remind me 30 minutes before" - not a duration or a date either
+  const reminderResult = extractReminder(source);
+  if (reminderResult.found) {
+    parseResult.reminderMinutes = reminderResult.minutes;
+    parseResult.trace.reminder = traceRule(text, translation, reminderResult.type, [reminderResult.span]);
+    log('Extracted reminder:', reminderResult.minutes, 'minutes before');
+  }
+
+  // Offsets ("in 3 days", "a week from Friday") are left out too, so their numbers aren't read as times
+  // Phrases are blanked out rather than removed, so positions still match the source for the trace
+  const offsetSource = reminderResult.found ? blankOut(source, reminderResult.match) : source;
+  const offsetResult = extractRelativeOffset(offsetSource, now, resolveDateOrder(dateOrder));
+  const eventSource = [...recurrenceResult.limitMatches, reminderResult.match, offsetResult.match]
+    .filter(Boolean)
+    .reduce(blankOut, source);
+
+  const dateResult = extractDate(eventSource, now, resolveDateOrder(dateOrder));
+  let baseDate = null;
+  if (dateResult.date) {
+    baseDate = dateResult.date;
+    parsed.date = true;
+    parseResult.trace.date = traceRule(text, translation, dateResult.type, [dateResult.span]);
+    log('Extracted date:', baseDate, `(${dateResult.type})`);
+
+    // e.g. 01/02 - could be January 2 or February 1
+    if (dateResult.ambiguous) {
+      parsed.ambiguousDate = true;
+      parseResult.ambiguousDate = true;
+      log('Date order is ambiguous');
+    }
+  }
+
+  // Relative offset: "in 3 days", "two days before March 10", "in 45 minutes"
+  if (offsetResult.found) {
+    baseDate = new Date(offsetResult.date);
+    baseDate.setHours(0, 0, 0, 0);
+    parsed.date = true;
+    parseResult.trace.date = traceRule(text, translation, offsetResult.type, [offsetResult.span]);
+    log('Extracted relative date:', offsetResult.date, `(${offsetResult.type})`);
+  }
+
+  // A range of days: "Jan 5-7", "March 3 to March 5", "Fri–Sun"
+  const dateRangeResult = extractDateRange(eventSource, now, resolveDateOrder(dateOrder));
+  let lastDate = null;
+  if (dateRangeResult.found) {
+    baseDate = dateRangeResult.start;
+    lastDate = dateRangeResult.end;
+    parsed.date = true;
+    parseResult.trace.date = traceRule(text, translation, dateRangeResult.type, [dateRangeResult.span]);
+    log('Extracted date range:', baseDate.toDateString(), '-', lastDate.toDateString());
+  }
+
+  // Check for time range FIRST (e.g., "6-8pm", "10am-2pm")
+  const timeRangeResult = extractTimeRange(eventSource);
+  let startHours = null;
+  let startMinutes = 0;
+  let durationMs = defaults.defaultDurationMs;
+  let durationFromRange = false;
+  let timeSpan = null;
+  let timeZoneResult = { timeZone: null, timeZoneMatch: null, timeZoneType: 'none', timeZoneSpan: null };
+
+  if (timeRangeResult.found) {
+    // Use time range for both start time and duration
+    startHours = timeRangeResult.startHours;
+    startMinutes = timeRangeResult.startMinutes;
+    parsed.time = true;
+    parsed.endTime = true;
+
+    // Calculate duration from the range
+    const startTotalMinutes = timeRangeResult.startHours * 60 + timeRangeResult.startMinutes;
+    let endTotalMinutes = timeRangeResult.endHours * 60 + timeRangeResult.endMinutes;
+
+    // If end is before start, assume next day
+    if (endTotalMinutes <= startTotalMinutes) {
+      endTotalMinutes += 24 * 60;
+    }
+
+    durationMs = (endTotalMinutes - startTotalMinutes) * 60 * 1000;
+    durationFromRange = true;
+    parsed.duration = true;
+    timeZoneResult = timeRangeResult;
+    timeSpan = timeRangeResult.span;
+    parseResult.trace.time = traceRule(text, translation, timeRangeResult.type, [timeRangeResult.span]);
+    parseResult.trace.duration = parseResult.trace.time;
+
+    log(`Extracted time range: ${startHours}:${String(startMinutes).padStart(2, '0')} - ${timeRangeResult.endHours}:${String(timeRangeResult.endMinutes).padStart(2, '0')} (${timeRangeResult.type})`);
+    log(`Duration from range: ${durationMs / 60000} minutes`);
+  } else {
+    // Fall back to single time extraction
+    const timeResult = extractTime(eventSource, defaults);
+    if (timeResult.found) {
+      startHours = timeResult.hours;
+      startMinutes = timeResult.minutes;
+      parsed.time = true;
+      timeZoneResult = timeResult;
+      timeSpan = timeResult.span;
+      parseResult.trace.time = traceRule(text, translation, timeResult.type, [timeResult.span]);
+      log(`Extracted time: ${startHours}:${String(startMinutes).padStart(2, '0')} (${timeResult.type})`);
+    }
+  }
+
+  // "in 45 minutes" - the offset sets the time when the text doesn't give one
+  if (startHours === null && offsetResult.hasTime) {
+    startHours = offsetResult.date.getHours();
+    startMinutes = offsetResult.date.getMinutes();
+    parsed.time = true;
+    parseResult.trace.time = traceRule(text, translation, offsetResult.type, [offsetResult.span]);
+    log(`Time from offset: ${startHours}:${String(startMinutes).padStart(2, '0')}`);
+  }
+
+  // Time zone written after the time, or an IANA zone name anywhere in the text
+  if (!timeZoneResult.timeZone && startHours !== null) {
+    timeZoneResult = findIanaTimeZone(eventSource);
+  }
+  const timeZone = startHours !== null ? timeZoneResult.timeZone : null;
+  if (timeZone) {
+    parseResult.timeZone = timeZone;
+    parseResult.trace.timeZone = traceRule(text, translation, timeZoneResult.timeZoneType, [timeZoneResult.timeZoneSpan]);
+    log('Extracted time zone:', timeZone.label);
+  }
+
+  // Extract duration or end time (only if not already from time range)
+  let durationResult = null;
+  if (!durationFromRange) {
+    durationResult = extractDuration(eventSource, startHours, startMinutes, defaults);
+    durationMs = durationResult.duration;
+    if (durationResult.found) {
+      parsed.duration = true;
+      if (durationResult.type === 'until') {
+        parsed.endTime = true;
+      }
+      parseResult.trace.duration = traceRule(text, translation, durationResult.type, [durationResult.span]);
+      log(`Extracted duration: ${durationMs / 60000} minutes (${durationResult.type})`);
+    }
+  }
+
+  // Extract title (after the time and duration, so what they matched can be removed from it)
+  const titleExtracted = {
+    location: locationResult.match,
+    attendees: attendeeResult.matches,
+    timeZone: timeZone ? timeZoneResult.timeZoneMatch : null,
+    dateRange: dateRangeResult.match,
+    relativeDate: offsetResult.match,
+    reminder: reminderResult.match,
+    positionalDate: dateResult.match,
+    recurrence: recurrenceResult.matches
+  };
+  parseResult.title = language === 'en' ?
+    extractTitle(source, titleExtracted) :
+    extractLocalizedTitle(text, translation, [
+      dateResult.span, offsetResult.span, dateRangeResult.span, timeSpan,
+      durationResult && durationResult.span, reminderResult.span,
+      timeZone ? timeZoneResult.timeZoneSpan : null, ...recurrenceResult.spans
+    ], titleExtracted);
+
+  // Assemble the start date/time
+  if (baseDate) {
+    parseResult.startDate = new Date(baseDate);
+    if (startHours !== null) {
+      parseResult.startDate = setWallClockTime(baseDate, startHours, startMinutes, timeZone);
+    } else {
+      // Date found but no time - default to 9 AM (or the configured start time)
+      parseResult.startDate.setHours(defaults.defaultStartTime.hours, defaults.defaultStartTime.minutes, 0, 0);
+      log('No time found, using default start time');
+    }
+  } else if (startHours !== null) {
+    // Time found but no date - use today or tomorrow
+    parseResult.startDate = setWallClockTime(now, startHours, startMinutes, timeZone);
+
+    // If time has already passed today, use tomorrow
+    if (parseResult.startDate <= now) {
+      const tomorrow = new Date(now);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      parseResult.startDate = setWallClockTime(tomorrow, startHours, startMinutes, timeZone);
+      log('Time has passed, using tomorrow');
+    }
+  } else {
+    // No date or time found - default to next whole hour
+    parseResult.startDate = new Date(now);
+    parseResult.startDate.setMinutes(0, 0, 0);
+    parseResult.startDate.setHours(parseResult.startDate.getHours() + 1);
+    log('No date/time found, defaulting to next hour');
+  }
+
+  // Calculate end date
+  parseResult.endDate = new Date(parseResult.startDate.getTime() + durationMs);
+
+  // All day: "all day", a range of days without a time, or (by default) a date without a time
+  const allDayMatch = eventSource.match(/\ball[\s-]?day\b/i);
+  const allDayPhrase = Boolean(allDayMatch);
+  if (allDayPhrase || (baseDate && startHours === null && !parsed.duration &&
+      (lastDate || defaults.allDayForDateOnly))) {
+    parseResult.allDay = true;
+    parseResult.timeZone = null;
+    parseResult.startDate = new Date(baseDate || now);
+    parseResult.startDate.setHours(0, 0, 0, 0);
+
+    // The end is exclusive: midnight after the last day
+    parseResult.endDate = new Date(lastDate || parseResult.startDate);
+    parseResult.endDate.setHours(0, 0, 0, 0);
+    parseResult.endDate.setDate(parseResult.endDate.getDate() + 1);
+
+    // Written out, the missing time isn't a gap in the parse
+    if (allDayPhrase || lastDate) {
+      parsed.time = true;
+      parsed.duration = true;
+    }
+    if (allDayPhrase) {
+      parseResult.trace.duration = traceRule(text, translation, 'all-day', [spanOf(allDayMatch)]);
+    }
+    log('All-day event:', parseResult.startDate.toDateString(), '-', parseResult.endDate.toDateString(), '(exclusive)');
+  } else if (lastDate) {
+    // A timed event over several days ends on the last day
+    parseResult.endDate.setDate(parseResult.endDate.getDate() + Math.round((lastDate - baseDate) / 86400000));
+  }
+
+  // Repeat rule: every Monday, daily, biweekly, every first Tuesday, MWF...
+  if (recurrenceResult.found) {
+    const { frequency, interval, days, position, count, until, period } = recurrenceResult;
+
+    const eventLengthMs = parseResult.endDate - parseResult.startDate;
+
+    // Same wall-clock time on another day
+    const moveToDate = (date) => {
+      if (timeZone) {
+        return setWallClockTime(date, startHours, startMinutes, timeZone);
+      }
+      const moved = new Date(parseResult.startDate);
+      moved.setFullYear(date.getFullYear(), date.getMonth(), date.getDate());
+      return moved;
+    };
+
+    if (position !== null) {
+      // Monthly by weekday: the first matching week on or after the written date (or today)
+      const from = parsed.date && !dateResult.type.startsWith('day-') ? baseDate : now;
+      const date = getNextNthWeekday(from, days, position);
+      parseResult.startDate = moveToDate(date);
+      if (parseResult.startDate <= now) {
+        date.setDate(date.getDate() + 1);
+        parseResult.startDate = moveToDate(getNextNthWeekday(date, days, position));
+      }
+      log('Set start date to', parseResult.startDate.toDateString());
+    } else if (days.length > 0 && (!parsed.date || dateResult.type === 'day-standalone')) {
+      // No explicit date - start on the earliest upcoming day of the rule
+      const starts = days.map((day) => {
+        const date = getNextWeekday(now, day);
+        const start = moveToDate(date);
+        if (start > now) {
+          return start;
+        }
+        date.setDate(date.getDate() + 7);
+        return moveToDate(date);
+      });
+      parseResult.startDate = starts.reduce((earliest, start) => (start < earliest ? start : earliest));
+      log('Set start date to next', days.join('/'), ':', parseResult.startDate.toDateString());
+    }
+
+    // Recalculate end date, keeping the length (in whole days for all-day events)
+    if (parseResult.allDay) {
+      parseResult.endDate = new Date(parseResult.startDate);
+      parseResult.endDate.setDate(parseResult.endDate.getDate() + Math.round(eventLengthMs / 86400000));
+    } else {
+      parseResult.endDate = new Date(parseResult.startDate.getTime() + eventLengthMs);
+    }
+
+    const untilDate = period ? getRecurrencePeriodEnd(parseResult.startDate, period) : until;
+    parseResult.recurrence = {
+      isRecurring: true,
+      frequency,
+      interval,
+      days,
+      position,
+      count,
+      until: untilDate ? formatDateOnly(untilDate) : null
+    };
+    parseResult.trace.recurrence = {
+      ...traceRule(text, translation, recurrenceResult.type, recurrenceResult.spans),
+      limit: recurrenceResult.limitType
+    };
+    log('Found recurrence:', parseResult.recurrence, `(from "${recurrenceResult.matches.join('", "')}")`);
+  }
+
+  // Calculate confidence score (0-1)
+  parseResult.confidence = calculateConfidence(parsed, text);
+  log('Confidence score:', parseResult.confidence);
+
+  return parseResult;
+}
+
+/**
+ * Calculate confidence score based on what was successfully parsed
+ */
+function calculateConfidence(parsed, text) {
+  let score = 0;
+  const weights = {
+    date: 0.35,
+    time: 0.35,
+    duration: 0.20,
+    textLength: 0.10
+  };
+
+  if (parsed.date) {
+    // A date that reads both ways (01/02) only counts for half
+    score += parsed.ambiguousDate ? weights.date / 2 : weights.date;
+  }
+  if (parsed.time) {
+    score += weights.time;
+  }
+  if (parsed.duration || parsed.endTime) {
+    score += weights.duration;
+  }
+
+  // Bonus for reasonable text length (not too short, not too long)
+  const textLength = text.trim().length;
+  if (textLength >= 10 && textLength <= 200) {
+    score += weights.textLength;
+  } else if (textLength > 5) {
+    score += weights.textLength * 0.5;
+  }
+
+  return Math.min(1, Math.round(score * 100) / 100);
+}
+
+/**
+ * Character span of a regex match, for the parse trace
+ * @param {Array} match - Result of String.match or RegExp.exec (without the g flag)
+ * @returns {Object} - { start, end }, end exclusive
+ */
+function spanOf(match) {
+  return { start: match.index, end: match.index + match[0].length };
+}
+
+/**
+ * Describe the rule that set part of the event, with the text of each span
+ * @param {string} text - The selected text
+ * @param {Object} translation - From translateWithOrigins; the extractors read its text
+ * @param {string} rule - The extractor's type ('iso', 'time-range', 'for-hours'...)
+ * @param {Array<Object>} spans - [{ start, end }] in the translated text
+ * @returns {Object} - { rule, spans: [{ start, end, text }] } in the selected text, in text order
+ */
+function traceRule(text, translation, rule, spans) {
+  return {
+    rule,
+    spans: spans
+      .map(span => toOriginalSpan(translation.origins, span))
+      .map(({ start, end }) => ({ start, end, text: text.slice(start, end) }))
+      .sort((a, b) => a.start - b.start)
+  };
+}
+
+/**
+ * Replace the first occurrence of a phrase with spaces of the same length
+ */
+function blankOut(text, phrase) {
+  return text.replace(phrase, ' '.repeat(phrase.length));
+}
+
+/**
+ * Replace each { start, end } span of a text with spaces
+ */
+function blankOutSpans(text, spans) {
+  return spans.reduce(
+    (result, { start, end }) => result.slice(0, start) + ' '.repeat(end - start) + result.slice(end),
+    text
+  );
+}
+
+// =============================================================================
+// LANGUAGE PACKS
+// =============================================================================
+
+// Non-English selections are translated into the English phrasing the extractors understand
+// ("mañana a las 3 de la tarde" → "tomorrow at 3pm") before parsing.
+// Each pack maps its month and day names to English and lists rewrite rules, applied in order.
+// Rule sources may use {MONTH} and {DAY} for the English month and day names.
+const LANGUAGE_PACKS = {
+  en: {
+    name: 'English',
+    // Words that count towards detecting English
+    markers: [
+      '{MONTH}', '{DAY}', 'today', 'tomorrow', 'tonight', 'noon', 'midnight',
+      'morning', 'afternoon', 'evening', 'next', 'week', 'hours?', 'minutes?', 'at', 'until'
+    ]
+  },
+
+  es: {
+    name: 'Español',
+    dateOrder: 'DMY',
+    months: {
+      enero: 'january', febrero: 'february', marzo: 'march', abril: 'april',
+      mayo: 'may', junio: 'june', julio: 'july', agosto: 'august',
+      septiembre: 'september', setiembre: 'september', octubre: 'october',
+      noviembre: 'november', diciembre: 'december'
+    },
+    days: {
+      domingo: 'sunday', lunes: 'monday', martes: 'tuesday', 'miércoles': 'wednesday',
+      miercoles: 'wednesday', jueves: 'thursday', viernes: 'friday', 'sábado': 'saturday', sabado: 'saturday'
+    },
+    units: { 'horas?|hrs?': 'hours', 'minutos?|min': 'minutes' },
+    rules: [
+      ['pasado\\s+mañana', 'day after tomorrow'],
+      ['(?:durante|por)\\s+(\\d+(?:[.,]\\d+)?)\\s*h', 'for $1 hours'],
+      ['(\\d{1,2})\\s*h\\s*(\\d{2})?', (match, hours, minutes) => `${hours}:${minutes || '00'}`],
+      ['(\\d{1,2}(?::\\d{2})?)\\s+de\\s+la\\s+(?:mañana|madrugada)', '$1am'],
+      ['(\\d{1,2}(?::\\d{2})?)\\s+de\\s+la\\s+(?:tarde|noche)', '$1pm'],
+      ['(?:por|en)\\s+la\\s+mañana', 'in the morning'],
+      ['(?:por|en)\\s+la\\s+tarde', 'in the afternoon'],
+      ['esta\\s+noche', 'today at night'],
+      ['(?:por|en)\\s+la\\s+noche', 'at night'],
+      ['mañana', 'tomorrow'],
+      ['hoy', 'today'],
+      ['(?:la\\s+)?(?:pr[oó]xima\\s+semana|semana\\s+que\\s+viene)', 'next week'],
+      ['esta\\s+semana', 'this week'],
+      ['(?:el\\s+)?pr[oó]xim[oa]\\s+(?={DAY})', 'next '],
+      ['(?:este|esta)\\s+(?={DAY})', 'this '],
+      ['(?:el|los)\\s+(?={DAY})', 'on '],
+      ['mediod[ií]a', 'noon'],
+      ['medianoche', 'midnight'],
+      ['(?:el\\s+)?(\\d{1,2})\\s+de\\s+({MONTH})(?:\\s+(?:de|del)\\s+(\\d{4}))?', '$1 $2 $3'],
+      // "a las 15" - afternoon hours without minutes, which "at 15" wouldn't read
+      ['(?<=(?:^|\\s)las?\\s+)(1[3-9]|2[0-3])(?:\\s+horas)?(?![:.]\\d)', '$1:00'],
+      ['hasta\\s+las?\\s+(?=\\d)', 'until '],
+      ['a\\s+las?\\s+(?=\\d)', 'at '],
+      ['(?:durante|por)\\s+(?=\\d|una\\s+hora|media\\s+hora)', 'for '],
+      ['media\\s+hora', 'half an hour'],
+      ['una\\s+hora', 'an hour']
+    ]
+  },
+
+  fr: {
+    name: 'Français',
+    dateOrder: 'DMY',
+    months: {
+      janvier: 'january', 'février': 'february', fevrier: 'february', mars: 'march',
+      avril: 'april', mai: 'may', juin: 'june', juillet: 'july', 'août': 'august', aout: 'august',
+      septembre: 'september', octobre: 'october', novembre: 'november',
+      'décembre': 'december', decembre: 'december'
+    },
+    days: {
+      dimanche: 'sunday', lundi: 'monday', mardi: 'tuesday', mercredi: 'wednesday',
+      jeudi: 'thursday', vendredi: 'friday', samedi: 'saturday'
+    },
+    units: { 'heures?': 'hours', 'minutes?|min': 'minutes' },
+    rules: [
+      ['apr[eè]s[-\\s]demain', 'day after tomorrow'],
+      ['demain', 'tomorrow'],
+      ['aujourd[\'’]hui', 'today'],
+      ['ce\\s+soir', 'today in the evening'],
+      ['(?:pendant|durant)\\s+(\\d+(?:[.,]\\d+)?)\\s*h', 'for $1 hours'],
+      ['(\\d{1,2})\\s*h\\s*(\\d{2})?', (match, hours, minutes) => `${hours}:${minutes || '00'}`],
+      // "à 20 heures" is a time; "pendant 2 heures" stays a duration
+      ['(?<=à\\s+)(\\d{1,2})\\s*heures?(?:\\s*(\\d{2}))?', (match, hours, minutes) => `${hours}:${minutes || '00'}`],
+      ['(\\d{1,2}(?::\\d{2})?)\\s+du\\s+matin', '$1am'],
+      ['(\\d{1,2}(?::\\d{2})?)\\s+(?:de\\s+l[\'’]apr[eè]s[-\\s]midi|du\\s+soir)', '$1pm'],
+      ['(?:le|du|au)\\s+matin|dans\\s+la\\s+matin[ée]e', 'in the morning'],
+      ['(?:l[\'’]|cet\\s+)apr[eè]s[-\\s]midi', 'in the afternoon'],
+      ['(?:le|du|au)\\s+soir|dans\\s+la\\s+soir[ée]e', 'in the evening'],
+      ['(?:la|cette)\\s+nuit', 'at night'],
+      ['la\\s+semaine\\s+prochaine', 'next week'],
+      ['cette\\s+semaine', 'this week'],
+      ['({DAY})\\s+prochain', 'next $1'],
+      ['ce\\s+(?={DAY})', 'this '],
+      ['le\\s+(?={DAY})', 'on '],
+      ['midi', 'noon'],
+      ['minuit', 'midnight'],
+      ['(?:le\\s+)?(\\d{1,2})(?:er)?\\s+({MONTH})(?:\\s+(\\d{4}))?', '$1 $2 $3'],
+      ['jusqu[\'’][àa]\\s+(?=\\d)', 'until '],
+      ['à\\s+(?=\\d)', 'at '],
+      ['(?:pendant|durant)\\s+(?=\\d|une\\s+heure|une\\s+demi)', 'for '],
+      ['une\\s+demi[-\\s]heure', 'half an hour'],
+      ['une\\s+heure', 'an hour']
+    ]
+  },
+
+  de: {
+    name: 'Deutsch',
+    dateOrder: 'DMY',
+    months: {
+      januar: 'january', 'jänner': 'january', februar: 'february', 'märz': 'march', maerz: 'march',
+      april: 'april', mai: 'may', juni: 'june', juli: 'july', august: 'august',
+      september: 'september', oktober: 'october', november: 'november', dezember: 'december'
+    },
+    days: {
+      sonntag: 'sunday', montag: 'monday', dienstag: 'tuesday', mittwoch: 'wednesday',
+      donnerstag: 'thursday', freitag: 'friday', samstag: 'saturday', sonnabend: 'saturday'
+    },
+    units: { 'stunden?|std\\.?': 'hours', 'minuten|min': 'minutes' },
+    rules: [
+      ['übermorgen|uebermorgen', 'day after tomorrow'],
+      ['morgen\\s+(?:früh|vormittag)', 'tomorrow in the morning'],
+      ['morgen\\s+nachmittag', 'tomorrow in the afternoon'],
+      ['morgen\\s+abend', 'tomorrow in the evening'],
+      ['heute\\s+abend', 'today in the evening'],
+      ['am\\s+morgen|morgens|am\\s+vormittag|vormittags', 'in the morning'],
+      ['am\\s+nachmittag|nachmittags', 'in the afternoon'],
+      ['am\\s+abend|abends', 'in the evening'],
+      ['in\\s+der\\s+nacht|nachts', 'at night'],
+      ['morgen', 'tomorrow'],
+      ['heute', 'today'],
+      ['(?:nächste|naechste|kommende)\\s+woche', 'next week'],
+      ['diese\\s+woche', 'this week'],
+      ['(?:am\\s+)?(?:nächsten|nächster|naechsten|kommenden)\\s+(?={DAY})', 'next '],
+      ['(?:diesen|diesem)\\s+(?={DAY})', 'this '],
+      ['am\\s+(?={DAY})', 'on '],
+      ['mitternacht', 'midnight'],
+      ['mittags|am\\s+mittag', 'noon'],
+      ['(\\d{1,2})(?:[:.](\\d{2}))?\\s*uhr(?:\\s+(\\d{2}))?', (match, hours, minutes, laterMinutes) =>
+        `${hours}:${minutes || laterMinutes || '00'}`],
+      ['(?:am\\s+)?(\\d{1,2})\\.\\s*({MONTH})(?:\\s+(\\d{4}))?', '$1 $2 $3'],
+      ['bis\\s+(?=\\d)', 'until '],
+      ['um\\s+(?=\\d)', 'at '],
+      ['für\\s+(?=\\d|eine\\s+stunde|eine\\s+halbe)', 'for '],
+      ['eine\\s+halbe\\s+stunde', 'half an hour'],
+      ['eine\\s+stunde', 'an hour']
+    ]
+  },
+
+  pt: {
+    name: 'Português',
+    dateOrder: 'DMY',
+    months: {
+      janeiro: 'january', fevereiro: 'february', 'março': 'march', marco: 'march', abril: 'april',
+      maio: 'may', junho: 'june', julho: 'july', agosto: 'august', setembro: 'september',
+      outubro: 'october', novembro: 'november', dezembro: 'december'
+    },
+    days: {
+      domingo: 'sunday', 'segunda-feira': 'monday', segunda: 'monday',
+      'terça-feira': 'tuesday', 'terca-feira': 'tuesday', 'terça': 'tuesday', terca: 'tuesday',
+      'quarta-feira': 'wednesday', quarta: 'wednesday', 'quinta-feira': 'thursday', quinta: 'thursday',
+      'sexta-feira': 'friday', sexta: 'friday', 'sábado': 'saturday', sabado: 'saturday'
+    },
+    units: { 'horas?|hrs?': 'hours', 'minutos?|min': 'minutes' },
+    rules: [
+      ['depois\\s+de\\s+amanh[ãa]', 'day after tomorrow'],
+      ['(?:por|durante)\\s+(\\d+(?:[.,]\\d+)?)\\s*h', 'for $1 hours'],
+      ['(\\d{1,2})\\s*h\\s*(\\d{2})?', (match, hours, minutes) => `${hours}:${minutes || '00'}`],
+      ['(\\d{1,2}(?::\\d{2})?)\\s+da\\s+manh[ãa]', '$1am'],
+      ['(\\d{1,2}(?::\\d{2})?)\\s+da\\s+(?:tarde|noite)', '$1pm'],
+      ['(?:de|pela)\\s+manh[ãa]', 'in the morning'],
+      ['(?:[àa]|pela)\\s+tarde', 'in the afternoon'],
+      ['hoje\\s+[àa]\\s+noite', 'today at night'],
+      ['(?:[àa]|pela)\\s+noite', 'at night'],
+      ['amanh[ãa]', 'tomorrow'],
+      ['hoje', 'today'],
+      ['(?:na\\s+)?(?:pr[oó]xima\\s+semana|semana\\s+que\\s+vem)', 'next week'],
+      ['(?:n?esta)\\s+semana', 'this week'],
+      ['(?:n[ao]\\s+)?pr[oó]xim[ao]\\s+(?={DAY})', 'next '],
+      ['(?:n?est[ae])\\s+(?={DAY})', 'this '],
+      ['(?:n[ao]|[àa])\\s+(?={DAY})', 'on '],
+      ['meio[-\\s]dia', 'noon'],
+      ['meia[-\\s]noite', 'midnight'],
+      ['(?:(?:n?o\\s+)?dia\\s+)?(\\d{1,2})\\s+de\\s+({MONTH})(?:\\s+de\\s+(\\d{4}))?', '$1 $2 $3'],
+      // "às 15" - afternoon hours without minutes, which "at 15" wouldn't read
+      ['(?<=(?:^|\\s)(?:[àa]s|à)\\s+)(1[3-9]|2[0-3])(?:\\s+horas)?(?![:.]\\d)', '$1:00'],
+      ['at[ée]\\s+(?:[àa]s?\\s+)?(?=\\d)', 'until '],
+      ['(?:[àa]s|à)\\s+(?=\\d)', 'at '],
+      ['(?:por|durante)\\s+(?=\\d|uma\\s+hora|meia\\s+hora)', 'for '],
+      ['meia\\s+hora', 'half an hour'],
+      ['uma\\s+hora', 'an hour']
+    ]
+  }
+};
+
+/**
+ * Build a case-insensitive regex that only matches whole words (including accented ones)
+ * Rules ending in a lookahead ("a las (?=\d)") already say what must follow, so they skip the end check.
+ * {MONTH} and {DAY} are replaced with the English month and day name patterns
+ */
+function wordRegex(source) {
+  const expanded = source
+    .replace(/\{MONTH\}/g, MONTH_PATTERN)
+    .replace(/\{DAY\}/g, DAYS.join('|'));
+  const end = source.includes('(?=') ? '' : '(?![\\p{L}\\d])';
+  return new RegExp(`(?<![\\p{L}\\d])(?:${expanded})${end}`, 'giu');
+}
+
+/**
+ * Build a regex matching any key of a word map, longest first ("segunda-feira" before "segunda")
+ */
+function wordMapRegex(words) {
+  const keys = Object.keys(words).sort((a, b) => b.length - a.length);
+  return wordRegex(keys.join('|'));
+}
+
+/**
+ * Get a language pack's rewrite rules as [regex, replacement] pairs, in the order they apply
+ * Month and day names come first, so later rules can refer to the English names
+ */
+function getLanguageRules(pack) {
+  if (!pack.rules) {
+    return [];
+  }
+
+  const rules = [
+    [wordMapRegex(pack.months), (match) => pack.months[match.toLowerCase()]],
+    [wordMapRegex(pack.days), (match) => pack.days[match.toLowerCase()]],
+    ...pack.rules.map(([source, replacement]) => [wordRegex(source), replacement])
+  ];
+
+  // Localized units, with decimal commas ("1,5 horas" → "1.5 hours")
+  for (const [source, unit] of Object.entries(pack.units || {})) {
+    rules.push([
+      wordRegex(`(\\d+(?:[.,]\\d+)?)\\s*(?:${source})`),
+      (match, value) => `${value.replace(',', '.')} ${unit}`
+    ]);
+  }
+
+  return rules;
+}
+
+/**
+ * Pick the language of a selection by counting the words each pack recognizes
+ * English wins ties, so a single foreign word doesn't switch languages
+ * @param {string} text - The selected text
+ * @param {string} language - A language code to force, or 'auto'
+ * @returns {string} - Language code, e.g. 'en' or 'es'
+ */
+function detectLanguage(text, language = 'auto') {
+  if (LANGUAGE_PACKS[language]) {
+    return language;
+  }
+
+  const countMatches = (regex) => (text.match(regex) || []).length;
+  let best = 'en';
+  let bestScore = countMatches(wordRegex(LANGUAGE_PACKS.en.markers.join('|')));
+
+  for (const [code, pack] of Object.entries(LANGUAGE_PACKS)) {
+    if (!pack.rules) {
+      continue;
+    }
+    const score = getLanguageRules(pack).reduce((total, [regex]) => total + countMatches(regex), 0);
+    if (score > bestScore) {
+      best = code;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Rewrite dates, times, and durations in a selection into English
+ * Other words are left alone, so titles keep their original language
+ * @param {string} text - The selected text
+ * @param {string} language - Language code from detectLanguage
+ * @returns {string} - Text for the extractors
+ */
+function translateText(text, language) {
+  return translateWithOrigins(text, language).text;
+}
+
+/**
+ * Translate a selection like translateText, remembering where each translated character came from
+ * @param {string} text - The selected text
+ * @param {string} language - Language code from detectLanguage
+ * @returns {Object} - { text, origins: [{ start, end }] (the selection's characters behind each character of text),
+ *   rewritten: [{ start, end }] (spans of the selection a language rule replaced) }
+ */
+function translateWithOrigins(text, language) {
+  const pack = LANGUAGE_PACKS[language] || LANGUAGE_PACKS.en;
+  const rewritten = [];
+  const translation = getLanguageRules(pack).reduce(
+    (result, [regex, replacement]) => replaceWithOrigins(result, regex, replacement, rewritten),
+    { text, origins: Array.from({ length: text.length }, (_, index) => ({ start: index, end: index + 1 })) }
+  );
+  return { ...replaceWithOrigins(translation, / {2,}/g, ' '), rewritten };
+}
+
+/**
+ * String.replace for a translation in progress, keeping its origins in step
+ * Each character of a replacement comes from the whole match it replaced.
+ * Rules have no named groups, so the match offset is the second-to-last replacer argument.
+ * @param {Object} translation - { text, origins }
+ * @param {RegExp} regex - Global regex
+ * @param {string|Function} replacement - As for String.replace ($1-$9 group references)
+ * @param {Array<Object>|null} rewritten - Collects the original span of each replaced match
+ * @returns {Object} - { text, origins }
+ */
+function replaceWithOrigins({ text, origins }, regex, replacement, rewritten = null) {
+  const pieces = [];
+  let last = 0;
+  const result = text.replace(regex, (...args) => {
+    const match = args[0];
+    const offset = args[args.length - 2];
+    const output = typeof replacement === 'function' ?
+      replacement(...args) :
+      replacement.replace(/\$(\d)/g, (_, group) => args[group] || '');
+    const from = { start: origins[offset].start, end: origins[offset + match.length - 1].end };
+
+    pieces.push(origins.slice(last, offset), Array(output.length).fill(from));
+    if (rewritten) {
+      rewritten.push(from);
+    }
+    last = offset + match.length;
+    return output;
+  });
+  pieces.push(origins.slice(last));
+
+  return { text: result, origins: pieces.flat() };
+}
+
+/**
+ * Map a span of translated text back to the selection it was translated from
+ * @param {Array<Object>} origins - From translateWithOrigins
+ * @param {Object} span - { start, end } in the translated text
+ * @returns {Object} - { start, end } in the selection
+ */
+function toOriginalSpan(origins, { start, end }) {
+  return { start: origins[start].start, end: origins[end - 1].end };
+}
+
+/**
+ * List language packs for the options page
+ */
+function listLanguagePacks() {
+  return Object.keys(LANGUAGE_PACKS).map(code => ({
+    code,
+    name: LANGUAGE_PACKS[code].name
+  }));
+}
+
+// =============================================================================
+// TITLE EXTRACTION
+// =============================================================================
+
+/**
+ * Escape matched text for use in a regex, allowing any whitespace between words
+ */
+function toFlexibleRegexSource(matchText) {
+  return matchText
+    .trim()
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+}
+
+/**
+ * Clean date/time patterns from title text
+ * @param {string} text - The text to clean
+ * @param {Object} extracted - Matched text of other extracted fields to remove
+ * @param {string|null} extracted.location - Matched location text
+ * @param {Array<string>} extracted.attendees - Matched attendee texts (emails, @mentions)
+ * @param {string|null} extracted.timeZone - Matched time zone text
+ * @returns {string} - Text with date/time patterns removed
+ */
+function cleanTitle(text, extracted = {}) {
+  // First, convert newlines to spaces
+  let result = text.replace(/\n/g, ' ');
+
+  // Location, with its leading "at"/"in"/"Location:" (before other patterns can break it up)
+  if (extracted.location) {
+    result = result.replace(
+      new RegExp(`(?:\\b(?:at|in)\\s+|@\\s*|\\b(?:location|where|venue|place|address)\\s*:\\s*)?${toFlexibleRegexSource(extracted.location)}`, 'i'),
+      ' '
+    );
+  }
+
+  // Attendees, with a leading "with"/"cc"/"and" or list comma
+  for (const attendeeMatch of extracted.attendees || []) {
+    result = result.replace(
+      new RegExp(`(?:\\b(?:with|cc|and|invite|inviting)\\s*:?\\s*|,\\s*)?${toFlexibleRegexSource(attendeeMatch)}`, 'i'),
+      ' '
+    );
+  }
+  // Time zone, e.g. "EST", "(UTC+5:30)", "Pacific Time", ", times in Europe/Berlin"
+  if (extracted.timeZone) {
+    result = result.replace(
+      new RegExp(`(?:,?\\s*(?:(?:all\\s+)?times?\\s+(?:are\\s+)?)?in\\s+)?${toFlexibleRegexSource(extracted.timeZone)}`, 'i'),
+      ' '
+    );
+  }
+
+  // Repeat rule, e.g. "every other Monday", "biweekly", "until Dec 15", "for 6 weeks"
+  for (const recurrenceMatch of extracted.recurrence || []) {
+    result = result.replace(new RegExp(toFlexibleRegexSource(recurrenceMatch), 'i'), ' ');
+  }
+
+  // Range of days, e.g. "Jan 5-7", "Fri–Sun"
+  if (extracted.dateRange) {
+    result = result.replace(new RegExp(toFlexibleRegexSource(extracted.dateRange), 'i'), ' ');
+  }
+
+  // Relative offset, e.g. "in 3 days", "a week from Friday"
+  if (extracted.relativeDate) {
+    result = result.replace(new RegExp(toFlexibleRegexSource(extracted.relativeDate), 'i'), ' ');
+  }
+
+  // Reminder, e.g. "remind me 30 minutes before", "(15 min reminder)"
+  if (extracted.reminder) {
+    result = result.replace(new RegExp(`[,;(]?\\s*${toFlexibleRegexSource(extracted.reminder)}\\s*\\)?`, 'i'), ' ');
+  }
+
+  // Positional date, e.g. "first Monday of March", "by the end of the month", "on the 15th"
+  if (extracted.positionalDate) {
+    result = result.replace(
+      new RegExp(`(?:\\b(?:by|on)\\s+)?(?:\\bthe\\s+)?${toFlexibleRegexSource(extracted.positionalDate)}`, 'i'),
+      ' '
+    );
+  }
+
+  // "all day", "(all-day)"
+  result = result.replace(/\(?\ball[\s-]?day\b\)?/gi, ' ');
+
+  // "Attendees:" / "Guests:" labels left behind
+  result = result.replace(/\b(?:attendees|guests|invitees|participants|cc)\s*:\s*/gi, '');
+
+  // Full day names (with optional DUE prefix and "next"/"this")
+  result = result.replace(/\b(DUE\s+)?(?:(?:next|this)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b,?/gi, '');
+
+  // Abbreviated day names: Mon, Tue, Wed, Thu, Fri, Sat, Sun
+  result = result.replace(/\b(mon|tue|wed|thu|fri|sat|sun)\b,?\s*/gi, '');
+
+  // Compact weekday codes: MWF, TTh, MTWThF, MW, TR, etc.
+  // Match sequences of day letters (at least 2 chars) that look like schedules
+  result = result.replace(/\b[MTWRFSU][MTWRFSUhau]{1,}\b/g, '');
+
+  // Class type indicators: LEC, LAB, DIS, SEM (lecture, lab, discussion, seminar)
+  result = result.replace(/\b(LEC|LAB|DIS|SEM|LECTURE|DISCUSSION|SEMINAR|LABORATORY)\b/gi, '');
+
+  // Relative dates
+  result = result.replace(/\b(today|tomorrow|day after tomorrow|next\s+week|this\s+week)\b/gi, '');
+
+  // Time ranges with single-letter or full meridiem: "8:00A - 11:00A", "6-8pm", "9am-5pm"
+  // Handles hyphen (-), en-dash (–), em-dash (—), and "to"
+  result = result.replace(/\b\d{1,2}(?::\d{2})?\s*(?:a\.?m?\.?|p\.?m?\.?)?\s*(?:-|–|—|to)\s*\d{1,2}(?::\d{2})?\s*(?:a\.?m?\.?|p\.?m?\.?)\b/gi, '');
+
+  // "until" phrases: "until 5pm", "until noon" (before the bare times below take the "5pm")
+  result = result.replace(/\buntil\s+\d{1,2}(?::\d{2})?\s*(?:a\.?m?\.?|p\.?m?\.?)?/gi, '');
+  result = result.replace(/\buntil\s+(?:noon|midnight)\b/gi, '');
+
+  // Times with "at": "at 3pm", "at 11:59 PM", "at noon", "at midnight", "at 3P"
+  result = result.replace(/\bat\s+\d{1,2}(?::\d{2})?\s*(?:a\.?m?\.?|p\.?m?\.?)?/gi, '');
+  result = result.replace(/\bat\s+(?:noon|midnight)\b/gi, '');
+
+  // Standalone times with single-letter meridiem: "8:00A", "11:00A", "3P", "3:00 pm"
+  result = result.replace(/\b\d{1,2}(?::\d{2})?\s*(?:a\.?m?\.?|p\.?m?\.?)\b/gi, '');
+
+  // Time of day words: "morning", "afternoon", "evening", "night"
+  result = result.replace(/\b(?:in\s+the\s+)?(?:morning|afternoon|evening|night)\b/gi, '');
+
+  // Dates: YYYY-MM-DD, YYYY/MM/DD (before MM-DD can take the end of them), MM/DD/YYYY, MM/DD, MM-DD-YYYY, MM-DD, DD.MM.YYYY
+  result = result.replace(/\b\d{4}-\d{2}-\d{2}\b/g, '');
+  result = result.replace(/\b\d{4}[\/.]\d{1,2}[\/.]\d{1,2}\b/g, '');
+  result = result.replace(/\b\d{1,2}[\/\-]\d{1,2}(?:[\/\-]\d{2,4})?\b/gi, '');
+  result = result.replace(/\b\d{1,2}\.\d{1,2}\.\d{4}\b/g, '');
+
+  // Month day year: "January 5, 2025", "Jan 5 2025", "January 5th"
+  const monthPattern = 'january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec';
+  result = result.replace(new RegExp(`\\b(${monthPattern})\\s+\\d{1,2}(?:st|nd|rd|th)?(?:[,\\s]+\\d{4})?\\b`, 'gi'), '');
+
+  // Day month: "5 January", "5th January 2025"
+  result = result.replace(new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(${monthPattern})(?:\\s+\\d{4})?\\b`, 'gi'), '');
+
+  // Duration phrases: "for 2 hours", "for 30 minutes", "for an hour"
+  result = result.replace(/\bfor\s+(?:an?\s+)?(?:\d+(?:\.\d+)?\s*)?(?:hours?|hrs?|minutes?|mins?|half\s+(?:an?\s+)?hour)\b/gi, '');
+  // Duration before the event noun: "2 hour workshop", "30-minute call"
+  result = result.replace(/\b\d+(?:\.\d+)?[\s-]*(?:hours?|hrs?|minutes?|mins?)\s+(?=(?:meeting|call|session|appointment|event|class|lecture|workshop)\b)/gi, '');
+
+  // Clean up leftover connecting words at start/end
+  // Remove leading: DUE, on, at, from, to, starting, ending, begins, ends
+  result = result.replace(/^[\s,\-–—:]*\b(DUE|on|at|from|to|starting|ending|begins|ends|by)\b[\s,\-–—:]*/gi, '');
+
+  // Remove trailing: on, at, from, to, DUE, with
+  result = result.replace(/[\s,\-–—:]*\b(on|at|from|to|DUE|with)\b[\s,\-–—:]*$/gi, '');
+
+  // Clean up multiple spaces
+  result = result.replace(/\s+/g, ' ');
+
+  // Clean up punctuation left over (leading/trailing commas, colons, dashes, parentheses)
+  result = result.replace(/^[\s,\-–—:()]+/, '');
+  result = result.replace(/[\s,\-–—:()]+$/, '');
+
+  // One more pass for connecting words that might now be at edges
+  result = result.replace(/^[\s,\-–—:]*\b(DUE|on|at|from|to)\b[\s,\-–—:]*/gi, '');
+  result = result.replace(/[\s,\-–—:]*\b(on|at|from|to|DUE)\b[\s,\-–—:]*$/gi, '');
+
+  return result.trim();
+}
+
+/**
+ * Extract a suitable title from the text
+ * @param {string} text - The text to extract from
+ * @param {Object} extracted - Matched text of other extracted fields to leave out (see cleanTitle)
+ * @param {string} fallbackText - Used when nothing meaningful is left (default: text)
+ */
+function extractTitle(text, extracted = {}, fallbackText = text) {
+  // Clean up whitespace first
+  const cleaned = text.replace(/\s+/g, ' ').trim();
+
+  // Try to clean date/time, location and attendees from the title
+  const titleWithoutDateTime = cleanTitle(cleaned, extracted);
+
+  // Use cleaned title if it has meaningful content (at least 3 chars)
+  // Otherwise fall back to original text
+  const finalTitle = titleWithoutDateTime.length >= 3 ?
+    titleWithoutDateTime :
+    fallbackText.replace(/\s+/g, ' ').trim();
+
+  // If text is short enough, use it all
+  if (finalTitle.length <= 60) {
+    return finalTitle;
+  }
+
+  // Try to get the first sentence
+  const sentenceMatch = finalTitle.match(/^[^.!?]+[.!?]?/);
+  if (sentenceMatch && sentenceMatch[0].length <= 100) {
+    return sentenceMatch[0].trim();
+  }
+
+  // Truncate to 60 chars at a word boundary
+  const truncated = finalTitle.substring(0, 60);
+  const lastSpace = truncated.lastIndexOf(' ');
+  if (lastSpace > 30) {
+    return truncated.substring(0, lastSpace) + '...';
+  }
+
+  return truncated + '...';
+}
+
+/**
+ * Extract a title in the selection's own language, not the English the extractors read
+ * Everything a language rule translated, and everything the extractors matched, is blanked out of the selection.
+ * @param {string} text - The selected text
+ * @param {Object} translation - From translateWithOrigins
+ * @param {Array<Object|null>} spans - { start, end } spans of the translated text the extractors matched
+ * @param {Object} extracted - Matched text of other extracted fields to leave out (see cleanTitle)
+ */
+function extractLocalizedTitle(text, translation, spans, extracted = {}) {
+  const matched = spans.filter(Boolean).map(span => toOriginalSpan(translation.origins, span));
+  return extractTitle(blankOutSpans(text, [...translation.rewritten, ...matched]), extracted, text);
+}
+
+// =============================================================================
+// LOCATION EXTRACTION
+// =============================================================================
+
+// A capitalized word, e.g. "Main", "St.", "O'Hare", "B&N"
+const CAPITALIZED_WORD = "[A-Z][\\w'&.-]*";
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Way|Court|Ct|' +
+  'Place|Pl|Parkway|Pkwy|Highway|Hwy|Square|Sq|Terrace|Ter|Circle|Cir';
+
+const VENUE_NOUNS = 'Center|Centre|Hall|Auditorium|Theater|Theatre|Stadium|Arena|Library|Cafe|Café|' +
+  'Coffee|Park|Hotel|Museum|Gym|Church|Restaurant|Bar|Pub|Club|Gallery|Studio|Plaza|Mall|Campus';
+
+// Capitalized words that are times or dates, not places
+const NON_LOCATION_WORDS = new Set([
+  'noon', 'midnight', 'today', 'tomorrow', 'tonight', 'night',
+  'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday',
+  'mon', 'tue', 'tues', 'wed', 'thu', 'thur', 'thurs', 'fri', 'sat', 'sun',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december',
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+// A capitalized word that isn't one of those, so "The Blue Door on Saturday" stops before the day
+const PLACE_WORD = `(?!(?:${[...NON_LOCATION_WORDS].map(word => word[0].toUpperCase() + word.slice(1)).join('|')})\\b)` +
+  CAPITALIZED_WORD;
+
+/**
+ * Extract a location from text
+ * Checked from most to least specific: labelled lines, street addresses,
+ * rooms/buildings, "at [Place]" phrases, then venue names
+ * @param {string} text - The text to parse
+ * @returns {Object} - { found: boolean, location: string|null, match: string|null, type: string }
+ */
+function extractLocation(text) {
+  const notFound = { found: false, location: null, match: null, type: 'none' };
+  const result = (location, match, type) => {
+    const cleaned = location.replace(/[\s,;:]+$/, '').replace(/\s+/g, ' ').trim();
+    return cleaned ? { found: true, location: cleaned, match, type } : notFound;
+  };
+
+  // 1. Labelled line: "Location: Room 5", "Where: The Loft"
+  const labelMatch = text.match(/^[ \t]*(?:location|where|venue|place|address)[ \t]*:[ \t]*(.+)$/im);
+  if (labelMatch) {
+    return result(labelMatch[1], labelMatch[0].trim(), 'label');
+  }
+
+  // 2. Street address: "123 Main St", "500 W. 5th Avenue, Suite 200, Springfield, IL 62704"
+  const addressRegex = new RegExp(
+    '\\b\\d{1,6}\\s+(?:[NSEW]\\.?\\s+)?(?:[A-Z0-9][\\w\'.-]*\\s+){1,4}?' +
+    `(?:${STREET_SUFFIXES})\\b\\.?` +
+    '(?:,?\\s+(?:Suite|Ste\\.?|Apt\\.?|Unit|#)\\s*[\\w-]+)?' +
+    `(?:,\\s*${CAPITALIZED_WORD}(?:\\s+${CAPITALIZED_WORD}){0,2},?\\s+[A-Z]{2}(?:\\s+\\d{5}(?:-\\d{4})?)?\\b)?`
+  );
+  const addressMatch = text.match(addressRegex);
+  if (addressMatch) {
+    return result(addressMatch[0], addressMatch[0], 'address');
+  }
+
+  // 3. Rooms and buildings: "Room 204 / Building B", "Conference Room A", "Bldg 5, Floor 3"
+  const roomPart = `(?:${CAPITALIZED_WORD}\\s+){0,2}?` +
+    '(?:[Rr]oom|[Rr]m\\.?|[Ss]uite|[Bb]uilding|[Bb]ldg\\.?|[Ff]loor|[Hh]all)\\s+#?(?:\\d[\\w-]*|[A-Z](?!\\w))';
+  const roomRegex = new RegExp(`\\b${roomPart}(?:\\s*(?:[/,&]|and)?\\s*${roomPart})*`);
+  const roomMatch = text.match(roomRegex);
+  if (roomMatch) {
+    return result(roomMatch[0], roomMatch[0], 'room');
+  }
+
+  // 4. "at [Place]": "at Starbucks on Main St", "@ The Blue Door"
+  const atVenueRegex = new RegExp(
+    `(?:\\bat|@)\\s+((?:the\\s+)?${CAPITALIZED_WORD}` +
+    `(?:\\s+(?:(?:on|of|in|and|&|de|la)\\s+)?${PLACE_WORD})*)`,
+    'g'
+  );
+  for (const atMatch of text.matchAll(atVenueRegex)) {
+    const firstWord = atMatch[1].replace(/^the\s+/i, '').split(/\s+/)[0].replace(/[^\w]/g, '').toLowerCase();
+    if (!NON_LOCATION_WORDS.has(firstWord)) {
+      let place = atMatch[1].replace(/^the\s+/, '');
+      // Drop a sentence-ending period, but keep abbreviations like "St."
+      if (!new RegExp(`\\b(?:${STREET_SUFFIXES})\\.$`).test(place)) {
+        place = place.replace(/\.$/, '');
+      }
+      return result(place, place, 'at-place');
+    }
+  }
+
+  // 5. Venue names: "Carnegie Hall", "Lincoln Center", "Blue Bottle Coffee"
+  const venueRegex = new RegExp(`\\b(?:${PLACE_WORD}\\s+){1,4}(?:${VENUE_NOUNS})\\b`);
+  const venueMatch = text.match(venueRegex);
+  if (venueMatch) {
+    return result(venueMatch[0], venueMatch[0], 'venue');
+  }
+
+  return notFound;
+}
+
+// =============================================================================
+// ATTENDEE EXTRACTION
+// =============================================================================
+
+// "Jane Doe <jane@example.com>", "<jane@example.com>", or a bare "jane@example.com"
+// A display name is a quoted string or up to three capitalized words right before the "<",
+// so "Sync with Jane Doe <jane@example.com>" names Jane Doe, not the whole sentence
+const EMAIL_REGEX = new RegExp(
+  '(?:(?:"([^"<>\\n]+)"|(?<![\\w.\'-])((?:(?!(?:With|Cc|Bcc|To|From)\\b)[A-Z][\\w.\'-]*\\s+){0,2}' +
+  '(?!(?:With|Cc|Bcc|To|From)\\b)[A-Z][\\w.\'-]*))\\s*<)?' +
+  '\\b([\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)*\\.[A-Za-z]{2,})\\b>?',
+  'g'
+);
+
+// "@jane" or "@jane.doe" (no space after @, so "@ The Blue Door" stays a location)
+const MENTION_REGEX = /(?<![\w.+-])@([A-Za-z][\w.-]*[A-Za-z0-9]|[A-Za-z])/g;
+
+/**
+ * Find a contact for an @mention by full name, first name, or email username
+ * @param {string} handle - The mention without "@", e.g. "jane" or "jane.doe"
+ * @param {Array<Object>} contacts - [{ name, email }]
+ * @returns {Object|null} - The matching contact
+ */
+function findContact(handle, contacts) {
+  const key = handle.toLowerCase().replace(/[._-]+/g, ' ').trim();
+  return contacts.find(contact => {
+    const name = (contact.name || '').toLowerCase().trim();
+    const username = (contact.email || '').split('@')[0].toLowerCase();
+    return name === key || name.split(/\s+/)[0] === key ||
+      name.replace(/\s+/g, '') === key.replace(/\s+/g, '') || username === handle.toLowerCase();
+  }) || null;
+}
+
+/**
+ * Extract attendees from email addresses and @mentions in text
+ * @param {string} text - The text to parse
+ * @param {Array<Object>} contacts - [{ name, email }] from settings, used to resolve @mentions
+ * @returns {Object} - { found, attendees: [{ email, name }], matches: [string], unresolved: [string] }
+ *   matches includes unresolved mentions so they can be removed from the title
+ */
+function extractAttendees(text, contacts = []) {
+  const attendees = [];
+  const matches = [];
+  const unresolved = [];
+  const seen = new Set();
+
+  const addAttendee = (email, name) => {
+    const key = email.toLowerCase();
+    if (!seen.has(key)) {
+      seen.add(key);
+      attendees.push({ email, name: name || null });
+    }
+  };
+
+  // 1. Email addresses, with optional display names
+  for (const match of text.matchAll(EMAIL_REGEX)) {
+    addAttendee(match[3], (match[1] || match[2] || '').trim());
+    matches.push(match[0]);
+  }
+
+  // 2. @mentions mapped through the contacts list
+  // Unknown mentions can't be invited, but are still people rather than title text
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    const contact = findContact(match[1], contacts);
+    if (contact && contact.email) {
+      addAttendee(contact.email, contact.name);
+    } else {
+      unresolved.push(match[1]);
+    }
+    matches.push(match[0]);
+  }
+
+  if (unresolved.length > 0) {
+    log('Unknown @mentions (not in contacts):', unresolved.join(', '));
+  }
+
+  return { found: attendees.length > 0, attendees, matches, unresolved };
+}
+
+// =============================================================================
+// DATE EXTRACTION
+// =============================================================================
+
+// Month name mappings
+const MONTHS = {
+  'january': 0, 'jan': 0,
+  'february': 1, 'feb': 1,
+  'march': 2, 'mar': 2,
+  'april': 3, 'apr': 3,
+  'may': 4,
+  'june': 5, 'jun': 5,
+  'july': 6, 'jul': 6,
+  'august': 7, 'aug': 7,
+  'september': 8, 'sept': 8, 'sep': 8,
+  'october': 9, 'oct': 9,
+  'november': 10, 'nov': 10,
+  'december': 11, 'dec': 11
+};
+
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+
+// Day name mappings
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// A day name or its abbreviation ("Tuesday", "Tues", "Thu")
+const DAY_WORD_PATTERN = `(?:${DAYS.join('|')}|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)`;
+
+// Orders for numeric dates like 01/02/2025 (M = month, D = day, Y = year)
+const DATE_ORDERS = ['MDY', 'DMY', 'YMD'];
+
+/**
+ * Resolve the date order setting, detecting 'auto' from the browser locale
+ * @param {string} dateOrder - 'MDY', 'DMY', 'YMD', or 'auto'
+ * @returns {string} - 'MDY', 'DMY', or 'YMD'
+ */
+function resolveDateOrder(dateOrder) {
+  if (DATE_ORDERS.includes(dateOrder)) {
+    return dateOrder;
+  }
+
+  try {
+    // e.g. en-US formats as "11/22/2001" → MDY, en-GB as "22/11/2001" → DMY
+    const order = new Intl.DateTimeFormat().formatToParts(new Date(2001, 10, 22))
+      .filter(part => ['year', 'month', 'day'].includes(part.type))
+      .map(part => part.type[0].toUpperCase())
+      .join('');
+    return DATE_ORDERS.includes(order) ? order : 'MDY';
+  } catch (error) {
+    return 'MDY';
+  }
+}
+
+/**
+ * Read the two leading numbers of a numeric date ("01/02") as month and day
+ * Day-first order is only used for DMY; YMD locales write short dates month first.
+ * Falls back to the other reading when the preferred one isn't a real date (e.g. 25/12 in MDY).
+ * @param {number} first - First number in the text
+ * @param {number} second - Second number in the text
+ * @param {string} dateOrder - 'MDY', 'DMY', or 'YMD'
+ * @param {number} year - Year used to check the day exists
+ * @returns {Object|null} - { month (0-11), day, dayFirst, ambiguous } or null if neither reading is valid
+ */
+function readNumericDate(first, second, dateOrder, year) {
+  const exists = (month, day) => month >= 1 && month <= 12 && day >= 1 &&
+    new Date(year, month - 1, day).getMonth() === month - 1;
+  const preferDayFirst = dateOrder === 'DMY';
+
+  const readings = [
+    { month: second, day: first, dayFirst: true },
+    { month: first, day: second, dayFirst: false }
+  ].filter(reading => exists(reading.month, reading.day));
+  if (readings.length === 0) {
+    return null;
+  }
+
+  const reading = readings.find(r => r.dayFirst === preferDayFirst) || readings[0];
+  return {
+    month: reading.month - 1,
+    day: reading.day,
+    dayFirst: reading.dayFirst,
+    // Both readings are real dates, and they differ
+    ambiguous: readings.length === 2 && first !== second
+  };
+}
+
+/**
+ * Extract date from text
+ * @param {string} text - The text to search
+ * @param {Date} now - Reference time for relative dates
+ * @param {string} dateOrder - 'MDY', 'DMY', or 'YMD' for numeric dates
+ * @returns {Object} - { date: Date|null, type: string, span: { start, end } of the matched text }, plus ambiguous: true
+ *   when a numeric date reads both ways and match: the matched text for positional dates ("first Monday of March", "the 15th")
+ */
+function extractDate(text, now, dateOrder = 'MDY') {
+  const lowerText = text.toLowerCase();
+
+  // Debug logging helper
+  const debugLog = (pattern, matched, match = null) => {
+    if (parserLogger) {
+      console.log(`  [extractDate] Pattern "${pattern}": ${matched ? 'MATCHED' : 'no match'}${match ? ` → "${match}"` : ''}`);
+    }
+  };
+
+  if (parserLogger) {
+    console.log(`[extractDate] Input: "${text}"`);
+    console.log(`[extractDate] LowerText: "${lowerText}"`);
+  }
+
+  // Order matters - SPECIFIC dates beat GENERAL day names
+  // Check numeric/explicit date formats BEFORE day names
+
+  // 1. ISO format: YYYY-MM-DD (most specific, check first)
+  const isoMatch = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  debugLog('ISO (YYYY-MM-DD)', !!isoMatch, isoMatch?.[0]);
+  if (isoMatch) {
+    const year = parseInt(isoMatch[1], 10);
+    const month = parseInt(isoMatch[2], 10) - 1;
+    const day = parseInt(isoMatch[3], 10);
+    const date = new Date(year, month, day);
+    if (isValidDate(date)) {
+      return { date, type: 'iso', span: spanOf(isoMatch) };
+    }
+  }
+
+  // 1b. Year first with slashes or dots: YYYY/MM/DD, YYYY.MM.DD
+  const yearFirstMatch = text.match(/\b(\d{4})([\/.])(\d{1,2})\2(\d{1,2})\b/);
+  debugLog('YYYY/MM/DD', !!yearFirstMatch, yearFirstMatch?.[0]);
+  if (yearFirstMatch) {
+    const year = parseInt(yearFirstMatch[1], 10);
+    const month = parseInt(yearFirstMatch[3], 10) - 1;
+    const day = parseInt(yearFirstMatch[4], 10);
+    const date = new Date(year, month, day);
+    if (isValidDate(date) && date.getMonth() === month) {
+      return { date, type: 'yyyy-mm-dd', span: spanOf(yearFirstMatch) };
+    }
+  }
+
+  // 2. MM/DD/YYYY, MM-DD-YYYY or DD.MM.YYYY (full date with year, read in the date order)
+  const fullDateMatch = text.match(/\b(\d{1,2})([\/\-.])(\d{1,2})\2(\d{4})\b/);
+  debugLog('MM/DD/YYYY', !!fullDateMatch, fullDateMatch?.[0]);
+  if (fullDateMatch) {
+    const year = parseInt(fullDateMatch[4], 10);
+    const reading = readNumericDate(parseInt(fullDateMatch[1], 10), parseInt(fullDateMatch[3], 10), dateOrder, year);
+    if (reading) {
+      return {
+        date: new Date(year, reading.month, reading.day),
+        type: reading.dayFirst ? 'dd-mm-yyyy' : 'mm-dd-yyyy',
+        ambiguous: reading.ambiguous,
+        span: spanOf(fullDateMatch)
+      };
+    }
+  }
+
+  // 3. Month day year: "January 5, 2025" / "Jan 5 2025" / "January 5th, 2025"
+  const monthDayYearRegex = new RegExp(
+    `\\b(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:[,\\s]+|\\s+)(\\d{4})\\b`,
+    'i'
+  );
+  const monthDayYearMatch = text.match(monthDayYearRegex);
+  debugLog('month day year', !!monthDayYearMatch, monthDayYearMatch?.[0]);
+  if (monthDayYearMatch) {
+    const month = MONTHS[monthDayYearMatch[1].toLowerCase()];
+    const day = parseInt(monthDayYearMatch[2], 10);
+    const year = parseInt(monthDayYearMatch[3], 10);
+    const date = new Date(year, month, day);
+    if (isValidDate(date)) {
+      return { date, type: 'month-day-year', span: spanOf(monthDayYearMatch) };
+    }
+  }
+
+  // 4. MM/DD (no year) - use negative lookbehind to avoid matching times like "11:59"
+  // Only match if preceded by word boundary or space, not by colon
+  const shortDateMatch = text.match(/(?<!:)\b(\d{1,2})\/(\d{1,2})\b(?!\/\d)/);
+  debugLog('MM/DD (no year)', !!shortDateMatch, shortDateMatch?.[0]);
+  if (shortDateMatch) {
+    // Checked against a leap year so 29/02 is accepted
+    const reading = readNumericDate(parseInt(shortDateMatch[1], 10), parseInt(shortDateMatch[2], 10), dateOrder, 2000);
+    if (reading) {
+      const year = now.getFullYear();
+      let date = new Date(year, reading.month, reading.day);
+
+      // Compare dates only (not times) to avoid same-day issues
+      const todayMidnight = new Date(now);
+      todayMidnight.setHours(0, 0, 0, 0);
+      if (date < todayMidnight) {
+        date = new Date(year + 1, reading.month, reading.day);
+      }
+
+      if (isValidDate(date)) {
+        return { date, type: reading.dayFirst ? 'dd-mm' : 'mm-dd', ambiguous: reading.ambiguous, span: spanOf(shortDateMatch) };
+      }
+    }
+  }
+
+  // 5. Month day (no year): "January 5" / "Jan 5th"
+  const monthDayRegex = new RegExp(
+    `\\b(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:\\b|,|$)`,
+    'i'
+  );
+  if (parserLogger) {
+    console.log(`  [extractDate] Month-day regex pattern: ${monthDayRegex}`);
+  }
+  const monthDayMatch = text.match(monthDayRegex);
+  debugLog('month day (no year)', !!monthDayMatch, monthDayMatch?.[0]);
+  if (monthDayMatch) {
+    const month = MONTHS[monthDayMatch[1].toLowerCase()];
+    const day = parseInt(monthDayMatch[2], 10);
+    const year = now.getFullYear();
+    let date = new Date(year, month, day);
+
+    // If date is in the past, assume next year
+    // Compare dates only (not times) to avoid same-day issues
+    const todayMidnight = new Date(now);
+    todayMidnight.setHours(0, 0, 0, 0);
+    if (date < todayMidnight) {
+      date = new Date(year + 1, month, day);
+    }
+
+    if (isValidDate(date)) {
+      return { date, type: 'month-day', span: spanOf(monthDayMatch) };
+    }
+  }
+
+  // 6. Day month (European format): "5 January" / "5th January 2025"
+  const dayMonthRegex = new RegExp(
+    `\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_PATTERN})(?:\\s+(\\d{4}))?\\b`,
+    'i'
+  );
+  const dayMonthMatch = text.match(dayMonthRegex);
+  debugLog('day month (European)', !!dayMonthMatch, dayMonthMatch?.[0]);
+  if (dayMonthMatch) {
+    const day = parseInt(dayMonthMatch[1], 10);
+    const month = MONTHS[dayMonthMatch[2].toLowerCase()];
+    const year = dayMonthMatch[3] ? parseInt(dayMonthMatch[3], 10) : now.getFullYear();
+    let date = new Date(year, month, day);
+
+    // If no year specified and date is in the past, assume next year
+    // Compare dates only (not times) to avoid same-day issues
+    const todayMidnight = new Date(now);
+    todayMidnight.setHours(0, 0, 0, 0);
+    if (!dayMonthMatch[3] && date < todayMidnight) {
+      date = new Date(year + 1, month, day);
+    }
+
+    if (isValidDate(date)) {
+      return { date, type: 'day-month', span: spanOf(dayMonthMatch) };
+    }
+  }
+
+  // Positional dates name a month with "of": "of March", "of the month", "of next month"
+  // ("of every month" starts this month, like "of the month")
+  const monthRef = `(?:the|this|each|every)\\s+month|next\\s+month|${MONTH_PATTERN}`;
+
+  // First date from pick(year, month) that hasn't passed, starting in the referenced month
+  // A named month moves to next year; "the month" moves to next month; a year or "next month" stays put
+  const findInMonth = (ref, yearText, pick) => {
+    const lower = (ref || 'the month').toLowerCase().replace(/\s+/g, ' ');
+    const named = MONTHS[lower] !== undefined;
+    const fixed = lower === 'next month' || (named && !!yearText);
+    const year = yearText ? parseInt(yearText, 10) : now.getFullYear();
+    const month = named ? MONTHS[lower] : now.getMonth() + (lower === 'next month' ? 1 : 0);
+    const todayMidnight = new Date(now);
+    todayMidnight.setHours(0, 0, 0, 0);
+
+    // Some months have no 31st or fifth Monday, so look a few ahead
+    for (let tries = 0; tries < 12; tries++) {
+      const date = pick(year, month + tries * (named ? 12 : 1));
+      if (date && (fixed || date >= todayMidnight)) {
+        return date;
+      }
+      if (fixed) {
+        break;
+      }
+    }
+    return null;
+  };
+
+  // 6b. Nth weekday of a month: "first Monday of March", "last Friday of the month", "last weekday of next month"
+  const positionalMatch = text.match(new RegExp(
+    `\\b(${Object.keys(WEEK_POSITIONS).join('|')})\\s+(${DAY_WORD_PATTERN}|weekday|day)\\s+of\\s+(${monthRef})\\b(?:,?\\s+(\\d{4})\\b)?`,
+    'i'
+  ));
+  debugLog('nth weekday of month', !!positionalMatch, positionalMatch?.[0]);
+  if (positionalMatch) {
+    const position = WEEK_POSITIONS[positionalMatch[1].toLowerCase()];
+    const dayWord = positionalMatch[2].toLowerCase();
+    const dayCodes = dayWord === 'weekday' ? ['MO', 'TU', 'WE', 'TH', 'FR'] :
+      dayWord === 'day' ? WEEKDAY_CODES : [getWeekdayCode(dayWord)];
+    const date = findInMonth(positionalMatch[3], positionalMatch[4],
+      (year, month) => getNthWeekdayOfMonth(year, month, dayCodes, position));
+    if (date) {
+      return { date, type: 'month-position', match: positionalMatch[0], span: spanOf(positionalMatch) };
+    }
+  }
+
+  // 6c. End of a month: "end of month", "end of the month", "end of March"
+  const monthEndMatch = text.match(new RegExp(`\\bend\\s+of\\s+(month|${monthRef})\\b(?:,?\\s+(\\d{4})\\b)?`, 'i'));
+  debugLog('end of month', !!monthEndMatch, monthEndMatch?.[0]);
+  if (monthEndMatch) {
+    const ref = monthEndMatch[1].toLowerCase() === 'month' ? null : monthEndMatch[1];
+    const date = findInMonth(ref, monthEndMatch[2], (year, month) => new Date(year, month + 1, 0));
+    if (date) {
+      return { date, type: 'month-end', match: monthEndMatch[0], span: spanOf(monthEndMatch) };
+    }
+  }
+
+  // 6d. Day of the month: "on the 15th" (the next 15th), "every 1st", "the 3rd of next month"
+  // Not "the 5th floor" or "the 4th street entrance"
+  const ordinalMatch = text.match(new RegExp(
+    '\\b(?:the|every|each)\\s+(\\d{1,2})(?:st|nd|rd|th)\\b' +
+    '(?!\\s+(?:floor|fl|street|st|avenue|ave|grade|place|row|century|anniversary|birthday|edition|annual)\\b)' +
+    `(?:\\s+of\\s+(${monthRef})\\b(?:,?\\s+(\\d{4})\\b)?)?`,
+    'i'
+  ));
+  debugLog('day of month', !!ordinalMatch, ordinalMatch?.[0]);
+  if (ordinalMatch) {
+    const day = parseInt(ordinalMatch[1], 10);
+    const date = findInMonth(ordinalMatch[2], ordinalMatch[3], (year, month) => {
+      const candidate = new Date(year, month, day);
+      return candidate.getDate() === day ? candidate : null;
+    });
+    if (date) {
+      return { date, type: 'month-ordinal', match: ordinalMatch[0], span: spanOf(ordinalMatch) };
+    }
+  }
+
+  // 7. Relative dates: today, tomorrow, day after tomorrow
+  const todayMatch = lowerText.match(/\btoday\b/);
+  debugLog('today', !!todayMatch);
+  if (todayMatch) {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    return { date, type: 'relative-today', span: spanOf(todayMatch) };
+  }
+
+  const tomorrowMatch = lowerText.match(/\btomorrow\b/);
+  debugLog('tomorrow', !!tomorrowMatch);
+  if (tomorrowMatch) {
+    const date = new Date(now);
+    date.setDate(date.getDate() + 1);
+    date.setHours(0, 0, 0, 0);
+    return { date, type: 'relative-tomorrow', span: spanOf(tomorrowMatch) };
+  }
+
+  const dayAfterMatch = lowerText.match(/\b(day after tomorrow|day after tmrw)\b/);
+  debugLog('day after tomorrow', !!dayAfterMatch);
+  if (dayAfterMatch) {
+    const date = new Date(now);
+    date.setDate(date.getDate() + 2);
+    date.setHours(0, 0, 0, 0);
+    return { date, type: 'relative-dayafter', span: spanOf(dayAfterMatch) };
+  }
+
+  // 8. Next week
+  const nextWeekMatch = lowerText.match(/\bnext\s+week\b/);
+  debugLog('next week', !!nextWeekMatch);
+  if (nextWeekMatch) {
+    const date = new Date(now);
+    date.setDate(date.getDate() + 7);
+    date.setHours(0, 0, 0, 0);
+    return { date, type: 'relative-nextweek', span: spanOf(nextWeekMatch) };
+  }
+
+  // 9. "next [day]" or "this [day]"
+  const dayModifierMatch = lowerText.match(/\b(next|this)\s+(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  debugLog('next/this [day]', !!dayModifierMatch, dayModifierMatch?.[0]);
+  if (dayModifierMatch) {
+    const modifier = dayModifierMatch[1];
+    const targetDayName = dayModifierMatch[2];
+    const targetDay = DAYS.indexOf(targetDayName);
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+
+    const currentDay = date.getDay();
+    let daysToAdd = targetDay - currentDay;
+
+    if (modifier === 'next') {
+      // "next Monday" means the Monday of next week
+      if (daysToAdd <= 0) {
+        daysToAdd += 7;
+      }
+      daysToAdd += 7; // Add another week for "next"
+    } else {
+      // "this Monday" means the upcoming Monday (or today if it's Monday)
+      if (daysToAdd < 0) {
+        daysToAdd += 7;
+      }
+      // If it's the same day, keep it (this Monday = today if today is Monday)
+    }
+
+    date.setDate(date.getDate() + daysToAdd);
+    return { date, type: `day-${modifier}`, span: spanOf(dayModifierMatch) };
+  }
+
+  // 10. Standalone day names (next occurrence) - LAST because least specific
+  const standaloneDayMatch = lowerText.match(/\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  debugLog('standalone day', !!standaloneDayMatch && !dayModifierMatch, standaloneDayMatch?.[0]);
+  if (standaloneDayMatch && !dayModifierMatch) {
+    const targetDay = DAYS.indexOf(standaloneDayMatch[1]);
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+
+    const currentDay = date.getDay();
+    let daysToAdd = targetDay - currentDay;
+
+    // If it's today or in the past this week, go to next week
+    if (daysToAdd <= 0) {
+      daysToAdd += 7;
+    }
+
+    date.setDate(date.getDate() + daysToAdd);
+    return { date, type: 'day-standalone', span: spanOf(standaloneDayMatch) };
+  }
+
+  debugLog('No date pattern matched', true);
+  return { date: null, type: 'none' };
+}
+
+/**
+ * Extract a range of days: "Jan 5-7", "March 3 to March 5", "5-7 March", "12/20 - 12/23", "Fri–Sun"
+ * @param {string} text - The text to parse
+ * @param {Date} now - Reference date
+ * @param {string} dateOrder - 'MDY', 'DMY', or 'YMD' for numeric dates
+ * @returns {Object} - { found, start: Date|null, end: Date|null (last day, inclusive), match: string|null, type, span }
+ */
+function extractDateRange(text, now, dateOrder = 'MDY') {
+  const notFound = { found: false, start: null, end: null, match: null, type: 'none', span: null };
+  const connector = '\\s*(?:-|–|—|to|through|thru|until|till)\\s*';
+  const ordinal = '(?:st|nd|rd|th)?';
+  // "Jan 5 - 7pm" is a date and a time, not a range
+  const notTime = '(?!\\s*(?::|[ap]\\.?m\\b|[ap]\\b|o\'clock))';
+  const numeric = '\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?';
+
+  // The last day is read relative to the first, so "Dec 30 - Jan 2" crosses into the next year
+  const range = (start, endMonth, endDay, endYear, match, type) => {
+    if (!start) {
+      return null;
+    }
+    let end = new Date(endYear || start.getFullYear(), endMonth, endDay);
+    if (!endYear && end < start) {
+      end = new Date(start.getFullYear() + 1, endMonth, endDay);
+    }
+    // Up to about a month - anything longer is two separate dates
+    const days = Math.round((end - start) / 86400000);
+    if (end.getDate() !== endDay || days < 1 || days > 31) {
+      return null;
+    }
+    return { found: true, start, end, match: match[0], type, span: spanOf(match) };
+  };
+
+  // "Jan 5-7", "March 3 to March 5", "Jan 30 - Feb 2, 2026"
+  const monthFirstMatch = text.match(new RegExp(
+    `\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})${ordinal}(?:,?\\s+(\\d{4}))?${connector}` +
+    `(?:(${MONTH_PATTERN})\\.?\\s+)?(\\d{1,2})${ordinal}\\b${notTime}(?:,?\\s+(\\d{4}))?`,
+    'i'
+  ));
+  if (monthFirstMatch) {
+    const [, startMonth, startDay, startYear, endMonth, endDay, endYear] = monthFirstMatch;
+    const start = extractDate(`${startMonth} ${startDay}${startYear || endYear ? ` ${startYear || endYear}` : ''}`, now, dateOrder).date;
+    const result = range(start, MONTHS[(endMonth || startMonth).toLowerCase()], parseInt(endDay, 10), endYear && parseInt(endYear, 10),
+      monthFirstMatch, 'month-day-range');
+    if (result) {
+      return result;
+    }
+  }
+
+  // "5-7 March", "30 Jan - 2 Feb 2026"
+  const dayFirstMatch = text.match(new RegExp(
+    `\\b(\\d{1,2})${ordinal}(?:\\s+(${MONTH_PATTERN}))?${connector}(\\d{1,2})${ordinal}\\s+(${MONTH_PATTERN})\\b(?:\\s+(\\d{4}))?`,
+    'i'
+  ));
+  if (dayFirstMatch) {
+    const [, startDay, startMonth, endDay, endMonth, year] = dayFirstMatch;
+    const start = extractDate(`${startDay} ${startMonth || endMonth}${year ? ` ${year}` : ''}`, now, dateOrder).date;
+    const result = range(start, MONTHS[endMonth.toLowerCase()], parseInt(endDay, 10), year && parseInt(year, 10),
+      dayFirstMatch, 'day-month-range');
+    if (result) {
+      return result;
+    }
+  }
+
+  // "12/20 - 12/23", "2026-03-03 to 2026-03-05"
+  const numericMatch = text.match(new RegExp(`(?<![\\d:/])(${numeric})${connector}(${numeric})(?![\\d/])`));
+  if (numericMatch) {
+    const start = extractDate(numericMatch[1], now, dateOrder).date;
+    const end = start && extractDate(numericMatch[2], start, dateOrder).date;
+    const result = end && range(start, end.getMonth(), end.getDate(), end.getFullYear(), numericMatch, 'numeric-range');
+    if (result) {
+      return result;
+    }
+  }
+
+  // "Fri–Sun", "Monday to Wednesday"
+  const weekdayMatch = text.match(new RegExp(`\\b(${DAY_WORD_PATTERN})${connector}(${DAY_WORD_PATTERN})\\b`, 'i'));
+  if (weekdayMatch) {
+    const startCode = getWeekdayCode(weekdayMatch[1]);
+    const endCode = getWeekdayCode(weekdayMatch[2]);
+    const start = extractDate(DAYS[WEEKDAY_CODES.indexOf(startCode)], now, dateOrder).date;
+    const end = new Date(start);
+    end.setDate(end.getDate() + ((WEEKDAY_CODES.indexOf(endCode) - WEEKDAY_CODES.indexOf(startCode) + 7) % 7));
+    if (end > start) {
+      return { found: true, start, end, match: weekdayMatch[0], type: 'weekday-range', span: spanOf(weekdayMatch) };
+    }
+  }
+
+  return notFound;
+}
+
+/**
+ * Add an offset to a date; month offsets stay in the target month (Jan 31 + 1 month → Feb 28)
+ * @param {Date} date - Starting point
+ * @param {number} amount - Number of units, negative to go back
+ * @param {string} unit - 'minute', 'hour', 'day', 'week', or 'month'
+ * @returns {Date}
+ */
+function addDateOffset(date, amount, unit) {
+  const result = new Date(date);
+  if (unit === 'minute') {
+    result.setMinutes(result.getMinutes() + amount);
+  } else if (unit === 'hour') {
+    result.setHours(result.getHours() + amount);
+  } else if (unit === 'day') {
+    result.setDate(result.getDate() + amount);
+  } else if (unit === 'week') {
+    result.setDate(result.getDate() + amount * 7);
+  } else {
+    const day = result.getDate();
+    result.setDate(1);
+    result.setMonth(result.getMonth() + amount);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+  }
+  return result;
+}
+
+/**
+ * Extract a date relative to now or to another date:
+ * "in 3 days", "in two weeks", "in 45 minutes", "3 hours from now",
+ * "two days before March 10", "a week from Friday"
+ * @param {string} text - The text to parse
+ * @param {Date} now - Reference time
+ * @param {string} dateOrder - 'MDY', 'DMY', or 'YMD' for numeric anchor dates
+ * @returns {Object} - { found, date: Date|null, hasTime (minute/hour offsets set the time too), match: string|null, type, span }
+ */
+function extractRelativeOffset(text, now, dateOrder = 'MDY') {
+  const notFound = { found: false, date: null, hasTime: false, match: null, type: 'none', span: null };
+  const count = `\\d+|an?|a\\s+couple(?:\\s+of)?|${Object.keys(NUMBER_WORDS).join('|')}`;
+  const readAmount = (value) => {
+    if (/^an?$/i.test(value)) {
+      return 1;
+    }
+    return /couple/i.test(value) ? 2 : parseCount(value);
+  };
+  const readUnit = (value) => {
+    const lower = value.toLowerCase();
+    if (lower.startsWith('mi')) {
+      return 'minute';
+    }
+    if (lower.startsWith('h')) {
+      return 'hour';
+    }
+    if (lower.startsWith('d')) {
+      return 'day';
+    }
+    return lower.startsWith('w') ? 'week' : 'month';
+  };
+
+  // Anchored: "two days before March 10", "a week from Friday", "3 days after tomorrow"
+  const anchor = `today|tomorrow|(?:next\\s+|this\\s+)?${DAY_WORD_PATTERN}|` +
+    `(?:${MONTH_PATTERN})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|` +
+    `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTH_PATTERN})(?:\\s+\\d{4})?|` +
+    '\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?';
+  let match = text.match(new RegExp(
+    `\\b(${count})\\s*(days?|weeks?|wks?|months?)\\s+(before|after|from)\\s+(${anchor})\\b`, 'i'));
+  if (match) {
+    const anchorResult = extractDate(match[4], now, dateOrder);
+    const amount = readAmount(match[1]);
+    if (anchorResult.date && amount) {
+      const sign = match[3].toLowerCase() === 'before' ? -1 : 1;
+      return {
+        found: true,
+        date: addDateOffset(anchorResult.date, sign * amount, readUnit(match[2])),
+        hasTime: false,
+        match: match[0],
+        type: 'relative-anchored',
+        span: spanOf(match)
+      };
+    }
+  }
+
+  // From now: "in 3 days", "in 45 minutes", "in half an hour", "2 weeks from now"
+  const unit = 'minutes?|mins?|hours?|hrs?|days?|weeks?|wks?|months?';
+  let amount = null;
+  let unitName = null;
+  if ((match = text.match(/\bin\s+half\s+an?\s+hour\b/i))) {
+    amount = 30;
+    unitName = 'minute';
+  } else if ((match = text.match(new RegExp(`\\bin\\s+(${count})\\s*(${unit})\\b`, 'i'))) ||
+             (match = text.match(new RegExp(`\\b(${count})\\s*(${unit})\\s+from\\s+now\\b`, 'i')))) {
+    amount = readAmount(match[1]);
+    unitName = readUnit(match[2]);
+  }
+  if (!amount) {
+    return notFound;
+  }
+
+  const hasTime = unitName === 'minute' || unitName === 'hour';
+  const date = addDateOffset(now, amount, unitName);
+  if (hasTime) {
+    date.setSeconds(0, 0);
+  } else {
+    date.setHours(0, 0, 0, 0);
+  }
+  return { found: true, date, hasTime, match: match[0], type: 'relative-offset', span: spanOf(match) };
+}
+
+/**
+ * Validate that a date is reasonable
+ */
+function isValidDate(date) {
+  return date instanceof Date && !isNaN(date.getTime());
+}
+
+// =============================================================================
+// TIME EXTRACTION
+// =============================================================================
+
+/**
+ * Extract a time range from text (e.g., "6-8pm", "6pm-8pm", "10am-2pm")
+ * @param {string} text - The text to parse
+ * A time zone right after the range ("2-3pm ET") is returned with it
+ * @returns {Object} - { found, startHours, startMinutes, endHours, endMinutes, type, span, timeZone, timeZoneMatch }
+ */
+function extractTimeRange(text) {
+  log('[extractTimeRange] Input:', text);
+
+  // Time range patterns:
+  // Pattern 1: "6-8pm", "6-8 pm", "6 - 8pm" (meridiem only on end)
+  // Pattern 2: "6pm-8pm", "6pm - 8pm" (meridiem on both)
+  // Pattern 3: "6:00-8:00pm", "6:30-8:30pm" (with minutes, meridiem on end)
+  // Pattern 4: "6:00pm-8:00pm" (with minutes, meridiem on both)
+  // Pattern 5: "6pm to 8pm", "6 to 8pm" (using "to" instead of dash)
+  // Pattern 6: "10am-2pm" (different meridiems - crosses noon)
+  // Pattern 7: "8:00A - 11:00A" (single letter meridiem)
+  // Pattern 8: "8A - 11A" (single letter, no minutes)
+
+  // Comprehensive regex that handles all patterns
+  // Meridiem pattern matches: am, AM, a.m., A.M., a, A, pm, PM, p.m., P.M., p, P
+  // Groups: 1=startHour, 2=startMin, 3=startMeridiem, 4=endHour, 5=endMin, 6=endMeridiem
+  const timeRangeRegex = /\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m?\.?|p\.?m?\.?)?\s*(?:-|–|—|to)\s*(\d{1,2})(?::(\d{2}))?\s*(a\.?m?\.?|p\.?m?\.?)\b/i;
+
+  const match = text.match(timeRangeRegex);
+
+  if (match) {
+    log('[extractTimeRange] Match found:', match[0]);
+    log('[extractTimeRange] Groups:', {
+      startHour: match[1],
+      startMin: match[2],
+      startMeridiem: match[3],
+      endHour: match[4],
+      endMin: match[5],
+      endMeridiem: match[6]
+    });
+
+    let startHours = parseInt(match[1], 10);
+    const startMinutes = match[2] ? parseInt(match[2], 10) : 0;
+    const startMeridiem = match[3];
+
+    let endHours = parseInt(match[4], 10);
+    const endMinutes = match[5] ? parseInt(match[5], 10) : 0;
+    const endMeridiem = match[6];
+
+    // Validate hour values
+    if (startHours < 1 || startHours > 12 || endHours < 1 || endHours > 12) {
+      log('[extractTimeRange] Invalid hour values, skipping');
+      return { found: false, startHours: null, startMinutes: 0, endHours: null, endMinutes: 0, type: 'none', timeZone: null, timeZoneMatch: null };
+    }
+
+    // Convert end time to 24-hour format
+    const endIsPM = /^p/i.test(endMeridiem);
+    if (endIsPM && endHours !== 12) {
+      endHours += 12;
+    } else if (!endIsPM && endHours === 12) {
+      endHours = 0;
+    }
+
+    // Convert start time to 24-hour format
+    if (startMeridiem) {
+      // Start has explicit meridiem
+      const startIsPM = /^p/i.test(startMeridiem);
+      if (startIsPM && startHours !== 12) {
+        startHours += 12;
+      } else if (!startIsPM && startHours === 12) {
+        startHours = 0;
+      }
+    } else {
+      // Infer start meridiem from end meridiem and logic
+      // "6-8pm" → both PM (6pm-8pm)
+      // "10-2pm" → 10am-2pm (crosses noon, start must be AM)
+      // "6-8am" → both AM
+
+      if (endIsPM) {
+        // End is PM
+        if (startHours <= endHours % 12 || endHours % 12 === 0) {
+          // Same meridiem: "6-8pm" → 6pm, 8pm
+          if (startHours !== 12) {
+            startHours += 12;
+          }
+        } else {
+          // Crosses noon: "10-2pm" → 10am, 2pm
+          // startHours stays as-is (AM)
+          if (startHours === 12) {
+            startHours = 0; // 12 without meridiem before PM end = 12am = 0
+          }
+        }
+      } else {
+        // End is AM - start is also AM
+        if (startHours === 12) {
+          startHours = 0;
+        }
+      }
+    }
+
+    log('[extractTimeRange] Parsed times:', {
+      start: `${startHours}:${String(startMinutes).padStart(2, '0')}`,
+      end: `${endHours}:${String(endMinutes).padStart(2, '0')}`
+    });
+
+    return {
+      found: true,
+      startHours,
+      startMinutes,
+      endHours,
+      endMinutes,
+      type: 'time-range',
+      span: spanOf(match),
+      ...matchTimeZoneAfter(text, match.index + match[0].length)
+    };
+  }
+
+  log('[extractTimeRange] No time range found');
+  return { found: false, startHours: null, startMinutes: 0, endHours: null, endMinutes: 0, type: 'none', timeZone: null, timeZoneMatch: null };
+}
+
+/**
+ * Extract time from text
+ * A time zone right after the time ("3pm EST", "15:00 UTC") is returned with it
+ * @param {string} text - The text to parse
+ * @param {Object} options - timesOfDay and assumePmUntil (see PARSER_DEFAULTS)
+ * @returns {Object} - { found: boolean, hours: number, minutes: number, type: string, span, timeZone, timeZoneMatch }
+ */
+function extractTime(text, options = PARSER_DEFAULTS) {
+  const lowerText = text.toLowerCase();
+  const { timesOfDay, assumePmUntil } = options;
+
+  // Attach any time zone that directly follows the matched time
+  const found = (hours, minutes, type, match) => ({
+    found: true,
+    hours,
+    minutes,
+    type,
+    span: spanOf(match),
+    ...matchTimeZoneAfter(text, match.index + match[0].length)
+  });
+
+  // 1. Special named times
+  const noonMatch = lowerText.match(/\b(at\s+)?noon\b/);
+  if (noonMatch) {
+    return found(12, 0, 'noon', noonMatch);
+  }
+
+  const midnightMatch = lowerText.match(/\b(at\s+)?midnight\b/);
+  if (midnightMatch) {
+    return found(0, 0, 'midnight', midnightMatch);
+  }
+
+  // 2. Time of day descriptors
+  const morningMatch = lowerText.match(/\b(in\s+the\s+)?morning\b/);
+  if (morningMatch && !/\bgood\s+morning\b/.test(lowerText)) {
+    return found(timesOfDay.morning.hours, timesOfDay.morning.minutes, 'morning', morningMatch);
+  }
+
+  const afternoonMatch = lowerText.match(/\b(in\s+the\s+)?afternoon\b/);
+  if (afternoonMatch) {
+    return found(timesOfDay.afternoon.hours, timesOfDay.afternoon.minutes, 'afternoon', afternoonMatch);
+  }
+
+  const eveningMatch = lowerText.match(/\b(in\s+the\s+)?evening\b/);
+  if (eveningMatch) {
+    return found(timesOfDay.evening.hours, timesOfDay.evening.minutes, 'evening', eveningMatch);
+  }
+
+  const nightMatch = lowerText.match(/\b(at\s+)?night\b/);
+  if (nightMatch && !/\bgood\s+night\b/.test(lowerText)) {
+    return found(timesOfDay.night.hours, timesOfDay.night.minutes, 'night', nightMatch);
+  }
+
+  // 3. 12-hour format: 3pm, 3:00pm, 3:00 PM, 3 pm, 3:30 a.m., 3P, 3:00A
+  // Meridiem pattern matches: am, AM, a.m., A.M., a, A, pm, PM, p.m., P.M., p, P
+  const time12Regex = /\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m?\.?|p\.?m?\.?)\b/i;
+  const time12Match = text.match(time12Regex);
+  if (time12Match) {
+    let hours = parseInt(time12Match[1], 10);
+    const minutes = time12Match[2] ? parseInt(time12Match[2], 10) : 0;
+    const isPM = /^p/i.test(time12Match[3]);
+
+    // Validate hours
+    if (hours >= 1 && hours <= 12) {
+      if (isPM && hours !== 12) {
+        hours += 12;
+      } else if (!isPM && hours === 12) {
+        hours = 0;
+      }
+      return found(hours, minutes, '12-hour', time12Match);
+    }
+  }
+
+  // 4. 24-hour format: 15:00, 09:30 (but not dates like 01/05)
+  const time24Regex = /(?<![\/\-\d])(\d{1,2}):(\d{2})(?![\/\-\d])/;
+  const time24Match = text.match(time24Regex);
+  if (time24Match) {
+    const hours = parseInt(time24Match[1], 10);
+    const minutes = parseInt(time24Match[2], 10);
+
+    if (hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59) {
+      return found(hours, minutes, '24-hour', time24Match);
+    }
+  }
+
+  // 5. "at [number]" without am/pm - guess based on context
+  const atTimeMatch = text.match(/\bat\s+(\d{1,2})\b(?!\s*[:\d\/\-])/i);
+  if (atTimeMatch) {
+    let hours = parseInt(atTimeMatch[1], 10);
+
+    if (hours >= 1 && hours <= 12) {
+      // Assume PM for hours 1-7 by default (business hours), AM for 8-12
+      if (hours <= assumePmUntil) {
+        hours += 12;
+      }
+      return found(hours, 0, 'at-number', atTimeMatch);
+    }
+  }
+
+  // 6. Standalone hour with o'clock: "3 o'clock"
+  const oclockMatch = text.match(/\b(\d{1,2})\s*o['']?clock\b/i);
+  if (oclockMatch) {
+    let hours = parseInt(oclockMatch[1], 10);
+    if (hours >= 1 && hours <= 12) {
+      // Assume PM for hours 1-7 by default
+      if (hours <= assumePmUntil) {
+        hours += 12;
+      }
+      return found(hours, 0, 'oclock', oclockMatch);
+    }
+  }
+
+  return { found: false, hours: null, minutes: 0, type: 'none', timeZone: null, timeZoneMatch: null };
+}
+
+// =============================================================================
+// TIME ZONE DETECTION
+// =============================================================================
+
+// Zone abbreviations mapped to an IANA zone (so DST is handled) or a fixed UTC offset in minutes
+// Regional abbreviations follow the region: "EST" in July still means New York time
+const TIME_ZONE_ABBREVIATIONS = {
+  ET: 'America/New_York', EST: 'America/New_York', EDT: 'America/New_York',
+  CT: 'America/Chicago', CST: 'America/Chicago', CDT: 'America/Chicago',
+  MT: 'America/Denver', MST: 'America/Denver', MDT: 'America/Denver',
+  PT: 'America/Los_Angeles', PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles',
+  AKT: 'America/Anchorage', AKST: 'America/Anchorage', AKDT: 'America/Anchorage',
+  HST: 'Pacific/Honolulu',
+  UTC: 0, GMT: 0,
+  BST: 'Europe/London', WET: 'Europe/Lisbon', WEST: 'Europe/Lisbon',
+  CET: 'Europe/Paris', CEST: 'Europe/Paris', EET: 'Europe/Athens', EEST: 'Europe/Athens',
+  IST: 'Asia/Kolkata', SGT: 'Asia/Singapore', HKT: 'Asia/Hong_Kong',
+  JST: 'Asia/Tokyo', KST: 'Asia/Seoul',
+  AEST: 'Australia/Sydney', AEDT: 'Australia/Sydney',
+  ACST: 'Australia/Adelaide', ACDT: 'Australia/Adelaide', AWST: 'Australia/Perth',
+  NZST: 'Pacific/Auckland', NZDT: 'Pacific/Auckland'
+};
+
+// "Eastern Time", "Pacific Standard Time"
+const TIME_ZONE_NAMES = {
+  eastern: { label: 'ET', name: 'America/New_York' },
+  central: { label: 'CT', name: 'America/Chicago' },
+  mountain: { label: 'MT', name: 'America/Denver' },
+  pacific: { label: 'PT', name: 'America/Los_Angeles' }
+};
+
+const IANA_ZONE_PATTERN = '[A-Z][A-Za-z_]+\\/[A-Z][A-Za-z_]+(?:\\/[A-Z][A-Za-z_]+)?';
+
+/**
+ * Check that an IANA zone name is known to this browser
+ */
+function isValidTimeZoneName(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build a zone object from a UTC offset
+ */
+function offsetTimeZone(sign, hours, minutes) {
+  const offsetMinutes = (sign === '-' ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes || '0', 10));
+  const pad = (n) => String(n).padStart(2, '0');
+  const label = `UTC${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+  return { label, name: null, offsetMinutes };
+}
+
+/**
+ * Match a time zone that directly follows a time (optionally in parentheses)
+ * e.g. "3pm EST", "15:00 UTC", "10am PT", "9:00 (UTC+5:30)", "2pm America/Chicago"
+ * Abbreviations must be uppercase so words like "et" or "pt" aren't mistaken for zones
+ * @param {string} text - The full text
+ * @param {number} index - Index just after the matched time
+ * @returns {Object} - { timeZone: { label, name, offsetMinutes }|null, timeZoneMatch: string|null, timeZoneType, timeZoneSpan }
+ */
+function matchTimeZoneAfter(text, index) {
+  const rest = text.substring(index);
+  const none = { timeZone: null, timeZoneMatch: null, timeZoneType: 'none', timeZoneSpan: null };
+
+  // The span leaves out the spaces between the time and the zone
+  const found = (timeZone, match, type) => ({
+    timeZone,
+    timeZoneMatch: match[0],
+    timeZoneType: type,
+    timeZoneSpan: {
+      start: index + match[0].length - match[0].trimStart().length,
+      end: index + match[0].trimEnd().length
+    }
+  });
+
+  // UTC/GMT offsets: "UTC+2", "GMT-05:00", "UTC+5:30"
+  const offsetMatch = rest.match(/^\s*\(?\s*(?:UTC|GMT)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?\b\s*\)?/i);
+  if (offsetMatch) {
+    return found(offsetTimeZone(offsetMatch[1], offsetMatch[2], offsetMatch[3]), offsetMatch, 'utc-offset');
+  }
+
+  // Bare ISO-style offsets: "+05:30", "-0800"
+  const bareOffsetMatch = rest.match(/^\s*([+-])(\d{2}):?(\d{2})\b/);
+  if (bareOffsetMatch) {
+    return found(offsetTimeZone(bareOffsetMatch[1], bareOffsetMatch[2], bareOffsetMatch[3]), bareOffsetMatch, 'bare-offset');
+  }
+
+  // Abbreviations: "EST", "PT", "UTC"
+  const abbreviationRegex = new RegExp(`^\\s*\\(?\\s*(${Object.keys(TIME_ZONE_ABBREVIATIONS).join('|')})\\b\\s*\\)?`);
+  const abbreviationMatch = rest.match(abbreviationRegex);
+  if (abbreviationMatch) {
+    const label = abbreviationMatch[1];
+    const zone = TIME_ZONE_ABBREVIATIONS[label];
+    return found(
+      typeof zone === 'number' ?
+        { label, name: null, offsetMinutes: zone } :
+        { label, name: zone, offsetMinutes: null },
+      abbreviationMatch,
+      'abbreviation'
+    );
+  }
+
+  // Names: "Eastern Time", "Pacific Standard Time"
+  const nameMatch = rest.match(/^\s*\(?\s*(eastern|central|mountain|pacific)(?:\s+(?:standard|daylight))?\s+time\b\s*\)?/i);
+  if (nameMatch) {
+    return found({ ...TIME_ZONE_NAMES[nameMatch[1].toLowerCase()], offsetMinutes: null }, nameMatch, 'zone-name');
+  }
+
+  // IANA names: "America/Chicago"
+  const ianaMatch = rest.match(new RegExp(`^\\s*\\(?\\s*(${IANA_ZONE_PATTERN})\\s*\\)?`));
+  if (ianaMatch && isValidTimeZoneName(ianaMatch[1])) {
+    return found({ label: ianaMatch[1], name: ianaMatch[1], offsetMinutes: null }, ianaMatch, 'iana');
+  }
+
+  return none;
+}
+
+/**
+ * Find an IANA zone name anywhere in the text ("Times are in Europe/Berlin")
+ * IANA names are unambiguous, so they don't need to follow a time
+ * @returns {Object} - { timeZone, timeZoneMatch, timeZoneType, timeZoneSpan }
+ */
+function findIanaTimeZone(text) {
+  for (const match of text.matchAll(new RegExp(`\\b${IANA_ZONE_PATTERN}\\b`, 'g'))) {
+    if (isValidTimeZoneName(match[0])) {
+      return {
+        timeZone: { label: match[0], name: match[0], offsetMinutes: null },
+        timeZoneMatch: match[0],
+        timeZoneType: 'iana',
+        timeZoneSpan: spanOf(match)
+      };
+    }
+  }
+  return { timeZone: null, timeZoneMatch: null, timeZoneType: 'none', timeZoneSpan: null };
+}
+
+/**
+ * Get a zone's UTC offset in minutes at a given instant
+ * @param {Date} date - The instant
+ * @param {Object} timeZone - { name, offsetMinutes }
+ * @returns {number} - e.g. -300 for New York in winter
+ */
+function getTimeZoneOffsetMinutes(date, timeZone) {
+  if (!timeZone.name) {
+    return timeZone.offsetMinutes;
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone.name,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Set the time of day on a date, interpreting it as wall-clock time in a zone
+ * Without a zone this is the same as setHours in the local zone
+ * @param {Date} date - Supplies the calendar day (local year/month/date)
+ * @param {number} hours - Hours (0-23) in the source zone
+ * @param {number} minutes - Minutes in the source zone
+ * @param {Object|null} timeZone - { name, offsetMinutes } or null for local time
+ * @returns {Date} - The resulting instant
+ */
+function setWallClockTime(date, hours, minutes, timeZone) {
+  const result = new Date(date);
+  if (!timeZone) {
+    result.setHours(hours, minutes, 0, 0);
+    return result;
+  }
+
+  const wallClockUtc = Date.UTC(result.getFullYear(), result.getMonth(), result.getDate(), hours, minutes);
+  let offset = getTimeZoneOffsetMinutes(new Date(wallClockUtc), timeZone);
+  let instant = wallClockUtc - offset * 60000;
+
+  // The offset at the real instant can differ near a DST change - recheck once
+  const correctedOffset = getTimeZoneOffsetMinutes(new Date(instant), timeZone);
+  if (correctedOffset !== offset) {
+    offset = correctedOffset;
+    instant = wallClockUtc - offset * 60000;
+  }
+
+  return new Date(instant);
+}
+
+// =============================================================================
+// DURATION EXTRACTION
+// =============================================================================
+
+/**
+ * Extract duration from text
+ * @param {string} text - The text to parse
+ * @param {number|null} startHours - Start hour if known (for "until" calculations)
+ * @param {number} startMinutes - Start minutes if known
+ * @param {Object} options - defaultDurationMs (see PARSER_DEFAULTS)
+ * @returns {Object} - { found: boolean, duration: number (ms), type: string, span: { start, end }|null }
+ */
+function extractDuration(text, startHours, startMinutes, options = PARSER_DEFAULTS) {
+  const lowerText = text.toLowerCase();
+
+  // 1. "until [time]" - calculate duration from start time
+  const untilMatch = lowerText.match(/\buntil\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.?|p\.m\.?)?/i);
+  if (untilMatch && startHours !== null) {
+    let endHours = parseInt(untilMatch[1], 10);
+    const endMinutes = untilMatch[2] ? parseInt(untilMatch[2], 10) : 0;
+    const meridiem = untilMatch[3];
+
+    // Handle meridiem
+    if (meridiem) {
+      const isPM = /^p/i.test(meridiem);
+      if (isPM && endHours !== 12) {
+        endHours += 12;
+      } else if (!isPM && endHours === 12) {
+        endHours = 0;
+      }
+    } else {
+      // No meridiem - guess based on start time
+      if (endHours <= 12 && endHours < (startHours % 12 || 12)) {
+        if (endHours !== 12) {
+          endHours += 12;
+        }
+      } else if (endHours <= 7) {
+        endHours += 12;
+      }
+    }
+
+    // Calculate duration
+    const startTotalMinutes = startHours * 60 + startMinutes;
+    let endTotalMinutes = endHours * 60 + endMinutes;
+
+    // If end is before start, assume next day
+    if (endTotalMinutes <= startTotalMinutes) {
+      endTotalMinutes += 24 * 60;
+    }
+
+    const durationMinutes = endTotalMinutes - startTotalMinutes;
+    const durationMs = durationMinutes * 60 * 1000;
+
+    // Sanity check - cap at 24 hours
+    if (durationMs > 0 && durationMs <= 24 * 60 * 60 * 1000) {
+      return { found: true, duration: durationMs, type: 'until', span: spanOf(untilMatch) };
+    }
+  }
+
+  // 2. "for X hours/minutes" pattern
+  const forDurationMatch = lowerText.match(
+    /\bfor\s+(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\b/
+  );
+  if (forDurationMatch) {
+    const value = parseFloat(forDurationMatch[1]);
+    const unit = forDurationMatch[2];
+
+    if (/^(hours?|hrs?|h)$/i.test(unit)) {
+      return { found: true, duration: value * 60 * 60 * 1000, type: 'for-hours', span: spanOf(forDurationMatch) };
+    } else {
+      return { found: true, duration: value * 60 * 1000, type: 'for-minutes', span: spanOf(forDurationMatch) };
+    }
+  }
+
+  // 3. "for an hour" / "for a half hour"
+  const forAnHourMatch = lowerText.match(/\bfor\s+an?\s+hour\b/);
+  if (forAnHourMatch) {
+    return { found: true, duration: 60 * 60 * 1000, type: 'for-an-hour', span: spanOf(forAnHourMatch) };
+  }
+
+  const forHalfHourMatch = lowerText.match(/\bfor\s+(a\s+)?half\s+(an?\s+)?hour\b/);
+  if (forHalfHourMatch) {
+    return { found: true, duration: 30 * 60 * 1000, type: 'for-half-hour', span: spanOf(forHalfHourMatch) };
+  }
+
+  // 4. "X hour/minute [meeting/call/etc]" pattern (e.g., "2 hour meeting")
+  const durationNounMatch = lowerText.match(
+    /\b(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\s+(?:meeting|call|session|appointment|event|class|lecture|workshop)/
+  );
+  if (durationNounMatch) {
+    const value = parseFloat(durationNounMatch[1]);
+    const unit = durationNounMatch[2];
+
+    if (/^(hours?|hrs?|h)$/i.test(unit)) {
+      return { found: true, duration: value * 60 * 60 * 1000, type: 'noun-hours', span: spanOf(durationNounMatch) };
+    } else {
+      return { found: true, duration: value * 60 * 1000, type: 'noun-minutes', span: spanOf(durationNounMatch) };
+    }
+  }
+
+  // 5. General "X hours/minutes" without context (lower priority)
+  const generalDurationMatch = lowerText.match(
+    /\b(\d+(?:\.\d+)?)\s*(hours?|hrs?|minutes?|mins?)\b/
+  );
+  if (generalDurationMatch) {
+    const value = parseFloat(generalDurationMatch[1]);
+    const unit = generalDurationMatch[2];
+
+    // Avoid matching things like "at 2 hours"
+    const beforeMatch = lowerText.substring(0, lowerText.indexOf(generalDurationMatch[0]));
+    if (!/\bat\s*$/.test(beforeMatch)) {
+      if (/^(hours?|hrs?)$/i.test(unit)) {
+        return { found: true, duration: value * 60 * 60 * 1000, type: 'general-hours', span: spanOf(generalDurationMatch) };
+      } else {
+        return { found: true, duration: value * 60 * 1000, type: 'general-minutes', span: spanOf(generalDurationMatch) };
+      }
+    }
+  }
+
+  // 6. "half hour" or "half an hour" without "for"
+  const halfHourMatch = lowerText.match(/\bhalf\s+(an?\s+)?hour\b/);
+  if (halfHourMatch) {
+    return { found: true, duration: 30 * 60 * 1000, type: 'half-hour', span: spanOf(halfHourMatch) };
+  }
+
+  // Default: 1 hour (or the configured duration)
+  return { found: false, duration: options.defaultDurationMs, type: 'default', span: null };
+}
+
+// =============================================================================
+// REMINDER EXTRACTION
+// =============================================================================
+
+/**
+ * Extract a reminder: "remind me 30 minutes before", "reminder 1 hour before", "alert me a day before",
+ * "with a 15 minute reminder"
+ * @param {string} text - The text to parse
+ * @returns {Object} - { found, minutes: number|null, match: string|null, type, span }
+ */
+function extractReminder(text) {
+  const count = `\\d+|an?|${Object.keys(NUMBER_WORDS).join('|')}`;
+  const unit = 'minutes?|mins?|hours?|hrs?|days?|weeks?';
+  const unitMinutes = { mi: 1, h: 60, d: 1440, w: 10080 };
+  const readMinutes = (amount, unitWord) => {
+    const lower = unitWord.toLowerCase();
+    const perUnit = lower.startsWith('mi') ? unitMinutes.mi : unitMinutes[lower[0]];
+    return (/^an?$/i.test(amount) ? 1 : parseCount(amount)) * perUnit;
+  };
+
+  let match = text.match(new RegExp(
+    `\\b(?:remind(?:\\s+me)?|reminder|alert(?:\\s+me)?|notify(?:\\s+me)?)\\s+(?:(half\\s+an\\s+hour)|(${count})\\s*(${unit}))\\s+(?:before|beforehand|ahead|early|prior)\\b`,
+    'i'
+  ));
+  if (match) {
+    return {
+      found: true,
+      minutes: match[1] ? 30 : readMinutes(match[2], match[3]),
+      match: match[0],
+      type: 'remind-before',
+      span: spanOf(match)
+    };
+  }
+
+  // "with a 15 minute reminder", "(1 day reminder)"
+  match = text.match(new RegExp(`\\b(?:with\\s+an?\\s+)?(${count})[\\s-]*(${unit})\\s+(?:reminder|alert)\\b`, 'i'));
+  if (match) {
+    return { found: true, minutes: readMinutes(match[1], match[2]), match: match[0], type: 'reminder-noun', span: spanOf(match) };
+  }
+
+  return { found: false, minutes: null, match: null, type: 'none', span: null };
+}
+
+// =============================================================================
+// RECURRING EVENT PARSING
+// =============================================================================
+
+/**
+ * Parse compact weekday codes from text (e.g., MWF, TTh, MTWThF)
+ * @param {string} text - The text to parse
+ * @returns {Object} - { found: boolean, days: ['MO', 'WE', 'FR'], original: 'MWF', span: { start, end } }
+ */
+function parseWeekdays(text) {
+  // Map of day codes to Google Calendar format
+  const dayMap = {
+    'SU': 'SU', 'U': 'SU',           // Sunday
+    'MO': 'MO', 'M': 'MO',           // Monday
+    'TU': 'TU', 'T': 'TU',           // Tuesday
+    'WE': 'WE', 'W': 'WE',           // Wednesday
+    'TH': 'TH', 'R': 'TH',           // Thursday (R is common academic notation)
+    'FR': 'FR', 'F': 'FR',           // Friday
+    'SA': 'SA', 'S': 'SA'            // Saturday
+  };
+
+  // Day order for sorting
+  const dayOrder = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+  // Try to find compact weekday codes like MWF, TTh, MTWThF
+  // This regex looks for standalone sequences of day letters
+  // Must have at least 2 characters and be word-bounded
+  const compactPattern = /\b([MTWRFSU][MTWRFSUhau]{1,})\b/g;
+
+  let match;
+  while ((match = compactPattern.exec(text)) !== null) {
+    const code = match[1];
+    // "Thu" is a day name, not Th + U
+    if (new RegExp(`^${DAY_WORD_PATTERN}$`, 'i').test(code)) {
+      continue;
+    }
+    const days = [];
+    let i = 0;
+
+    while (i < code.length) {
+      const remaining = code.substring(i).toUpperCase();
+
+      // Check for two-letter codes first (Th, Sa, Su)
+      if (remaining.length >= 2) {
+        const twoChar = remaining.substring(0, 2);
+        if (twoChar === 'TH' || twoChar === 'SA' || twoChar === 'SU') {
+          days.push(dayMap[twoChar]);
+          i += 2;
+          continue;
+        }
+      }
+
+      // Single letter codes
+      const oneChar = remaining[0];
+      if (dayMap[oneChar]) {
+        days.push(dayMap[oneChar]);
+        i += 1;
+      } else {
+        // Unknown character, skip it
+        i += 1;
+      }
+    }
+
+    // Only return if we found multiple unique days (recurring pattern)
+    const uniqueDays = [...new Set(days)];
+    if (uniqueDays.length >= 2) {
+      // Sort by day order
+      uniqueDays.sort((a, b) => dayOrder.indexOf(a) - dayOrder.indexOf(b));
+      return { found: true, days: uniqueDays, original: match[1], span: spanOf(match) };
+    }
+  }
+
+  // Try spaced/comma/slash formats: "M, W, F" or "Mon Wed Fri" or "Tue/Thu"
+  const spacedPattern = /\b((?:mon|tue|wed|thu|fri|sat|sun|monday|tuesday|wednesday|thursday|friday|saturday|sunday)(?:\s*[,\/\s]\s*(?:mon|tue|wed|thu|fri|sat|sun|monday|tuesday|wednesday|thursday|friday|saturday|sunday))+)\b/gi;
+
+  const spacedMatch = spacedPattern.exec(text);
+  if (spacedMatch) {
+    const dayWords = spacedMatch[0].toLowerCase().split(/[\s,\/]+/);
+    const days = [];
+
+    const wordMap = {
+      'mon': 'MO', 'monday': 'MO',
+      'tue': 'TU', 'tuesday': 'TU',
+      'wed': 'WE', 'wednesday': 'WE',
+      'thu': 'TH', 'thursday': 'TH',
+      'fri': 'FR', 'friday': 'FR',
+      'sat': 'SA', 'saturday': 'SA',
+      'sun': 'SU', 'sunday': 'SU'
+    };
+
+    for (const word of dayWords) {
+      if (wordMap[word]) {
+        days.push(wordMap[word]);
+      }
+    }
+
+    const uniqueDays = [...new Set(days)];
+    if (uniqueDays.length >= 2) {
+      uniqueDays.sort((a, b) => dayOrder.indexOf(a) - dayOrder.indexOf(b));
+      return { found: true, days: uniqueDays, original: spacedMatch[0], span: spanOf(spacedMatch) };
+    }
+  }
+
+  return { found: false, days: [], original: null, span: null };
+}
+
+/**
+ * Get the next occurrence of a specific weekday
+ * @param {Date} fromDate - Starting date
+ * @param {string} dayCode - Day code like 'MO', 'TU', etc.
+ * @returns {Date} - The next occurrence of that day
+ */
+function getNextWeekday(fromDate, dayCode) {
+  const dayMap = { 'SU': 0, 'MO': 1, 'TU': 2, 'WE': 3, 'TH': 4, 'FR': 5, 'SA': 6 };
+  const targetDay = dayMap[dayCode];
+  const currentDay = fromDate.getDay();
+
+  let daysToAdd = targetDay - currentDay;
+  if (daysToAdd < 0) {
+    daysToAdd += 7;
+  }
+  // If it's the same day, use today (daysToAdd = 0)
+
+  const result = new Date(fromDate);
+  result.setDate(result.getDate() + daysToAdd);
+  return result;
+}
+
+// Weekday codes in Date.getDay() order
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Small counts written as words ("every two weeks", "for three months")
+const NUMBER_WORDS = {
+  'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6,
+  'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'eleven': 11, 'twelve': 12
+};
+
+// Week of the month for monthly rules ("every first Tuesday" → BYDAY=1TU)
+const WEEK_POSITIONS = {
+  'first': 1, '1st': 1,
+  'second': 2, '2nd': 2,
+  'third': 3, '3rd': 3,
+  'fourth': 4, '4th': 4,
+  'fifth': 5, '5th': 5,
+  'last': -1
+};
+
+// Repeat units and their RRULE frequencies
+const RECURRENCE_UNITS = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' };
+
+// One-word frequencies ("biweekly" → every 2 weeks)
+const RECURRENCE_ADVERBS = {
+  'daily': { frequency: 'DAILY', interval: 1 },
+  'nightly': { frequency: 'DAILY', interval: 1 },
+  'weekly': { frequency: 'WEEKLY', interval: 1 },
+  'biweekly': { frequency: 'WEEKLY', interval: 2 },
+  'bi-weekly': { frequency: 'WEEKLY', interval: 2 },
+  'fortnightly': { frequency: 'WEEKLY', interval: 2 },
+  'monthly': { frequency: 'MONTHLY', interval: 1 },
+  'bimonthly': { frequency: 'MONTHLY', interval: 2 },
+  'bi-monthly': { frequency: 'MONTHLY', interval: 2 },
+  'quarterly': { frequency: 'MONTHLY', interval: 3 },
+  'yearly': { frequency: 'YEARLY', interval: 1 },
+  'annually': { frequency: 'YEARLY', interval: 1 }
+};
+
+/**
+ * Read a count written as digits or a word ("3", "three")
+ * @returns {number|null}
+ */
+function parseCount(value) {
+  const lower = value.toLowerCase();
+  if (NUMBER_WORDS[lower]) {
+    return NUMBER_WORDS[lower];
+  }
+  const count = parseInt(lower, 10);
+  return isNaN(count) ? null : count;
+}
+
+/**
+ * Get the weekday code for a day name or abbreviation ("Tues", "thursdays" → 'TU', 'TH')
+ */
+function getWeekdayCode(word) {
+  const prefix = word.toLowerCase().substring(0, 3);
+  const index = DAYS.findIndex(day => day.startsWith(prefix));
+  return index === -1 ? null : WEEKDAY_CODES[index];
+}
+
+/**
+ * Get the nth weekday of a month ("first Tuesday" = position 1, "last Friday" = position -1)
+ * With several days it counts any of them: the last of MO-FR is the last weekday of the month.
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11; later months roll into the next year)
+ * @param {string[]} dayCodes - Day codes like ['TU']
+ * @param {number} position - 1-5, or -1 for the last one
+ * @returns {Date|null} - null if the month doesn't have that many (e.g. a fifth Monday)
+ */
+function getNthWeekdayOfMonth(year, month, dayCodes, position) {
+  const matching = [];
+  const date = new Date(year, month, 1);
+  const targetMonth = date.getMonth();
+  while (date.getMonth() === targetMonth) {
+    if (dayCodes.includes(WEEKDAY_CODES[date.getDay()])) {
+      matching.push(new Date(date));
+    }
+    date.setDate(date.getDate() + 1);
+  }
+
+  return (position === -1 ? matching[matching.length - 1] : matching[position - 1]) || null;
+}
+
+/**
+ * Find the first nth weekday of a month on or after a date
+ * @param {Date} fromDate - Starting date
+ * @param {string[]} dayCodes - Day codes like ['TU']
+ * @param {number} position - 1-5, or -1 for the last one
+ * @returns {Date}
+ */
+function getNextNthWeekday(fromDate, dayCodes, position) {
+  const from = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+
+  // A fifth weekday can be a few months away
+  for (let offset = 0; offset < 12; offset++) {
+    const date = getNthWeekdayOfMonth(from.getFullYear(), from.getMonth() + offset, dayCodes, position);
+    if (date && date >= from) {
+      return date;
+    }
+  }
+  return from;
+}
+
+/**
+ * Parse a natural-language repeat rule ("every other Monday", "daily for 10 days",
+ * "every first Tuesday until Dec 15", "biweekly 6 times")
+ * Compact weekday codes (MWF) are handled by parseWeekdays; their days are merged in here.
+ * @param {string} text - The text to parse
+ * @param {Date} now - Reference date for "until" dates
+ * @param {string} dateOrder - 'MDY', 'DMY', or 'YMD' for numeric "until" dates
+ * @returns {Object} - { found, frequency, interval, days, position, count, until: Date|null,
+ *   period: { amount, unit }|null, matches: [matched phrases], limitMatches: [count/until phrases],
+ *   type: the rule that set the frequency, limitType: 'count', 'period', 'until' or null, spans: [{ start, end }] }
+ */
+function parseRecurrence(text, now, dateOrder = 'MDY') {
+  const result = {
+    found: false,
+    frequency: null,
+    interval: 1,
+    days: [],
+    position: null,
+    count: null,
+    until: null,
+    period: null,
+    matches: [],
+    limitMatches: [],
+    type: 'none',
+    limitType: null,
+    spans: []
+  };
+
+  const dayWord = DAY_WORD_PATTERN;
+  const dayList = `${dayWord}s?(?:\\s*(?:,|\\/|&|\\band\\b|\\bor\\b)\\s*${dayWord}s?)*`;
+  const position = Object.keys(WEEK_POSITIONS).join('|');
+  const count = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+  const readDays = (list) => {
+    const days = list.split(/\s*(?:,|\/|&|\band\b|\bor\b)\s*/i).map(getWeekdayCode).filter(Boolean);
+    return [...new Set(days)].sort((a, b) => WEEKDAY_CODES.indexOf(a) - WEEKDAY_CODES.indexOf(b));
+  };
+
+  let match;
+
+  // Monthly by weekday: "every first Tuesday", "the last Friday of every month", "the last weekday of each month"
+  if ((match = text.match(new RegExp(`\\b(?:every|each)\\s+(${position})\\s+(${dayWord}|weekday|day)\\b(?:\\s+of\\s+(?:the|each|every)\\s+month\\b)?`, 'i'))) ||
+      (match = text.match(new RegExp(`\\b(?:on\\s+)?(?:the\\s+)?(${position})\\s+(${dayWord}|weekday|day)\\s+of\\s+(?:each|every)\\s+month\\b`, 'i')))) {
+    const word = match[2].toLowerCase();
+    result.type = 'monthly-position';
+    result.frequency = 'MONTHLY';
+    result.position = WEEK_POSITIONS[match[1].toLowerCase()];
+    // Several days become BYSETPOS: the last of MO-FR is the last weekday of the month
+    result.days = word === 'weekday' ? ['MO', 'TU', 'WE', 'TH', 'FR'] :
+      word === 'day' ? [...WEEKDAY_CODES] : [getWeekdayCode(word)];
+  } else if ((match = text.match(/\b(?:at\s+)?(?:the\s+)?end\s+of\s+(?:each|every)\s+month\b|\b(?:every|each)\s+month[\s-]end\b/i))) {
+    // "end of every month" - the last day, whatever its length
+    result.type = 'month-end';
+    result.frequency = 'MONTHLY';
+    result.position = -1;
+    result.days = [...WEEKDAY_CODES];
+  } else if ((match = text.match(/\b(?:every|each)\s+\d{1,2}(?:st|nd|rd|th)\b(?:\s+of\s+(?:the|each|every)\s+month\b)?|\b(?:on\s+)?the\s+\d{1,2}(?:st|nd|rd|th)\s+of\s+(?:each|every)\s+month\b/i))) {
+    // "every 15th", "on the 1st of every month" - extractDate finds the day, which sets the start
+    result.type = 'monthly-day';
+    result.frequency = 'MONTHLY';
+  } else if ((match = text.match(/\b(?:every|each)\s+(weekday|weekend)\b|\b(?:on\s+)?(weekdays|weekends)\b/i))) {
+    // "every weekday", "weekends"
+    result.type = 'weekdays-weekends';
+    result.frequency = 'WEEKLY';
+    result.days = /^weekday/i.test(match[1] || match[2]) ? ['MO', 'TU', 'WE', 'TH', 'FR'] : ['SU', 'SA'];
+  } else if ((match = text.match(new RegExp(`\\b(?:every|each)\\s+(?:(other|${count})\\s+)?(${dayList})\\b`, 'i')))) {
+    // "every Monday and Wednesday", "every other Friday"
+    result.type = 'every-day-name';
+    result.frequency = 'WEEKLY';
+    result.interval = match[1] ? (match[1].toLowerCase() === 'other' ? 2 : parseCount(match[1])) : 1;
+    result.days = readDays(match[2]);
+  } else if ((match = text.match(new RegExp(`\\b(?:every|each)\\s+(?:(other|${count})\\s+)?(day|week|month|year|morning|afternoon|evening|night)s?\\b`, 'i')))) {
+    // "every day", "every 2 weeks", "every other month", "every morning"
+    const unit = match[2].toLowerCase();
+    result.type = 'every-unit';
+    result.frequency = RECURRENCE_UNITS[unit] || 'DAILY';
+    result.interval = match[1] ? (match[1].toLowerCase() === 'other' ? 2 : parseCount(match[1])) : 1;
+  } else if ((match = text.match(new RegExp(`\\b(${Object.keys(RECURRENCE_ADVERBS).join('|')})\\b`, 'i')))) {
+    // "daily", "biweekly", "annually"
+    result.type = 'adverb';
+    Object.assign(result, RECURRENCE_ADVERBS[match[1].toLowerCase()]);
+  } else if ((match = text.match(new RegExp(`\\b(?:on\\s+)?((?:${DAYS.join('|')})s(?:\\s*(?:,|\\/|&|\\band\\b)\\s*(?:${DAYS.join('|')})s)*)\\b`, 'i')))) {
+    // Plural day names: "Mondays", "on Tuesdays and Thursdays"
+    result.type = 'plural-day-names';
+    result.frequency = 'WEEKLY';
+    result.days = readDays(match[1]);
+  }
+
+  if (match) {
+    result.matches.push(match[0]);
+    result.spans.push(spanOf(match));
+  }
+
+  // A weekly rule without days takes them from day names elsewhere: "biweekly sync Tue", "every 2 weeks on Tue, Thu"
+  // The whole list is matched, "on" and separators included, so none of it is left in the title
+  if (result.frequency === 'WEEKLY' && result.days.length === 0 &&
+      (match = text.match(new RegExp(`\\b(?:on\\s+)?(${dayList})\\b`, 'i')))) {
+    result.days = readDays(match[1]);
+    result.matches.push(match[0]);
+    result.spans.push(spanOf(match));
+  }
+
+  // Compact codes add days to a weekly rule ("biweekly MW"), or make one on their own ("MWF")
+  const weekdayResult = parseWeekdays(text);
+  if (weekdayResult.found && (!result.frequency || (result.frequency === 'WEEKLY' && result.days.length === 0))) {
+    if (!result.frequency) {
+      result.type = 'day-codes';
+    }
+    result.frequency = 'WEEKLY';
+    result.days = weekdayResult.days;
+    result.spans.push(weekdayResult.span);
+  }
+
+  if (!result.frequency || !result.interval) {
+    return { ...result, found: false, frequency: null, interval: 1, days: [], matches: [], type: 'none', spans: [] };
+  }
+  result.found = true;
+
+  // "10 times", "6 sessions"
+  if ((match = text.match(new RegExp(`\\b(?:for\\s+)?(${count})\\s+(?:times|occurrences|sessions|classes|meetings|weeks?\\s+in\\s+a\\s+row)\\b`, 'i')))) {
+    result.count = parseCount(match[1]);
+    result.limitType = 'count';
+    result.limitMatches.push(match[0]);
+    result.spans.push(spanOf(match));
+  } else if ((match = text.match(new RegExp(`\\bfor\\s+(?:the\\s+next\\s+)?(?:a\\s+|(${count})\\s+)(day|week|month|year)s?\\b`, 'i')))) {
+    // "for 6 weeks", "for a year"
+    const amount = match[1] ? parseCount(match[1]) : 1;
+    const unit = match[2].toLowerCase();
+
+    // One event per unit is a count; anything else ends on a date, worked out from the start date
+    if (RECURRENCE_UNITS[unit] === result.frequency && result.days.length <= 1) {
+      result.count = Math.max(1, Math.ceil(amount / result.interval));
+      result.limitType = 'count';
+    } else {
+      result.period = { amount, unit };
+      result.limitType = 'period';
+    }
+    result.limitMatches.push(match[0]);
+    result.spans.push(spanOf(match));
+  }
+
+  // "until Dec 15", "through 5/1", "ending March 3, 2026" - only dates, "until 5pm" is an end time
+  const untilDate = `(?:${MONTH_PATTERN})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|` +
+    `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTH_PATTERN})(?:\\s+\\d{4})?|` +
+    '\\d{4}-\\d{2}-\\d{2}|\\d{4}[\\/.]\\d{1,2}[\\/.]\\d{1,2}|\\d{1,2}[\\/.]\\d{1,2}(?:[\\/.]\\d{2,4})?';
+  if (!result.count && !result.period &&
+      (match = text.match(new RegExp(`\\b(?:until|till|til|through|thru|ending(?:\\s+on)?|ends?(?:\\s+on)?)\\s+(${untilDate})\\b`, 'i')))) {
+    const dateResult = extractDate(match[1], now, dateOrder);
+    if (dateResult.date) {
+      result.until = dateResult.date;
+      result.limitType = 'until';
+      result.limitMatches.push(match[0]);
+      result.spans.push(spanOf(match));
+    }
+  }
+
+  result.matches.push(...result.limitMatches);
+  return result;
+}
+
+/**
+ * Work out the last day of a rule limited to a period ("for 6 weeks") from its start date
+ * @param {Date} startDate - First occurrence
+ * @param {Object} period - { amount, unit }
+ * @returns {Date}
+ */
+function getRecurrencePeriodEnd(startDate, period) {
+  const end = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  if (period.unit === 'day') {
+    end.setDate(end.getDate() + period.amount);
+  } else if (period.unit === 'week') {
+    end.setDate(end.getDate() + period.amount * 7);
+  } else if (period.unit === 'month') {
+    end.setMonth(end.getMonth() + period.amount);
+  } else {
+    end.setFullYear(end.getFullYear() + period.amount);
+  }
+  end.setDate(end.getDate() - 1);
+  return end;
+}
+
+/**
+ * Format a date as YYYY-MM-DD (local time), for recurrence end dates
+ */
+function formatDateOnly(date) {
+  const pad = (n) => n.toString().padStart(2, '0');
+
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// =============================================================================
+// MULTI-EVENT PARSING (syllabus / schedule mode)
+// =============================================================================
+
+// Words that can sit between two dates of the same event ("Jan 5 - Jan 7", "Monday, January 5")
+const DATE_CONNECTOR_PATTERN = /^[\s,\-–—]*(?:(?:to|through|thru|until|and|&)[\s,\-–—]*)*$/i;
+
+/**
+ * Build a global regex matching the start of any explicit date
+ * Used to anchor event boundaries inside a single line
+ */
+function getDateAnchorRegex() {
+  return new RegExp(
+    '(?<![:\\d])\\b(?:' + [
+      '\\d{4}-\\d{2}-\\d{2}',
+      '\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?',
+      '\\d{1,2}-\\d{1,2}-\\d{4}',
+      '\\d{1,2}\\.\\d{1,2}\\.\\d{4}',
+      '\\d{4}[\\/.]\\d{1,2}[\\/.]\\d{1,2}',
+      `(?:${MONTH_PATTERN})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?`,
+      `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTH_PATTERN})`,
+      `(?:${DAYS.join('|')})`,
+      'today|tomorrow'
+    ].join('|') + ')\\b',
+    'gi'
+  );
+}
+
+/**
+ * Split one line into segments at each new date anchor
+ * "Quiz 1 Jan 5, Quiz 2 Jan 12" → ["Quiz 1 Jan 5", "Quiz 2 Jan 12"]
+ */
+function splitLineAtDateAnchors(line) {
+  const anchors = [...line.matchAll(getDateAnchorRegex())];
+  if (anchors.length < 2) {
+    return [line];
+  }
+
+  const segments = [];
+  let segmentStart = 0;
+
+  for (let i = 1; i < anchors.length; i++) {
+    const previousEnd = anchors[i - 1].index + anchors[i - 1][0].length;
+    const between = line.substring(previousEnd, anchors[i].index);
+
+    // Same event: nothing but a range connector or punctuation between the dates
+    if (DATE_CONNECTOR_PATTERN.test(between)) {
+      continue;
+    }
+
+    // Prefer splitting at a separator; otherwise split right before the date
+    const separatorIndex = between.search(/[,;|]/);
+    const splitAt = separatorIndex >= 0 ? previousEnd + separatorIndex + 1 : anchors[i].index;
+
+    segments.push(line.substring(segmentStart, splitAt));
+    segmentStart = splitAt;
+  }
+  segments.push(line.substring(segmentStart));
+
+  return segments
+    .map(segment => segment.replace(/^[\s,;|]+|[\s,;|]+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Split a selection into candidate event segments
+ * Splits by line and bullet, then by date anchor within a line.
+ * Lines without a date are treated as continuations of the previous event.
+ * @param {string} text - The selected text
+ * @param {string} language - Language code, used to find localized dates
+ * @returns {Array<Object>} - [{ head, text }] where head is the dated line and text includes continuations
+ */
+function splitIntoEventSegments(text, language = 'en') {
+  const lines = text
+    .split(/\r?\n|[•▪●◦]|;/)
+    .map(line => line.replace(/^\s*(?:[-*–—]|\d{1,2}[.)])\s+/, '').trim())
+    .filter(Boolean);
+
+  const segments = [];
+  const anchorRegex = getDateAnchorRegex();
+
+  for (const line of lines) {
+    anchorRegex.lastIndex = 0;
+    if (!anchorRegex.test(translateText(line, language))) {
+      // Continuation line ("Room 204", "Bring a calculator") - attach to the previous event
+      if (segments.length > 0) {
+        segments[segments.length - 1].text += `\n${line}`;
+      }
+      continue;
+    }
+    // Anchors only match English dates, so other languages get one event per line
+    for (const part of language === 'en' ? splitLineAtDateAnchors(line) : [line]) {
+      segments.push({ head: part, text: part });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Parse every dated event in a selection
+ * @param {string} text - The selected text
+ * @param {Object} options - Parser options (see parseEventFromText)
+ * @returns {Array<Object>} - [{ segment, event }] where event is parseEventFromText output
+ */
+function parseMultipleEvents(text, options = {}) {
+  const now = options.now ? new Date(options.now) : new Date();
+  // Detect the language once, so every line of a schedule is read the same way
+  const language = detectLanguage(text, options.language);
+  const dateOrder = resolveDateOrder(
+    DATE_ORDERS.includes(options.dateOrder) ? options.dateOrder : LANGUAGE_PACKS[language].dateOrder
+  );
+  return splitIntoEventSegments(text, language)
+    .filter(segment => extractDate(translateText(segment.head, language), now, dateOrder).date !== null)
+    .map(segment => {
+      const event = parseEventFromText(segment.text, { ...options, language });
+      // Continuation lines are details, not part of the title
+      const translation = translateWithOrigins(segment.head, language);
+      const head = translation.text;
+      const timeRange = extractTimeRange(head);
+      const time = timeRange.found ? timeRange : extractTime(head);
+      const extracted = {
+        location: extractLocation(head).match,
+        attendees: extractAttendees(head, options.contacts || []).matches,
+        timeZone: time.timeZoneMatch
+      };
+      event.title = language === 'en' ?
+        extractTitle(head, extracted) :
+        extractLocalizedTitle(segment.head, translation, [extractDate(head, now, dateOrder).span, time.span], extracted);
+      return { segment: segment.text, event };
+    });
+}
+
+// =============================================================================
+// COURSE SCHEDULE PARSING (university registration pages)
+// =============================================================================
+
+// Meeting types on registration pages, as they appear in event titles
+const COURSE_COMPONENTS = {
+  'LEC': 'Lecture', 'LECTURE': 'Lecture',
+  'LAB': 'Lab', 'LABORATORY': 'Lab',
+  'DIS': 'Discussion', 'DISCUSSION': 'Discussion',
+  'SEM': 'Seminar', 'SEMINAR': 'Seminar'
+};
+
+// Rooms that aren't places
+const COURSE_NO_ROOM_PATTERN = /^(?:TBA|TBD|ARR|ARRANGED|ONLINE|REMOTE|ASYNC\w*)\b/i;
+
+/**
+ * Read a course code at the start of a line: "CS 101", "MATH221", "PSYC-1001H"
+ * @returns {string|null} - e.g. "CS 101"
+ */
+function readCourseCode(line) {
+  const match = line.match(/^\s*([A-Z]{2,5}(?:\s?&\s?[A-Z]{1,3})?)\s*-?\s*(\d{2,4}[A-Z]{0,2})\b(?!:)/);
+  if (!match || COURSE_COMPONENTS[match[1]] || parseWeekdays(match[1]).found) {
+    return null;
+  }
+  return `${match[1].replace(/\s/g, '')} ${match[2]}`;
+}
+
+/**
+ * Find a class time range: "9:00A-9:50A", "1:20PM - 2:10PM", "11:00-12:15"
+ * Times without AM/PM are read as class hours (8:00-12:59 AM, 1:00 onwards PM).
+ * @param {string} line - One line of the schedule
+ * @param {number} assumePmUntil - Bare hours from 1 up to this are PM
+ * @returns {Object|null} - { startHours, startMinutes, endHours, endMinutes, index, match }
+ */
+function readCourseTimeRange(line, assumePmUntil = PARSER_DEFAULTS.assumePmUntil) {
+  const regex = /(?<![\d:])(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?(?:m\.?)?\s*[-–—]\s*(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?(?:m\.?)?(?![\w:])/gi;
+
+  for (const match of line.matchAll(regex)) {
+    // Needs minutes or AM/PM, so "101-102" isn't a time
+    if (!match[2] && !match[5] && !match[3] && !match[6]) {
+      continue;
+    }
+
+    let startHours = parseInt(match[1], 10);
+    let endHours = parseInt(match[4], 10);
+    if (startHours > 23 || endHours > 23) {
+      continue;
+    }
+    const toPm = (hours, meridiem) => {
+      if (meridiem) {
+        return meridiem.toLowerCase() === 'p' ? (hours % 12) + 12 : hours % 12;
+      }
+      return hours >= 1 && hours <= assumePmUntil ? hours + 12 : hours;
+    };
+
+    // "11:00-12:15PM": the start shares the end's AM/PM unless that would put it after the end
+    const startMeridiem = match[3] || (match[6] && (startHours % 12) <= (endHours % 12) ? match[6] : null);
+    startHours = toPm(startHours, startMeridiem);
+    endHours = toPm(endHours, match[6]);
+    if (endHours < startHours && !match[6]) {
+      endHours += 12;
+    }
+
+    return {
+      startHours,
+      startMinutes: parseInt(match[2] || '0', 10),
+      endHours,
+      endMinutes: parseInt(match[5] || '0', 10),
+      index: match.index,
+      match: match[0]
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Read the meeting days written before a class time: "MWF", "TTh", "F", "Tue/Thu"
+ * @returns {Array<string>} - Day codes like ['MO', 'WE', 'FR']
+ */
+function readCourseDays(text) {
+  const weekdayResult = parseWeekdays(text);
+  if (weekdayResult.found) {
+    return weekdayResult.days;
+  }
+
+  // A single day right before the time
+  const lastWord = (text.trim().split(/\s+/).pop() || '').replace(/[,.]$/, '');
+  const singleCodes = { M: 'MO', T: 'TU', TU: 'TU', W: 'WE', R: 'TH', TH: 'TH', F: 'FR', S: 'SA', SA: 'SA', U: 'SU', SU: 'SU' };
+  if (singleCodes[lastWord.toUpperCase()] && /^[A-Z][a-z]?$/.test(lastWord)) {
+    return [singleCodes[lastWord.toUpperCase()]];
+  }
+  if (new RegExp(`^${DAY_WORD_PATTERN}$`, 'i').test(lastWord)) {
+    return [getWeekdayCode(lastWord)];
+  }
+  return [];
+}
+
+/**
+ * Parse a course schedule into one weekly recurring event per meeting line
+ * "CS 101 LEC MWF 9:00A-9:50A Room 120" → "CS 101 Lecture", Mon/Wed/Fri 9:00-9:50, Room 120.
+ * Lines without a course code (e.g. "LAB TTh 2:00P-3:50P") belong to the course above them.
+ * @param {string} text - The selected text
+ * @param {Object} options - Parser options (see parseEventFromText), plus:
+ * @param {Date|null} options.termStart - First day of classes (defaults to today)
+ * @param {Date|null} options.termEnd - Last day of classes, used as the UNTIL date
+ * @returns {Array<Object>} - [{ segment, event }], the same shape as parseMultipleEvents
+ */
+function parseCourseSchedule(text, options = {}) {
+  const defaults = { ...PARSER_DEFAULTS, ...options };
+  const today = options.now ? new Date(options.now) : new Date();
+  today.setHours(0, 0, 0, 0);
+  const firstDay = options.termStart || today;
+
+  const results = [];
+  let course = null;
+
+  for (const line of text.split(/\r?\n/).map(part => part.trim()).filter(Boolean)) {
+    course = readCourseCode(line) || course;
+
+    const time = readCourseTimeRange(line, defaults.assumePmUntil);
+    const days = time ? readCourseDays(line.substring(0, time.index)) : [];
+    if (!course || !time || days.length === 0) {
+      // Course headings, instructors, "TBA" meetings
+      continue;
+    }
+
+    const componentMatch = line.match(/\b(LEC|LAB|DIS|SEM|LECTURE|DISCUSSION|SEMINAR|LABORATORY)\b/i);
+    const title = componentMatch ? `${course} ${COURSE_COMPONENTS[componentMatch[1].toUpperCase()]}` : course;
+
+    // The room usually comes last: "Room 120", "Van Vleck B115", "SCI 120"
+    const tail = line.substring(time.index + time.match.length).replace(/^[\s,;|-]+/, '').trim();
+    let location = extractLocation(line).location;
+    if (!location && tail && tail.length <= 40 && !COURSE_NO_ROOM_PATTERN.test(tail)) {
+      location = tail;
+    }
+
+    // The first meeting on or after the first day of term
+    const startDate = days
+      .map(day => getNextWeekday(firstDay, day))
+      .reduce((earliest, date) => (date < earliest ? date : earliest));
+    startDate.setHours(time.startHours, time.startMinutes, 0, 0);
+    const endDate = new Date(startDate);
+    endDate.setHours(time.endHours, time.endMinutes, 0, 0);
+
+    const event = {
+      title,
+      startDate,
+      endDate,
+      allDay: false,
+      description: line,
+      location,
+      attendees: [],
+      timeZone: null,
+      language: 'en',
+      confidence: calculateConfidence({ date: !!options.termStart, time: true, duration: true }, line),
+      ambiguousDate: false,
+      recurrence: {
+        isRecurring: true,
+        frequency: 'WEEKLY',
+        interval: 1,
+        days,
+        position: null,
+        count: null,
+        until: options.termEnd ? formatDateOnly(options.termEnd) : null
+      }
+    };
+    log('Parsed course meeting:', title, days.join(','), event.recurrence.until || '(no term end)');
+    results.push({ segment: line, event });
+  }
+
+  return results;
+}
+
+export {
+  PARSER_DEFAULTS,
+  WEEKDAY_CODES,
+  parseEventFromText,
+  parseMultipleEvents,
+  parseCourseSchedule,
+  extractTitle,
+  listLanguagePacks,
+  isValidDate,
+  setParserLogger
+};
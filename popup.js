@@ -1,5 +1,7 @@
 // Popup script for Text to Calendar extension
 
+import { getConfidenceLevel, formatConfidenceSymbol, formatRecurrence, formatReminderLead, formatSourceZoneTime } from './format.js';
+
 document.addEventListener('DOMContentLoaded', () => {
   const eventsList = document.getElementById('events-list');
   const emptyState = document.getElementById('empty-state');
@@ -7,10 +9,83 @@ document.addEventListener('DOMContentLoaded', () => {
   const confirmModal = document.getElementById('confirm-modal');
   const confirmCancel = document.getElementById('confirm-cancel');
   const confirmClear = document.getElementById('confirm-clear');
-
-  // Load and render recent events
+  const providerSelect = document.getElementById('provider-select');
+  const previewToggle = document.getElementById('preview-toggle');
+  const optionsLink = document.getElementById('options-link');
+  const historyLink = document.getElementById('history-link');
+  const contactsInput = document.getElementById('contacts-input');
+  const contactsSave = document.getElementById('contacts-save');
+  const contactsStatus = document.getElementById('contacts-status');
+  const quickAddInput = document.getElementById('quick-add-input');
+  const quickAddPreview = document.getElementById('quick-add-preview');
+  const quickAddCreate = document.getElementById('quick-add-create');
+  const quickAddDownload = document.getElementById('quick-add-download');
+  const remindersSection = document.getElementById('reminders-section');
+  const remindersList = document.getElementById('reminders-list');
+
+  // Load settings, reminders and recent events
+  loadSettings();
+  loadReminders();
   loadRecentEvents();
 
+  let quickAddTimer = null;
+
+  // Re-parse the quick-add text shortly after typing stops
+  quickAddInput.addEventListener('input', () => {
+    clearTimeout(quickAddTimer);
+    quickAddTimer = setTimeout(runQuickAdd, 200);
+  });
+
+  // Ctrl+Enter (Cmd+Enter on Mac) creates the event
+  quickAddInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      createFromQuickAdd('open');
+    }
+  });
+
+  quickAddCreate.addEventListener('click', () => {
+    createFromQuickAdd('open');
+  });
+
+  quickAddDownload.addEventListener('click', () => {
+    createFromQuickAdd('download');
+  });
+
+  // Calendar provider picker
+  providerSelect.addEventListener('change', async () => {
+    await saveSettings({ calendarProvider: providerSelect.value });
+  });
+
+  // Parser defaults live on the options page
+  optionsLink.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Search, filter and bulk delete on the history page
+  historyLink.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  });
+
+  // Preview before creating toggle
+  previewToggle.addEventListener('change', async () => {
+    await saveSettings({ previewBeforeCreate: previewToggle.checked });
+  });
+
+  // Save contacts used for @mentions
+  contactsSave.addEventListener('click', async () => {
+    const { contacts, invalid } = parseContacts(contactsInput.value);
+    if (invalid.length > 0) {
+      contactsStatus.textContent = `Can't read: ${invalid[0]}`;
+      contactsStatus.classList.add('error');
+      return;
+    }
+    await saveSettings({ contacts });
+    contactsInput.value = formatContacts(contacts);
+    contactsStatus.classList.remove('error');
+    contactsStatus.textContent = `Saved ${contacts.length} contact${contacts.length === 1 ? '' : 's'}`;
+  });
+
   // Clear history button
   clearBtn.addEventListener('click', () => {
     showModal();
@@ -41,6 +116,79 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  /**
+   * Load settings and the available calendar providers
+   */
+  async function loadSettings() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+
+      if (!response.success) {
+        console.error('Failed to load settings:', response.error);
+        return;
+      }
+
+      providerSelect.innerHTML = '';
+      response.providers.forEach((provider) => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.name;
+        providerSelect.appendChild(option);
+      });
+      providerSelect.value = response.settings.calendarProvider;
+      previewToggle.checked = response.settings.previewBeforeCreate;
+      contactsInput.value = formatContacts(response.settings.contacts || []);
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+  }
+
+  /**
+   * Save one or more settings
+   */
+  async function saveSettings(changes) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'updateSettings',
+        settings: changes
+      });
+
+      if (!response.success) {
+        console.error('Failed to save settings:', response.error);
+      }
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    }
+  }
+
+  /**
+   * Parse the contacts textarea
+   * Accepts "Name <email>", "Name, email", "Name: email", or a bare email per line
+   */
+  function parseContacts(text) {
+    const contacts = [];
+    const invalid = [];
+
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach((line) => {
+      const match = line.match(/^(?:"?([^"<,:]*?)"?\s*[<,:]\s*)?<?([\w.+-]+@[\w-]+(?:\.[\w-]+)+)>?$/);
+      if (match) {
+        const email = match[2];
+        contacts.push({ name: (match[1] || '').trim() || email.split('@')[0], email });
+      } else {
+        invalid.push(line);
+      }
+    });
+
+    return { contacts, invalid };
+  }
+
+  /**
+   * Format contacts for the textarea
+   */
+  function formatContacts(contacts) {
+    return contacts.map(contact => `${contact.name} <${contact.email}>`).join('\n');
+  }
+
   /**
    * Load recent events using message API
    */
@@ -79,6 +227,135 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('=== loadRecentEvents END ===');
   }
 
+  /**
+   * Parse the quick-add text in the background and show the result
+   */
+  async function runQuickAdd() {
+    const text = quickAddInput.value.trim();
+    quickAddCreate.disabled = !text;
+    quickAddDownload.disabled = !text;
+    if (!text) {
+      quickAddPreview.innerHTML = '';
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'parseText', text });
+
+      // Skip results for text that has changed since
+      if (response.success && quickAddInput.value.trim() === text) {
+        const card = document.createElement('div');
+        card.className = 'event-card';
+        createEventSummary(response.event).forEach(element => card.appendChild(element));
+        quickAddPreview.innerHTML = '';
+        quickAddPreview.appendChild(card);
+      }
+    } catch (error) {
+      console.error('Error parsing quick-add text:', error);
+    }
+  }
+
+  /**
+   * Create (or download) the quick-add event through the same path as the context menu, without the preview window
+   * @param {string} mode - 'open' or 'download'
+   */
+  async function createFromQuickAdd(mode) {
+    const text = quickAddInput.value.trim();
+    if (!text) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'createFromText', text, mode });
+
+      if (response.success) {
+        quickAddInput.value = '';
+        runQuickAdd();
+        loadReminders();
+        loadRecentEvents();
+      } else {
+        console.error('Failed to create event:', response.error);
+      }
+    } catch (error) {
+      console.error('Error creating event:', error);
+    }
+  }
+
+  /**
+   * Load pending reminders
+   */
+  async function loadReminders() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getReminders' });
+
+      if (response.success) {
+        renderReminders(response.reminders);
+      } else {
+        console.error('Failed to load reminders:', response.error);
+      }
+    } catch (error) {
+      console.error('Error loading reminders:', error);
+    }
+  }
+
+  /**
+   * Render the pending reminders, each with a button to cancel it
+   */
+  function renderReminders(reminders) {
+    remindersList.innerHTML = '';
+    remindersSection.classList.toggle('visible', reminders.length > 0);
+
+    reminders.forEach((reminder) => {
+      const row = document.createElement('div');
+      row.className = 'reminder-row';
+
+      const text = document.createElement('div');
+      text.className = 'reminder-text';
+
+      const title = document.createElement('div');
+      title.className = 'reminder-title';
+      title.textContent = reminder.title;
+      title.title = reminder.title;
+
+      const when = document.createElement('div');
+      when.className = 'reminder-when';
+      when.textContent = `${formatEventDate(reminder.remindAt)} · ${formatReminderLead(reminder.minutesBefore)} before`;
+
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'btn-delete';
+      cancelBtn.textContent = '×';
+      cancelBtn.title = 'Cancel reminder';
+      cancelBtn.addEventListener('click', async () => {
+        await cancelReminder(reminder.eventId);
+      });
+
+      text.appendChild(title);
+      text.appendChild(when);
+      row.appendChild(text);
+      row.appendChild(cancelBtn);
+      remindersList.appendChild(row);
+    });
+  }
+
+  /**
+   * Cancel a pending reminder
+   */
+  async function cancelReminder(eventId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'cancelReminder',
+        id: eventId
+      });
+
+      if (!response.success) {
+        console.error('Failed to cancel reminder:', response.error);
+      }
+      await loadReminders();
+    } catch (error) {
+      console.error('Error cancelling reminder:', error);
+    }
+  }
+
   /**
    * Render events list
    */
@@ -101,19 +378,27 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   /**
-   * Create an event card element
+   * Create the title, details, date and confidence indicator of an event
+   * Used for history cards and the quick-add preview
+   * @returns {Array<HTMLElement>}
    */
-  function createEventCard(event, index) {
-    const card = document.createElement('div');
-    card.className = 'event-card';
-    card.style.animationDelay = `${index * 0.05}s`;
-    card.dataset.eventId = event.id;
-
+  function createEventSummary(event) {
     // Title
     const title = document.createElement('div');
     title.className = 'event-title';
-    title.textContent = event.title;
-    title.title = event.originalText || event.title;
+    // Records from older versions may be missing fields
+    title.textContent = event.title || 'Untitled event';
+    title.title = event.originalText || title.textContent;
+
+    // Mark events the user corrected in the preview
+    if (event.correctedFields && event.correctedFields.length > 0) {
+      const edited = document.createElement('span');
+      edited.className = 'event-edited';
+      edited.textContent = '(edited)';
+      edited.title = `Corrected: ${event.correctedFields.join(', ')}` +
+        (event.originalParse ? `\nParsed as: "${event.originalParse.title}"` : '');
+      title.appendChild(edited);
+    }
 
     // Date and confidence indicator
     const meta = document.createElement('div');
@@ -121,24 +406,69 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const date = document.createElement('div');
     date.className = 'event-date';
-    date.textContent = formatEventDate(event.startDate);
+    date.textContent = isNaN(new Date(event.startDate)) ? 'Unknown date' :
+      event.allDay ? formatAllDayDate(event) : formatEventDate(event.startDate);
+
+    // Time as written, when the text named another time zone
+    const sourceTime = formatSourceZoneTime(new Date(event.startDate), event.timeZone);
+    if (sourceTime) {
+      date.textContent += ` (${sourceTime})`;
+      date.title = 'Converted to your time zone';
+    }
 
     meta.appendChild(date);
 
+    // Location, if one was parsed
+    let location = null;
+    if (event.location) {
+      location = document.createElement('div');
+      location.className = 'event-location';
+      location.textContent = event.location;
+      location.title = event.location;
+    }
+
+    // Repeat rule, if the event repeats
+    let recurrence = null;
+    const recurrenceText = formatRecurrence(event.recurrence);
+    if (recurrenceText) {
+      recurrence = document.createElement('div');
+      recurrence.className = 'event-recurrence';
+      recurrence.textContent = recurrenceText;
+      recurrence.title = recurrenceText;
+    }
+
+    // Attendees, if any were parsed
+    let attendees = null;
+    if (Array.isArray(event.attendees) && event.attendees.length > 0) {
+      attendees = document.createElement('div');
+      attendees.className = 'event-attendees';
+      attendees.textContent = event.attendees.map(attendee => attendee.name || attendee.email).join(', ');
+      attendees.title = event.attendees.map(attendee => attendee.email).join(', ');
+    }
+
     // Add confidence indicator if available
     if (typeof event.confidence === 'number') {
       const confidence = document.createElement('div');
       confidence.className = 'event-confidence';
       confidence.title = `Parse confidence: ${Math.round(event.confidence * 100)}%`;
 
-      const confidenceLevel = event.confidence >= 0.7 ? 'high' :
-        event.confidence >= 0.4 ? 'medium' : 'low';
-      confidence.classList.add(`confidence-${confidenceLevel}`);
-      confidence.textContent = confidenceLevel === 'high' ? '✓' :
-        confidenceLevel === 'medium' ? '~' : '?';
+      confidence.classList.add(`confidence-${getConfidenceLevel(event.confidence)}`);
+      confidence.textContent = formatConfidenceSymbol(event.confidence);
       meta.appendChild(confidence);
     }
 
+    return [title, location, attendees, recurrence, meta].filter(Boolean);
+  }
+
+  /**
+   * Create an event card element
+   */
+  function createEventCard(event, index) {
+    const card = document.createElement('div');
+    card.className = 'event-card';
+    card.style.animationDelay = `${index * 0.05}s`;
+    card.dataset.eventId = event.id;
+
     // Buttons container
     const buttons = document.createElement('div');
     buttons.className = 'event-buttons';
@@ -151,6 +481,15 @@ document.addEventListener('DOMContentLoaded', () => {
       createAgain(event);
     });
 
+    // Download .ics button
+    const downloadBtn = document.createElement('button');
+    downloadBtn.className = 'btn-download-ics';
+    downloadBtn.textContent = 'Download .ics';
+    downloadBtn.title = 'Download as an iCalendar file (Outlook, Apple Calendar)';
+    downloadBtn.addEventListener('click', () => {
+      downloadIcs(event.id);
+    });
+
     // Delete button
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'btn-delete';
@@ -162,15 +501,31 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     buttons.appendChild(createBtn);
+    buttons.appendChild(downloadBtn);
     buttons.appendChild(deleteBtn);
 
-    card.appendChild(title);
-    card.appendChild(meta);
+    createEventSummary(event).forEach(element => card.appendChild(element));
     card.appendChild(buttons);
 
     return card;
   }
 
+  /**
+   * Format the days of an all-day event for display
+   */
+  function formatAllDayDate(event) {
+    const dayOptions = { weekday: 'short', month: 'short', day: 'numeric' };
+    const start = new Date(event.startDate);
+    // The stored end is midnight after the last day
+    const lastDay = new Date(event.endDate);
+    lastDay.setDate(lastDay.getDate() - 1);
+
+    const startStr = start.toLocaleDateString([], dayOptions);
+    return lastDay > start ?
+      `${startStr} – ${lastDay.toLocaleDateString([], dayOptions)}, all day` :
+      `${startStr}, all day`;
+  }
+
   /**
    * Format date for display
    */
@@ -214,10 +569,43 @@ document.addEventListener('DOMContentLoaded', () => {
 
   /**
    * Handle "Create Again" click
+   * Reopens the stored event in the currently selected provider
    */
-  function createAgain(event) {
-    if (event.calendarUrl) {
-      chrome.tabs.create({ url: event.calendarUrl });
+  async function createAgain(event) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'openEvent',
+        id: event.id,
+        provider: providerSelect.value || undefined
+      });
+
+      if (!response.success) {
+        console.error('Failed to reopen event:', response.error);
+      }
+    } catch (error) {
+      console.error('Error reopening event:', error);
+      // Fallback for older records that stored a Google Calendar URL
+      if (event.calendarUrl) {
+        chrome.tabs.create({ url: event.calendarUrl });
+      }
+    }
+  }
+
+  /**
+   * Handle "Download .ics" click
+   */
+  async function downloadIcs(eventId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'downloadIcs',
+        id: eventId
+      });
+
+      if (!response.success) {
+        console.error('Failed to download .ics file:', response.error);
+      }
+    } catch (error) {
+      console.error('Error downloading .ics file:', error);
     }
   }
 
@@ -235,6 +623,9 @@ document.addEventListener('DOMContentLoaded', () => {
       });
 
       if (response.success && response.deleted) {
+        // Its reminder is cancelled with it
+        loadReminders();
+
         // Wait for animation then remove
         setTimeout(() => {
           cardElement.remove();
@@ -280,6 +671,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
       if (response.success) {
         renderEvents([]);
+        renderReminders([]);
       } else {
         console.error('Failed to clear history:', response.error);
       }
@@ -0,0 +1,495 @@
+// Preview window script for Text to Calendar extension
+
+import { getConfidenceLevel, formatConfidenceSymbol, formatRecurrence, formatReminderLead, formatSourceZoneTime } from './format.js';
+
+const WEEKDAYS = [
+  { code: 'SU', label: 'Su' },
+  { code: 'MO', label: 'Mo' },
+  { code: 'TU', label: 'Tu' },
+  { code: 'WE', label: 'We' },
+  { code: 'TH', label: 'Th' },
+  { code: 'FR', label: 'Fr' },
+  { code: 'SA', label: 'Sa' }
+];
+
+const NO_RECURRENCE = {
+  isRecurring: false,
+  frequency: null,
+  interval: 1,
+  days: [],
+  position: null,
+  count: null,
+  until: null
+};
+
+// Minutes before the event; null for no reminder
+const REMINDER_CHOICES = [null, 5, 10, 15, 30, 60, 120, 1440];
+
+document.addEventListener('DOMContentLoaded', () => {
+  const previewId = new URLSearchParams(window.location.search).get('id');
+
+  const originalText = document.getElementById('original-text');
+  const confidence = document.getElementById('preview-confidence');
+  const titleInput = document.getElementById('field-title');
+  const locationInput = document.getElementById('field-location');
+  const attendeesInput = document.getElementById('field-attendees');
+  const startInput = document.getElementById('field-start');
+  const endInput = document.getElementById('field-end');
+  const durationInput = document.getElementById('field-duration');
+  const reminderSelect = document.getElementById('field-reminder');
+  const allDayInput = document.getElementById('field-all-day');
+  const zoneNote = document.getElementById('field-zone');
+  const dateNote = document.getElementById('field-date-note');
+  const recurringInput = document.getElementById('field-recurring');
+  const daysContainer = document.getElementById('field-days');
+  const recurrenceSummary = document.getElementById('field-recurrence-summary');
+  const errorMessage = document.getElementById('preview-error');
+  const cancelBtn = document.getElementById('preview-cancel');
+  const confirmBtn = document.getElementById('preview-confirm');
+
+  // The parser's output, used to highlight corrected fields
+  let parsedEvent = null;
+
+  renderDayToggles();
+  loadPreview();
+
+  // Keep end and duration in sync
+  startInput.addEventListener('input', () => {
+    updateEndFromDuration();
+    markCorrections();
+  });
+
+  endInput.addEventListener('input', () => {
+    updateDurationFromEnd();
+    markCorrections();
+  });
+
+  durationInput.addEventListener('input', () => {
+    updateEndFromDuration();
+    markCorrections();
+  });
+
+  allDayInput.addEventListener('change', () => {
+    const { start, end } = readDates();
+    setAllDay(allDayInput.checked);
+
+    if (start && allDayInput.checked) {
+      startInput.value = toDateInputValue(start);
+      endInput.value = toDateInputValue(end && end > start ? end : start);
+    } else if (start) {
+      // Back to a timed event: the parsed time, or 9:00 for an hour
+      const parsedStart = new Date(parsedEvent.startDate);
+      const timed = new Date(start);
+      if (parsedEvent.allDay) {
+        timed.setHours(9, 0, 0, 0);
+      } else {
+        timed.setHours(parsedStart.getHours(), parsedStart.getMinutes(), 0, 0);
+      }
+      startInput.value = toInputValue(timed);
+      durationInput.value = parsedEvent.allDay ? 60 :
+        Math.round((new Date(parsedEvent.endDate) - parsedStart) / 60000);
+      updateEndFromDuration();
+    }
+    markCorrections();
+  });
+
+  titleInput.addEventListener('input', markCorrections);
+  locationInput.addEventListener('input', markCorrections);
+  attendeesInput.addEventListener('input', markCorrections);
+
+  recurringInput.addEventListener('change', () => {
+    // Start with the event's own weekday
+    if (recurringInput.checked && !daysContainer.querySelector('.day-toggle.active')) {
+      activateStartDay();
+    }
+    updateRecurrence();
+  });
+
+  cancelBtn.addEventListener('click', async () => {
+    try {
+      await chrome.runtime.sendMessage({ action: 'cancelPreview', id: previewId });
+    } catch (error) {
+      console.error('Error cancelling preview:', error);
+    }
+    window.close();
+  });
+
+  confirmBtn.addEventListener('click', async () => {
+    await confirmPreview();
+  });
+
+  // Confirm with Enter, cancel with Escape
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.tagName === 'INPUT' && e.target.type !== 'checkbox') {
+      e.preventDefault();
+      confirmPreview();
+    } else if (e.key === 'Escape') {
+      cancelBtn.click();
+    }
+  });
+
+  /**
+   * Load the pending preview from the background
+   */
+  async function loadPreview() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getPreview',
+        id: previewId
+      });
+
+      if (!response.success) {
+        showError('This preview has expired. Select the text and try again.');
+        confirmBtn.disabled = true;
+        return;
+      }
+
+      renderPreview(response.preview);
+    } catch (error) {
+      console.error('Error loading preview:', error);
+      showError('Could not load the parsed event.');
+      confirmBtn.disabled = true;
+    }
+  }
+
+  /**
+   * Fill the form with the parsed event
+   */
+  function renderPreview(preview) {
+    parsedEvent = preview.event;
+
+    originalText.textContent = preview.originalText;
+    confirmBtn.textContent = preview.mode === 'download' ? 'Download .ics' : 'Create Event';
+
+    // Same confidence levels as the popup history cards
+    confidence.classList.add(`confidence-${getConfidenceLevel(parsedEvent.confidence)}`);
+    confidence.textContent = formatConfidenceSymbol(parsedEvent.confidence);
+    confidence.title = `Parse confidence: ${Math.round(parsedEvent.confidence * 100)}%`;
+
+    titleInput.value = parsedEvent.title;
+    locationInput.value = parsedEvent.location || '';
+    attendeesInput.value = formatAttendees(parsedEvent.attendees || []);
+    allDayInput.checked = parsedEvent.allDay;
+    setAllDay(parsedEvent.allDay);
+    if (parsedEvent.allDay) {
+      // The end is midnight after the last day; show the last day
+      const lastDay = new Date(parsedEvent.endDate);
+      lastDay.setDate(lastDay.getDate() - 1);
+      startInput.value = toDateInputValue(new Date(parsedEvent.startDate));
+      endInput.value = toDateInputValue(lastDay);
+    } else {
+      startInput.value = toInputValue(new Date(parsedEvent.startDate));
+      endInput.value = toInputValue(new Date(parsedEvent.endDate));
+      updateDurationFromEnd();
+    }
+
+    const sourceTime = formatSourceZoneTime(new Date(parsedEvent.startDate), parsedEvent.timeZone);
+    if (sourceTime) {
+      zoneNote.textContent = `Written as ${sourceTime} - shown in your time zone.`;
+      zoneNote.classList.add('visible');
+    }
+
+    if (parsedEvent.ambiguousDate) {
+      dateNote.textContent = 'The date could be read month-first or day-first - check it before confirming.';
+      dateNote.classList.add('visible');
+    }
+
+    renderReminderOptions(parsedEvent.reminderMinutes);
+
+    const recurrence = parsedEvent.recurrence || NO_RECURRENCE;
+    recurringInput.checked = recurrence.isRecurring;
+    daysContainer.querySelectorAll('.day-toggle').forEach((toggle) => {
+      toggle.classList.toggle('active', recurrence.days.includes(toggle.dataset.day));
+    });
+    updateRecurrence();
+
+    titleInput.focus();
+    titleInput.select();
+  }
+
+  /**
+   * Fill the reminder choices, adding the parsed one if it isn't a standard choice
+   */
+  function renderReminderOptions(minutes) {
+    const choices = REMINDER_CHOICES.includes(minutes) ?
+      REMINDER_CHOICES :
+      [...REMINDER_CHOICES, minutes].sort((a, b) => (a || 0) - (b || 0));
+
+    reminderSelect.innerHTML = '';
+    choices.forEach((choice) => {
+      const option = document.createElement('option');
+      option.value = choice || '';
+      option.textContent = choice ? `${formatReminderLead(choice)} before` : 'None';
+      reminderSelect.appendChild(option);
+    });
+    reminderSelect.value = minutes || '';
+  }
+
+  /**
+   * Create the weekday toggle buttons
+   */
+  function renderDayToggles() {
+    WEEKDAYS.forEach((day) => {
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'day-toggle';
+      toggle.dataset.day = day.code;
+      toggle.textContent = day.label;
+      toggle.addEventListener('click', () => {
+        toggle.classList.toggle('active');
+        updateRecurrence();
+      });
+      daysContainer.appendChild(toggle);
+    });
+  }
+
+  function activateStartDay() {
+    const start = parseInputValue(startInput.value) || new Date(parsedEvent.startDate);
+    daysContainer.querySelectorAll('.day-toggle')[start.getDay()].classList.add('active');
+  }
+
+  /**
+   * Show the repeat rule; days can only be picked for weekly rules
+   */
+  function updateRecurrence() {
+    const recurrence = collectRecurrence();
+    const parsed = parsedEvent.recurrence || NO_RECURRENCE;
+    const weekly = !parsed.isRecurring || parsed.frequency === 'WEEKLY';
+
+    daysContainer.querySelectorAll('.day-toggle').forEach((toggle) => {
+      toggle.disabled = !recurringInput.checked || !weekly;
+    });
+    recurrenceSummary.textContent = formatRecurrence(recurrence) || '';
+  }
+
+  /**
+   * The repeat rule on the form: the parsed rule, with the days picked for weekly rules
+   */
+  function collectRecurrence() {
+    const parsed = parsedEvent.recurrence && parsedEvent.recurrence.isRecurring ?
+      parsedEvent.recurrence :
+      { ...NO_RECURRENCE, isRecurring: true, frequency: 'WEEKLY' };
+
+    if (!recurringInput.checked) {
+      return NO_RECURRENCE;
+    }
+    if (parsed.frequency !== 'WEEKLY') {
+      return parsed;
+    }
+
+    const days = [...daysContainer.querySelectorAll('.day-toggle.active')]
+      .map(toggle => toggle.dataset.day);
+
+    // A bare "weekly" repeats on the start day; otherwise no days means no repeat
+    if (days.length === 0 && (parsed !== parsedEvent.recurrence || parsed.days.length > 0)) {
+      return NO_RECURRENCE;
+    }
+    return { ...parsed, days };
+  }
+
+  /**
+   * Switch the start and end fields between dates and times
+   */
+  function setAllDay(allDay) {
+    startInput.type = allDay ? 'date' : 'datetime-local';
+    endInput.type = allDay ? 'date' : 'datetime-local';
+    durationInput.closest('.field').style.display = allDay ? 'none' : '';
+  }
+
+  /**
+   * Read the start and end fields; all-day events end at midnight after the last day
+   * @returns {Object} - { start: Date|null, end: Date|null }
+   */
+  function readDates() {
+    const start = parseInputValue(startInput.value);
+    const end = parseInputValue(endInput.value);
+    if (end && allDayInput.checked) {
+      end.setDate(end.getDate() + 1);
+    }
+    return { start, end };
+  }
+
+  function updateDurationFromEnd() {
+    if (allDayInput.checked) {
+      return;
+    }
+    const start = parseInputValue(startInput.value);
+    const end = parseInputValue(endInput.value);
+    if (start && end) {
+      durationInput.value = Math.round((end - start) / 60000);
+    }
+  }
+
+  function updateEndFromDuration() {
+    if (allDayInput.checked) {
+      return;
+    }
+    const start = parseInputValue(startInput.value);
+    const minutes = parseInt(durationInput.value, 10);
+    if (start && !isNaN(minutes)) {
+      endInput.value = toInputValue(new Date(start.getTime() + minutes * 60000));
+    }
+  }
+
+  /**
+   * Highlight fields that differ from the parser's output
+   */
+  function markCorrections() {
+    if (!parsedEvent) {
+      return;
+    }
+
+    const { start, end } = readDates();
+
+    titleInput.parentElement.classList.toggle('corrected', titleInput.value.trim() !== parsedEvent.title);
+    locationInput.parentElement.classList.toggle('corrected',
+      locationInput.value.trim() !== (parsedEvent.location || ''));
+    attendeesInput.parentElement.classList.toggle('corrected',
+      attendeesInput.value.trim() !== formatAttendees(parsedEvent.attendees || []));
+    startInput.parentElement.classList.toggle('corrected',
+      !start || start.getTime() !== new Date(parsedEvent.startDate).getTime());
+    endInput.parentElement.classList.toggle('corrected',
+      !end || end.getTime() !== new Date(parsedEvent.endDate).getTime());
+  }
+
+  /**
+   * Collect the form values in the same shape as the parsed event
+   */
+  function collectEvent() {
+    const title = titleInput.value.trim();
+    const { start, end } = readDates();
+
+    if (!title) {
+      return { error: 'Please enter a title.' };
+    }
+    if (!start || !end) {
+      return { error: 'Please enter a start and end time.' };
+    }
+    if (end < start) {
+      return { error: 'The end time must be after the start time.' };
+    }
+
+    const { attendees, invalid } = parseAttendees(attendeesInput.value, parsedEvent.attendees || []);
+    if (invalid.length > 0) {
+      return { error: `Not an email address: ${invalid[0]}` };
+    }
+
+    return {
+      event: {
+        title,
+        location: locationInput.value.trim() || null,
+        attendees,
+        startDate: start.toISOString(),
+        endDate: end.toISOString(),
+        allDay: allDayInput.checked,
+        recurrence: collectRecurrence(),
+        reminderMinutes: parseInt(reminderSelect.value, 10) || null
+      }
+    };
+  }
+
+  /**
+   * Send the corrected event to the background and close the window
+   */
+  async function confirmPreview() {
+    if (confirmBtn.disabled) {
+      return;
+    }
+
+    const { event, error } = collectEvent();
+    if (error) {
+      showError(error);
+      return;
+    }
+
+    hideError();
+    confirmBtn.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'confirmPreview',
+        id: previewId,
+        event
+      });
+
+      if (response.success) {
+        window.close();
+      } else {
+        showError(response.error || 'Failed to create the event.');
+        confirmBtn.disabled = false;
+      }
+    } catch (err) {
+      console.error('Error confirming preview:', err);
+      showError('Failed to create the event. Please try again.');
+      confirmBtn.disabled = false;
+    }
+  }
+
+  function showError(message) {
+    errorMessage.textContent = message;
+    errorMessage.classList.add('visible');
+  }
+
+  function hideError() {
+    errorMessage.classList.remove('visible');
+  }
+});
+
+/**
+ * Format attendees for the attendees input
+ */
+function formatAttendees(attendees) {
+  return attendees.map(attendee => attendee.email).join(', ');
+}
+
+/**
+ * Parse the comma-separated attendees input, keeping names from the parse
+ * @returns {Object} - { attendees: [{ email, name }], invalid: [string] }
+ */
+function parseAttendees(value, parsedAttendees) {
+  const attendees = [];
+  const invalid = [];
+
+  value.split(/[,;]/).map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const match = entry.match(/^(?:(.*?)\s*<)?([\w.+-]+@[\w-]+(?:\.[\w-]+)+)>?$/);
+    if (!match) {
+      invalid.push(entry);
+      return;
+    }
+    const email = match[2];
+    const known = parsedAttendees.find(attendee => attendee.email.toLowerCase() === email.toLowerCase());
+    attendees.push({ email, name: (match[1] || '').trim() || (known ? known.name : null) });
+  });
+
+  return { attendees, invalid };
+}
+
+/**
+ * Format a Date for a datetime-local input (YYYY-MM-DDTHH:mm, local time)
+ */
+function toInputValue(date) {
+  const pad = (n) => n.toString().padStart(2, '0');
+
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Format a Date for a date input (YYYY-MM-DD, local time)
+ */
+function toDateInputValue(date) {
+  return toInputValue(date).substring(0, 10);
+}
+
+/**
+ * Parse a datetime-local or date input value as local time
+ * @returns {Date|null}
+ */
+function parseInputValue(value) {
+  if (!value) {
+    return null;
+  }
+  // Date-only strings would otherwise be read as UTC
+  const date = new Date(value.length === 10 ? `${value}T00:00` : value);
+  return isNaN(date.getTime()) ? null : date;
+}
@@ -1,22 +1,37 @@
 #!/usr/bin/env node
 
-const fs = require('fs');
-const path = require('path');
-const { execSync } = require('child_process');
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
 
 // Files to include in the extension zip
 const EXTENSION_FILES = [
   'manifest.json',
   'background.js',
+  'parser.js',
+  'format.js',
   'popup.html',
   'popup.js',
   'popup.css',
+  'preview.html',
+  'preview.js',
+  'preview.css',
+  'batch.html',
+  'batch.js',
+  'batch.css',
+  'options.html',
+  'options.js',
+  'options.css',
+  'history.html',
+  'history.js',
+  'history.css',
   'icons/icon16.png',
   'icons/icon48.png',
   'icons/icon128.png'
 ];
 
-const ROOT_DIR = path.join(__dirname, '..');
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
 const DIST_DIR = path.join(ROOT_DIR, 'dist');
 const MANIFEST_PATH = path.join(ROOT_DIR, 'manifest.json');
 
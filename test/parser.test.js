@@ -0,0 +1,139 @@
+// Golden-file tests for the event text parser
+//
+// Each phrase in parser-corpus.json is parsed with a fixed clock and compared with its
+// expected output. Entries with "parse": "multiple" or "course" go through parseMultipleEvents
+// or parseCourseSchedule and expect a list of events. After an intended parser change,
+// regenerate the expected outputs with
+//   UPDATE_GOLDEN=1 npm test
+// and review the diff of parser-corpus.json before committing it.
+
+// Times are compared as local times, so fix the zone before any dates are made
+process.env.TZ = 'UTC';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseEventFromText, parseMultipleEvents, parseCourseSchedule } from '../parser.js';
+
+const CORPUS_PATH = fileURLToPath(new URL('./parser-corpus.json', import.meta.url));
+
+// Wednesday, January 8, 2025, 10:30 AM
+const NOW = new Date(2025, 0, 8, 10, 30);
+
+// Default options, as if the settings had never been changed
+const BASE_OPTIONS = { now: NOW, dateOrder: 'MDY', language: 'auto' };
+
+/**
+ * Format a date as local "YYYY-MM-DD HH:MM"
+ */
+function formatLocal(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Read a "YYYY-MM-DD" corpus option as a local date, like the options page's term dates
+ */
+function parseLocalDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Reduce parser output to the fields the corpus checks, leaving out empty ones
+ */
+function summarize(event) {
+  const summary = {
+    title: event.title,
+    start: formatLocal(event.startDate),
+    end: formatLocal(event.endDate),
+    allDay: event.allDay
+  };
+
+  if (event.location) {
+    summary.location = event.location;
+  }
+  if (event.attendees.length > 0) {
+    summary.attendees = event.attendees.map(attendee =>
+      (attendee.name ? `${attendee.name} <${attendee.email}>` : attendee.email));
+  }
+  if (event.timeZone) {
+    summary.timeZone = event.timeZone.label;
+  }
+  if (event.recurrence.isRecurring) {
+    const { frequency, interval, days, position, count, until } = event.recurrence;
+    summary.recurrence = { frequency, interval, days, position, count, until };
+  }
+  if (event.reminderMinutes) {
+    summary.reminderMinutes = event.reminderMinutes;
+  }
+  if (event.language !== 'en') {
+    summary.language = event.language;
+  }
+
+  // The rule behind each part, with the text its spans cover (course meetings have no trace)
+  const trace = {};
+  ['date', 'time', 'duration', 'recurrence', 'reminder', 'timeZone'].forEach((part) => {
+    const rule = event.trace && event.trace[part];
+    if (rule) {
+      trace[part] = `${rule.rule}: ${rule.spans.map(span => event.trace.text.slice(span.start, span.end)).join(' | ')}`;
+    }
+  });
+  if (Object.keys(trace).length > 0) {
+    summary.trace = trace;
+  }
+  summary.confidence = event.confidence;
+
+  return summary;
+}
+
+/**
+ * Parse a corpus entry the way its "parse" field asks, and summarize the result
+ */
+function parseEntry(entry) {
+  const options = { ...BASE_OPTIONS, ...entry.options };
+  ['termStart', 'termEnd'].forEach((key) => {
+    if (options[key]) {
+      options[key] = parseLocalDate(options[key]);
+    }
+  });
+
+  if (entry.parse === 'multiple') {
+    return parseMultipleEvents(entry.text, options).map(({ event }) => summarize(event));
+  }
+  if (entry.parse === 'course') {
+    return parseCourseSchedule(entry.text, options).map(({ event }) => summarize(event));
+  }
+  return summarize(parseEventFromText(entry.text, options));
+}
+
+const corpus = JSON.parse(fs.readFileSync(CORPUS_PATH, 'utf8'));
+
+if (process.env.UPDATE_GOLDEN) {
+  for (const entry of corpus) {
+    entry.expected = parseEntry(entry);
+  }
+  fs.writeFileSync(CORPUS_PATH, JSON.stringify(corpus, null, 2) + '\n');
+}
+
+for (const entry of corpus) {
+  test(entry.text, () => {
+    assert.deepEqual(parseEntry(entry), entry.expected);
+  });
+}
+
+test('reads relative dates from the injected clock', () => {
+  const event = parseEventFromText('Call mom tomorrow at 3pm', { now: new Date(2030, 5, 30, 8, 0) });
+  assert.equal(formatLocal(event.startDate), '2030-07-01 15:00');
+});
+
+test('moves relative dates with the clock', () => {
+  // "next Friday" is the Friday of the following week: from Wednesday, January 8 that's the 17th,
+  // and from Saturday, January 11 it's the 24th
+  const fromWednesday = parseEventFromText('Team lunch next Friday at noon', { now: NOW });
+  const fromSaturday = parseEventFromText('Team lunch next Friday at noon', { now: new Date(2025, 0, 11, 9, 0) });
+  assert.equal(formatLocal(fromWednesday.startDate), '2025-01-17 12:00');
+  assert.equal(formatLocal(fromSaturday.startDate), '2025-01-24 12:00');
+});